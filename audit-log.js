@@ -0,0 +1,109 @@
+/**
+ * Audit log.
+ * One event per page element the content script changed - autofill,
+ * context menu fill or undo - with the field's identity, data key,
+ * outcome, time and page path. Values are left out unless the audit
+ * settings ask for them. Kept encrypted in chrome.storage.local and
+ * rotated by age and size; read by the audit log page (audit.html).
+ */
+
+// Storage keys - the log is encrypted in local, events from while locked wait in session
+const AUDIT_LOG_STORAGE_KEY = 'auditLog';
+const PENDING_AUDIT_LOG_KEY = 'pendingAuditLog';
+const AUDIT_SETTINGS_STORAGE_KEY = 'auditSettings';
+
+// retentionDays / maxEvents rotate the log; includeValues keeps what was written (PHI)
+const DEFAULT_AUDIT_SETTINGS = { retentionDays: 90, maxEvents: 5000, includeValues: false };
+
+// Limits the settings form accepts
+const AUDIT_RETENTION_DAYS_RANGE = [1, 3650];
+const AUDIT_MAX_EVENTS_RANGE = [100, 20000];
+
+// What the content script did to the element
+const AUDIT_ACTIONS = {
+  autofill: 'Autofill',
+  contextFill: 'Context menu fill',
+  undo: 'Undo'
+};
+
+/**
+ * Read the audit settings (chrome.storage.sync - practice policy, not client data)
+ */
+async function loadAuditSettings() {
+  const stored = await chrome.storage.sync.get(AUDIT_SETTINGS_STORAGE_KEY);
+  return Object.assign({}, DEFAULT_AUDIT_SETTINGS, stored[AUDIT_SETTINGS_STORAGE_KEY]);
+}
+
+/**
+ * Save the audit settings, clamped to the accepted ranges
+ * @returns {Promise<Object>} The settings as saved
+ */
+async function saveAuditSettings(settings) {
+  const clamp = (value, [min, max], fallback) => {
+    const number = parseInt(value, 10);
+    return Math.min(max, Math.max(min, Number.isNaN(number) ? fallback : number));
+  };
+  const saved = {
+    retentionDays: clamp(settings.retentionDays, AUDIT_RETENTION_DAYS_RANGE, DEFAULT_AUDIT_SETTINGS.retentionDays),
+    maxEvents: clamp(settings.maxEvents, AUDIT_MAX_EVENTS_RANGE, DEFAULT_AUDIT_SETTINGS.maxEvents),
+    includeValues: Boolean(settings.includeValues)
+  };
+  await chrome.storage.sync.set({ [AUDIT_SETTINGS_STORAGE_KEY]: saved });
+  return saved;
+}
+
+/**
+ * Load the audit log, oldest first (vault must be unlocked)
+ * @returns {Promise<Array<{timestamp, path, action, dataKey, field, status, success, error?, expected?, actual?}>>}
+ */
+async function loadAuditLog() {
+  const log = await loadEncrypted(AUDIT_LOG_STORAGE_KEY);
+  return Array.isArray(log) ? log : [];
+}
+
+/**
+ * Add events from the content script, dropping values unless the settings keep them
+ * While locked they wait in chrome.storage.session until the next unlock.
+ * @param {Array<Object>} events - May be empty to only write held events
+ */
+async function appendAuditEvents(events) {
+  const settings = await loadAuditSettings();
+  const kept = events.map(event => {
+    if (settings.includeValues) return event;
+    // Fill errors quote the value too ('No option matching "..."')
+    const { expected, actual, error, ...rest } = event;
+    return rest;
+  });
+
+  const written = await appendEncryptedList(
+    AUDIT_LOG_STORAGE_KEY,
+    PENDING_AUDIT_LOG_KEY,
+    kept,
+    log => rotateAuditLog(log, settings)
+  );
+  if (!written) console.warn('⚠️ Vault locked - audit events held until unlock:', kept.length);
+}
+
+/**
+ * Apply new settings to the stored log right away (vault must be unlocked)
+ */
+async function pruneAuditLog(settings) {
+  const log = await loadAuditLog();
+  const kept = rotateAuditLog(log, settings);
+  if (kept.length !== log.length) {
+    await saveEncrypted(AUDIT_LOG_STORAGE_KEY, kept);
+    console.log('🧹 Audit log rotated:', log.length - kept.length, 'event(s) dropped');
+  }
+}
+
+async function clearAuditLog() {
+  await chrome.storage.local.remove(AUDIT_LOG_STORAGE_KEY);
+}
+
+/**
+ * Drop events older than the retention period, then the oldest past maxEvents
+ */
+function rotateAuditLog(log, settings, now = Date.now()) {
+  const cutoff = now - settings.retentionDays * 24 * 60 * 60 * 1000;
+  return log.filter(event => event.timestamp >= cutoff).slice(-settings.maxEvents);
+}
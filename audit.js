@@ -0,0 +1,212 @@
+/**
+ * Audit log page script.
+ * Lists the audit events (see audit-log.js) newest first with filters and
+ * edits how long they are kept. The log is encrypted, so the events only
+ * show while client data is unlocked in the popup.
+ */
+
+console.log('✓ SimplePractice autofill audit log loaded');
+
+// Get references to DOM elements
+const lockedNotice = document.getElementById('lockedNotice');
+const logSection = document.getElementById('logSection');
+const fromDateInput = document.getElementById('fromDate');
+const toDateInput = document.getElementById('toDate');
+const actionFilterSelect = document.getElementById('actionFilter');
+const resultFilterSelect = document.getElementById('resultFilter');
+const searchInput = document.getElementById('searchInput');
+const summaryDiv = document.getElementById('summary');
+const auditHeaderRow = document.getElementById('auditHeader');
+const auditRowsBody = document.getElementById('auditRows');
+const retentionDaysInput = document.getElementById('retentionDays');
+const maxEventsInput = document.getElementById('maxEvents');
+const includeValuesCheckbox = document.getElementById('includeValues');
+const saveSettingsBtn = document.getElementById('saveSettingsBtn');
+const clearLogBtn = document.getElementById('clearLogBtn');
+const statusDiv = document.getElementById('status');
+
+// Rows rendered at once - narrow the filters to see older events
+const MAX_RENDERED_EVENTS = 500;
+
+// All events, oldest first (empty while locked)
+let auditLog = [];
+
+let clearConfirmTimer = null;
+
+actionFilterSelect.appendChild(new Option('All', ''));
+for (const [action, label] of Object.entries(AUDIT_ACTIONS)) {
+  actionFilterSelect.appendChild(new Option(label, action));
+}
+
+loadAuditSettings().then(renderSettings);
+loadLog();
+
+// Unlock / lock in the popup, new events from the background worker
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if ((areaName === 'session' && changes[VAULT_SESSION_KEY]) ||
+      (areaName === 'local' && changes[AUDIT_LOG_STORAGE_KEY])) {
+    loadLog();
+  }
+});
+
+async function loadLog() {
+  const unlocked = (await getVaultStatus()) === 'unlocked';
+  lockedNotice.hidden = unlocked;
+  logSection.hidden = !unlocked;
+  auditLog = unlocked ? await loadAuditLog() : [];
+  renderLog();
+}
+
+// ============================================================================
+// EVENT LIST
+// ============================================================================
+
+for (const input of [fromDateInput, toDateInput, actionFilterSelect, resultFilterSelect]) {
+  input.addEventListener('change', renderLog);
+}
+searchInput.addEventListener('input', renderLog);
+
+function renderLog() {
+  const events = getFilteredEvents().reverse();
+  const shown = events.slice(0, MAX_RENDERED_EVENTS);
+
+  // The value column only appears once values have been recorded
+  const hasValues = shown.some(event => 'expected' in event || 'actual' in event);
+  const headers = ['Time', 'Action', 'Page', 'Data', 'Field', 'Result', ...(hasValues ? ['Value'] : [])];
+  auditHeaderRow.innerHTML = '';
+  for (const header of headers) {
+    const cell = document.createElement('th');
+    cell.textContent = header;
+    auditHeaderRow.appendChild(cell);
+  }
+
+  auditRowsBody.innerHTML = '';
+  for (const event of shown) {
+    const row = document.createElement('tr');
+    const cells = [
+      new Date(event.timestamp).toLocaleString(),
+      AUDIT_ACTIONS[event.action] || event.action,
+      event.path,
+      event.dataKey ? getFieldLabel(event.dataKey) : '',
+      describeAuditField(event.field),
+      event.error ? `${event.status}: ${event.error}` : event.status
+    ];
+    if (hasValues) {
+      cells.push('expected' in event ? `${event.expected ?? ''} → ${event.actual ?? ''}` : '');
+    }
+
+    cells.forEach((text, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (index === 4) cell.title = formatFieldIdentity(event.field);
+      if (index === 5) cell.className = event.success ? 'success' : 'failed';
+      row.appendChild(cell);
+    });
+    auditRowsBody.appendChild(row);
+  }
+
+  summaryDiv.textContent = events.length > shown.length
+    ? `Showing the newest ${shown.length} of ${events.length} matching events (${auditLog.length} in the log)`
+    : `${events.length} matching event(s) (${auditLog.length} in the log)`;
+}
+
+/**
+ * Events that pass the filters, oldest first
+ */
+function getFilteredEvents() {
+  // Date inputs are local days; "To" includes the whole day
+  const from = fromDateInput.value ? new Date(fromDateInput.value + 'T00:00').getTime() : -Infinity;
+  const to = toDateInput.value ? new Date(toDateInput.value + 'T00:00').getTime() + 24 * 60 * 60 * 1000 : Infinity;
+  const action = actionFilterSelect.value;
+  const result = resultFilterSelect.value;
+  const query = searchInput.value.trim().toLowerCase();
+
+  return auditLog.filter(event =>
+    event.timestamp >= from && event.timestamp < to &&
+    (!action || event.action === action) &&
+    (!result || event.success === (result === 'success')) &&
+    (!query || getAuditSearchText(event).includes(query))
+  );
+}
+
+function getAuditSearchText(event) {
+  return [
+    event.path,
+    event.dataKey,
+    event.dataKey ? getFieldLabel(event.dataKey) : '',
+    ...Object.values(event.field || {})
+  ].join(' ').toLowerCase();
+}
+
+/**
+ * Short name for a field - its label, else the first identifying attribute
+ */
+function describeAuditField(field) {
+  if (!field) return '';
+  return field.label || field.ariaLabel || field.placeholder || field.name || field.id || `<${field.tag}>`;
+}
+
+/**
+ * Every recorded attribute, one per line (cell tooltip)
+ */
+function formatFieldIdentity(field) {
+  return Object.entries(field || {})
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('\n');
+}
+
+// ============================================================================
+// RETENTION SETTINGS
+// ============================================================================
+
+function renderSettings(settings) {
+  retentionDaysInput.value = settings.retentionDays;
+  maxEventsInput.value = settings.maxEvents;
+  includeValuesCheckbox.checked = settings.includeValues;
+}
+
+saveSettingsBtn.addEventListener('click', async () => {
+  const settings = await saveAuditSettings({
+    retentionDays: retentionDaysInput.value,
+    maxEvents: maxEventsInput.value,
+    includeValues: includeValuesCheckbox.checked
+  });
+  renderSettings(settings);
+  console.log('💾 Audit settings saved:', settings);
+
+  // Shortening retention applies to the stored events now, not only on the next fill
+  if (await getVaultKey()) {
+    await pruneAuditLog(settings);
+    showStatus('✓ Settings saved');
+  } else {
+    showStatus('✓ Settings saved - stored events are rotated with the next recorded event');
+  }
+});
+
+// Clearing needs a second click within 3 seconds to confirm
+clearLogBtn.addEventListener('click', async () => {
+  if (!clearConfirmTimer) {
+    clearLogBtn.textContent = 'Click again to delete every event';
+    clearConfirmTimer = setTimeout(resetClearButton, 3000);
+    return;
+  }
+  resetClearButton();
+
+  await clearAuditLog();
+  console.log('🗑️ Audit log cleared');
+  showStatus('✓ Audit log cleared');
+});
+
+function resetClearButton() {
+  clearTimeout(clearConfirmTimer);
+  clearConfirmTimer = null;
+  clearLogBtn.textContent = 'Clear log';
+}
+
+function showStatus(message) {
+  statusDiv.textContent = message;
+  setTimeout(() => {
+    statusDiv.textContent = '';
+  }, 3000);
+}
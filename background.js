@@ -0,0 +1,493 @@
+/**
+ * Background service worker.
+ * Owns the selected profile for fills that don't go through the popup
+ * (keyboard shortcut, in-page button) and routes every message to the
+ * tab's content script, injecting it first when it isn't loaded.
+ */
+
+importScripts('matcher-rules.js', 'phones.js', 'validation.js', 'vault.js', 'profiles.js', 'importer.js', 'retention.js', 'history.js', 'audit-log.js');
+
+console.log('✓ SimplePractice autofill background loaded');
+
+// Must match manifest.json content_scripts[0].js (same order)
+const CONTENT_SCRIPT_FILES = ['matcher-rules.js', 'regions.js', 'phones.js', 'validation.js', 'content.js'];
+
+// Badge shown on the toolbar icon after a shortcut / in-page fill
+const BADGE_COLORS = { success: '#34a853', error: '#dc3545' };
+const BADGE_CLEAR_DELAY = 4000;
+
+// "Fill this field with…" context menu
+const CONTEXT_MENU_ROOT_ID = 'fillField';
+const CONTEXT_MENU_ITEM_PREFIX = 'fillField:';
+const CONTEXT_MENU_VALUE_LENGTH = 30;
+
+// Fires when the unlocked vault's idle time runs out
+const VAULT_AUTO_LOCK_ALARM = 'vaultAutoLock';
+
+// Fires when the next retention clear is due
+const DATA_CLEAR_ALARM = 'clientDataClear';
+
+// ============================================================================
+// MESSAGE ROUTING
+// ============================================================================
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Popup -> content script in the active tab
+  if (request.action === 'relayToTab') {
+    sendMessageWithFallback(request.tabId, request.message, sendResponse);
+    return true;
+  }
+
+  // Armed tab filled the new client form by itself
+  if (request.action === 'armedFillComplete' && sender.tab) {
+    onArmedFillComplete(sender.tab, request.queueItemId, request.profileId, request.result);
+    return;
+  }
+
+  // Content script finished a fill (popup, shortcut, in-page button or armed)
+  if (request.action === 'recordFillHistory' && sender.tab) {
+    queueLogWrite(() => appendFillHistory(request.entry));
+    return;
+  }
+
+  // Content script changed page elements (fill, context menu fill, undo)
+  if (request.action === 'recordAuditEvents' && sender.tab) {
+    queueLogWrite(() => appendAuditEvents(request.events));
+    return;
+  }
+
+  // Popup: a fill succeeded (schedule its clear) or the popup opened (run due clears)
+  if (request.action === 'clearClientData') {
+    queueDataClear(() => request.target ? scheduleClientDataClear(request.target, request.id) : clearDueClientData())
+      .then(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  // In-page fill button -> fill the button's tab with the selected profile
+  if (request.action === 'fillActiveProfile' && sender.tab) {
+    fillTabWithActiveProfile(sender.tab)
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, fieldsFilledCount: 0, report: [], message: 'Error: ' + error.message }));
+    return true;
+  }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (tab && info.menuItemId.startsWith(CONTEXT_MENU_ITEM_PREFIX)) {
+    fillClickedField(tab, info.menuItemId.substring(CONTEXT_MENU_ITEM_PREFIX.length));
+  }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'fill-form' && tab) {
+    fillTabWithActiveProfile(tab).catch(error => {
+      console.error('❌ Shortcut fill failed:', error);
+      showBadge(tab.id, '!', 'error');
+    });
+  }
+});
+
+/**
+ * Send message with automatic content script injection fallback
+ * If content script is not loaded, attempts to inject it programmatically
+ *
+ * @param {number} tabId - Tab ID to send message to
+ * @param {Object} message - Message to send
+ * @param {Function} callback - Callback function
+ */
+function sendMessageWithFallback(tabId, message, callback) {
+  // First attempt: try sending message normally
+  chrome.tabs.sendMessage(tabId, message, (response) => {
+    if (chrome.runtime.lastError) {
+      console.error('❌ Runtime error:', chrome.runtime.lastError.message);
+
+      // Check if it's a connection error (content script not loaded)
+      if (chrome.runtime.lastError.message.includes('Could not establish connection') ||
+          chrome.runtime.lastError.message.includes('Receiving end does not exist')) {
+
+        console.log('🔄 Content script not loaded, attempting programmatic injection...');
+
+        // Inject content script programmatically
+        chrome.scripting.executeScript(
+          {
+            target: { tabId: tabId },
+            files: CONTENT_SCRIPT_FILES
+          },
+          () => {
+            if (chrome.runtime.lastError) {
+              console.error('❌ Failed to inject content script:', chrome.runtime.lastError);
+              callback({ success: false, message: 'Could not load extension. Please refresh the page.' });
+              return;
+            }
+
+            console.log('✓ Content script injected, retrying in 500ms...');
+
+            // Wait a moment for content script to initialize
+            setTimeout(() => {
+              chrome.tabs.sendMessage(tabId, message, (retryResponse) => {
+                if (chrome.runtime.lastError) {
+                  console.error('❌ Retry failed:', chrome.runtime.lastError.message);
+                  callback({ success: false, message: 'Error: ' + chrome.runtime.lastError.message });
+                } else {
+                  console.log('✓ Retry successful!');
+                  callback(retryResponse);
+                }
+              });
+            }, 500);
+          }
+        );
+      } else {
+        // Different error, not connection-related
+        callback({ success: false, message: 'Error: ' + chrome.runtime.lastError.message });
+      }
+    } else {
+      // Success on first attempt
+      callback(response);
+    }
+  });
+}
+
+// ============================================================================
+// FILL WITH THE SELECTED PROFILE
+// ============================================================================
+
+/**
+ * Data the popup would send for the selected profile
+ * @returns {Promise<{profile: Object, data: Object}>}
+ */
+async function getActiveProfileFillData() {
+  const profile = (await loadActiveProfile()) || createProfile();
+
+  return {
+    profile,
+    data: Object.assign({}, profile.data, { contacts: getActiveContacts(profile.data) })
+  };
+}
+
+/**
+ * Run autofill in a tab with the selected profile and show the outcome on the badge
+ * @returns {Promise<{success, fieldsFilledCount, report, message}>}
+ */
+async function fillTabWithActiveProfile(tab) {
+  if (!tab.url || !tab.url.includes('simplepractice.com')) {
+    showBadge(tab.id, '!', 'error');
+    return { success: false, fieldsFilledCount: 0, report: [], message: 'Not a SimplePractice page' };
+  }
+
+  if (!(await getVaultKey())) {
+    showBadge(tab.id, '!', 'error');
+    return { success: false, fieldsFilledCount: 0, report: [], message: 'Client data is locked - unlock it in the popup' };
+  }
+
+  const { profile, data } = await getActiveProfileFillData();
+  if (!hasAnyValue(data)) {
+    showBadge(tab.id, '!', 'error');
+    return { success: false, fieldsFilledCount: 0, report: [], message: 'The selected profile is empty' };
+  }
+
+  await touchVaultSession();
+
+  const response = await new Promise(resolve => {
+    const message = {
+      action: 'autofill',
+      data,
+      profileId: profile.id,
+      profileName: getProfileDisplayName(profile),
+      confirmDuplicates: true
+    };
+    sendMessageWithFallback(tab.id, message, resolve);
+  });
+
+  console.log('📥 Autofill response:', response ? { success: response.success, fieldsFilledCount: response.fieldsFilledCount } : response);
+
+  if (response && response.success) {
+    showBadge(tab.id, String(response.fieldsFilledCount), 'success');
+    await queueDataClear(() => scheduleClientDataClear('profile', profile.id));
+  } else {
+    showBadge(tab.id, '!', 'error');
+  }
+
+  return Object.assign({ profileName: getProfileDisplayName(profile) }, response);
+}
+
+/**
+ * Show an armed fill's outcome, mark its queue item done and apply the retention setting
+ */
+async function onArmedFillComplete(tab, queueItemId, profileId, result) {
+  console.log('📥 Armed fill finished:', result ? { success: result.success, fieldsFilledCount: result.fieldsFilledCount } : result);
+
+  if (!result || !result.success) {
+    showBadge(tab.id, '!', 'error');
+    return;
+  }
+
+  showBadge(tab.id, String(result.fieldsFilledCount), 'success');
+
+  // Rewrites the queue - in line with the clears so neither undoes the other
+  await queueDataClear(async () => {
+    if (queueItemId && !(await getVaultKey())) {
+      console.warn('⚠️ Vault locked - queue item not marked done:', queueItemId);
+    } else if (queueItemId) {
+      const queue = await loadIntakeQueue();
+      const item = queue.find(entry => entry.id === queueItemId);
+      if (item) {
+        item.status = 'done';
+        item.completedAt = Date.now();
+        await saveIntakeQueue(queue);
+      }
+    }
+
+    await scheduleClientDataClear(queueItemId ? 'queueItem' : 'profile', queueItemId || profileId);
+  });
+}
+
+/**
+ * Briefly show text on the toolbar icon for one tab
+ */
+function showBadge(tabId, text, type) {
+  chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLORS[type] });
+  chrome.action.setBadgeText({ tabId, text });
+
+  setTimeout(() => {
+    chrome.action.setBadgeText({ tabId, text: '' });
+  }, BADGE_CLEAR_DELAY);
+}
+
+// ============================================================================
+// CONTEXT MENU
+// ============================================================================
+
+let contextMenuRebuildTimer = null;
+
+// Rebuilds run one at a time - each removes every item and recreates the same ids
+let contextMenuRebuilds = Promise.resolve();
+
+chrome.runtime.onInstalled.addListener(() => queueContextMenuRebuild());
+chrome.runtime.onStartup.addListener(() => queueContextMenuRebuild());
+
+// Keep the menu in step with profile edits, custom field labels and locking
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if ((areaName === 'local' && changes[PROFILES_STORAGE_KEY]) ||
+      (areaName === 'sync' && changes[MATCHER_RULES_STORAGE_KEY]) ||
+      (areaName === 'session' && changes[VAULT_SESSION_KEY])) {
+    // The popup saves on every keystroke
+    clearTimeout(contextMenuRebuildTimer);
+    contextMenuRebuildTimer = setTimeout(queueContextMenuRebuild, 500);
+  }
+});
+
+/**
+ * Every non-empty value of the selected profile as { key, label, value }
+ * Includes every email and phone, the full DOB and each guardian/partner field.
+ * @returns {Promise<Array|null>} null while the vault is locked
+ */
+async function getFillableValues() {
+  if (!(await getVaultKey())) return null;
+
+  const { data } = await getActiveProfileFillData();
+  const ruleSet = await loadMatcherRules();
+  const labels = Object.assign({}, FIELD_LABELS);
+  for (const matcher of getCustomDataTypes(ruleSet)) {
+    labels[matcher.type] = matcher.label || matcher.type;
+  }
+
+  const values = [];
+  for (const [key, value] of Object.entries(data)) {
+    if (typeof value !== 'string' || !value) continue;
+    values.push({ key, label: labels[key] || key, value });
+  }
+
+  data.emails.filter(email => email.address).forEach((email, index) => {
+    const key = getContactMethodKey('email', index);
+    values.push({ key, label: getFieldLabel(key), value: email.address });
+  });
+
+  data.phones.filter(phone => phone.number).forEach((phone, index) => {
+    const key = getContactMethodKey('phone', index);
+    values.push({ key, label: getFieldLabel(key), value: phone.number });
+  });
+
+  if (data.dobMonth && data.dobDay && data.dobYear) {
+    const dob = `${data.dobMonth.padStart(2, '0')}/${data.dobDay.padStart(2, '0')}/${data.dobYear}`;
+    values.push({ key: 'dob', label: 'DOB', value: dob });
+  }
+
+  const roleCounts = {};
+  for (const contact of data.contacts) {
+    roleCounts[contact.role] = (roleCounts[contact.role] || 0) + 1;
+    const prefix = contact.role + roleCounts[contact.role];
+
+    for (const field of CONTACT_FIELDS) {
+      if (!contact[field]) continue;
+      const key = `${prefix}.${field}`;
+      values.push({ key, label: getFieldLabel(key), value: contact[field] });
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Rebuild the menu after any rebuild still running
+ */
+function queueContextMenuRebuild() {
+  contextMenuRebuilds = contextMenuRebuilds
+    .then(rebuildContextMenu)
+    .catch(error => console.error('❌ Context menu not rebuilt:', error));
+}
+
+/**
+ * Add a menu item, logging a failed create (e.g. a duplicate id) instead of leaving it unchecked
+ */
+function createContextMenuItem(properties) {
+  chrome.contextMenus.create(properties, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('⚠️ Context menu item not created:', properties.id, chrome.runtime.lastError.message);
+    }
+  });
+}
+
+/**
+ * Recreate the "Fill this field with…" submenu for the selected profile
+ * Only call through queueContextMenuRebuild.
+ */
+async function rebuildContextMenu() {
+  const values = await getFillableValues();
+
+  await chrome.contextMenus.removeAll();
+
+  createContextMenuItem({
+    id: CONTEXT_MENU_ROOT_ID,
+    title: 'Fill this field with…',
+    contexts: ['editable'],
+    documentUrlPatterns: ['*://*.simplepractice.com/*']
+  });
+
+  if (!values || values.length === 0) {
+    createContextMenuItem({
+      id: CONTEXT_MENU_ITEM_PREFIX,
+      parentId: CONTEXT_MENU_ROOT_ID,
+      title: values ? 'The selected profile is empty' : 'Locked - unlock in the popup',
+      contexts: ['editable'],
+      enabled: false
+    });
+    return;
+  }
+
+  for (const { key, label, value } of values) {
+    const shown = value.length > CONTEXT_MENU_VALUE_LENGTH
+      ? value.substring(0, CONTEXT_MENU_VALUE_LENGTH) + '…'
+      : value;
+
+    createContextMenuItem({
+      id: CONTEXT_MENU_ITEM_PREFIX + key,
+      parentId: CONTEXT_MENU_ROOT_ID,
+      title: `${label}: ${shown}`,
+      contexts: ['editable']
+    });
+  }
+}
+
+/**
+ * Write one profile value into the right-clicked field
+ */
+async function fillClickedField(tab, key) {
+  try {
+    const entry = ((await getFillableValues()) || []).find(value => value.key === key);
+    if (!entry) {
+      showBadge(tab.id, '!', 'error');
+      return;
+    }
+
+    sendMessageWithFallback(tab.id, { action: 'fillContextField', dataKey: key, value: entry.value }, (response) => {
+      showBadge(tab.id, response && response.success ? '✓' : '!', response && response.success ? 'success' : 'error');
+    });
+  } catch (error) {
+    console.error('❌ Context fill failed:', error);
+    showBadge(tab.id, '!', 'error');
+  }
+}
+
+// ============================================================================
+// AUTO-LOCK
+// ============================================================================
+
+// Re-arm the alarm whenever the vault is unlocked or its idle deadline moves
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'session' || !changes[VAULT_SESSION_KEY]) return;
+
+  const session = changes[VAULT_SESSION_KEY].newValue;
+  if (session) {
+    chrome.alarms.create(VAULT_AUTO_LOCK_ALARM, { when: session.expiresAt });
+  } else {
+    chrome.alarms.clear(VAULT_AUTO_LOCK_ALARM);
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  // getVaultKey locks the vault once its deadline has passed
+  if (alarm.name === VAULT_AUTO_LOCK_ALARM) getVaultKey();
+  if (alarm.name === DATA_CLEAR_ALARM) queueDataClear(() => clearDueClientData());
+});
+
+// ============================================================================
+// FILL HISTORY & AUDIT LOG
+// ============================================================================
+
+// Writes are read-modify-write on one encrypted value - run them one at a time
+let logWrites = Promise.resolve();
+
+function queueLogWrite(write) {
+  logWrites = logWrites
+    .then(write)
+    .catch(error => console.error('❌ Log not saved:', error));
+}
+
+// Fills made while locked are written as soon as the vault is unlocked
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'session' && changes[VAULT_SESSION_KEY] &&
+      changes[VAULT_SESSION_KEY].newValue && !changes[VAULT_SESSION_KEY].oldValue) {
+    queueLogWrite(() => appendFillHistory(null));
+    queueLogWrite(() => appendAuditEvents([]));
+  }
+});
+
+// ============================================================================
+// RETENTION
+// ============================================================================
+
+// Clears rewrite the whole profile state and queue - they only run here, one at a time
+let dataClears = Promise.resolve();
+
+function queueDataClear(clear) {
+  dataClears = dataClears
+    .then(clear)
+    .catch(error => console.error('❌ Client data not cleared:', error));
+  return dataClears;
+}
+
+chrome.runtime.onStartup.addListener(scheduleDataClearAlarm);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[PENDING_CLEARS_STORAGE_KEY]) {
+    scheduleDataClearAlarm();
+  }
+
+  // Clears that came due while locked run as soon as the vault is unlocked
+  if (areaName === 'session' && changes[VAULT_SESSION_KEY] &&
+      changes[VAULT_SESSION_KEY].newValue && !changes[VAULT_SESSION_KEY].oldValue) {
+    queueDataClear(() => clearDueClientData());
+  }
+});
+
+/**
+ * Point the alarm at the earliest pending clear (none when nothing is pending)
+ */
+async function scheduleDataClearAlarm() {
+  const pending = await loadPendingClears();
+  if (pending.length === 0) {
+    chrome.alarms.clear(DATA_CLEAR_ALARM);
+    return;
+  }
+  chrome.alarms.create(DATA_CLEAR_ALARM, { when: Math.min(...pending.map(entry => entry.clearAt)) });
+}
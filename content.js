@@ -19,22 +19,9 @@ if (!location.hostname.includes('simplepractice.com')) {
 // CONFIGURATION - SimplePractice Vocabulary
 // ============================================================================
 
-// Development mode - enables logging of unmatched fields
+// Development mode - enables logging of unmatched fields and match scores
 const DEV_MODE = false;
 
-// Client type radio button keywords
-const CLIENT_TYPE_KEYWORDS = {
-  adult: ['adult'],
-  minor: ['minor'],
-  couple: ['couple']
-};
-
-// Billing type radio button keywords
-const BILLING_TYPE_KEYWORDS = {
-  'self-pay': ['self', 'self-pay'],
-  insurance: ['insurance']
-};
-
 // Contact tab identification
 const CONTACT_TAB_KEYWORDS = ['contact'];
 
@@ -44,41 +31,143 @@ const ADD_EMAIL_BUTTON_KEYWORDS = ['add email', '+ email'];
 // Add phone button keywords
 const ADD_PHONE_BUTTON_KEYWORDS = ['add phone', '+ phone', 'add mobile'];
 
-// Date of birth field keywords
-const DOB_FIELD_KEYWORDS = {
-  month: /\bmonth\b/,
-  day: /\bday\b/,
-  year: /\byear\b/
+// Email / phone lists: profile list key, value key of an entry, "Add" buttons
+const CONTACT_METHOD_KINDS = {
+  email: { listKey: 'emails', valueKey: 'address', addButtonKeywords: ADD_EMAIL_BUTTON_KEYWORDS },
+  phone: { listKey: 'phones', valueKey: 'number', addButtonKeywords: ADD_PHONE_BUTTON_KEYWORDS }
+};
+
+// Email / phone row checkbox labels -> flag on the entry
+const CONTACT_METHOD_FLAG_KEYWORDS = {
+  reminders: ['reminder'],
+  voicemail: ['voicemail', 'voice mail', 'leave a message', 'leave message'],
+  textMessages: ['text message', 'ok to text', 'sms']
+};
+
+// Add address button keywords
+const ADD_ADDRESS_BUTTON_KEYWORDS = ['add address', '+ address'];
+
+// Address data keys (any of them triggers the "Add address" flow)
+const ADDRESS_DATA_KEYS = ['streetAddress', 'addressLine2', 'city', 'state', 'zipCode', 'country'];
+
+// Insurance section navigation
+const INSURANCE_TAB_KEYWORDS = ['insurance'];
+const ADD_INSURANCE_BUTTON_KEYWORDS = ['add insurance', '+ insurance', 'add payer'];
+
+// Payer (insurance company) field - usually a searchable dropdown
+const PAYER_FIELD_KEYWORDS = ['payer', 'insurance company', 'insurance carrier', 'insurance plan', 'carrier'];
+
+// Insurance data keys - filled after navigating to the insurance section
+const INSURANCE_DATA_KEYS = [
+  'insurancePayer',
+  'insuranceMemberId',
+  'insuranceGroupNumber',
+  'subscriberRelationship',
+  'subscriberFirstName',
+  'subscriberLastName',
+  'subscriberDob'
+];
+
+// Subscriber (policyholder) fields - their DOB dropdowns take subscriberDob
+const SUBSCRIBER_FIELD_PATTERN = /subscriber|insured|policy\s*holder/;
+
+// Relationship values (subscriber and contacts) -> option spellings
+const RELATIONSHIP_VARIANTS = {
+  self: ['Self'],
+  spouse: ['Spouse', 'Partner', 'Husband', 'Wife'],
+  partner: ['Partner', 'Spouse', 'Significant Other'],
+  child: ['Child', 'Dependent', 'Son', 'Daughter'],
+  parent: ['Parent', 'Mother', 'Father'],
+  mother: ['Mother', 'Parent'],
+  father: ['Father', 'Parent'],
+  guardian: ['Legal Guardian', 'Guardian'],
+  grandparent: ['Grandparent', 'Grandmother', 'Grandfather'],
+  other: ['Other']
+};
+
+// Add contact block buttons (guardian for minors, second client for couples)
+const ADD_CONTACT_BUTTON_KEYWORDS = [
+  'add contact', 'add another contact', 'add guardian', 'add another guardian',
+  'add partner', 'add another client', 'add client 2'
+];
+
+// Block heading keywords -> contact role (steers which contact fills which block)
+// A contact's own fields may mention its role words ("Guardian first name"), so
+// inside its block they do not count as negative keywords
+const CONTACT_ROLE_KEYWORDS = {
+  guardian: ['guardian', 'parent', 'mother', 'father', 'contact'],
+  partner: ['partner', 'spouse', 'client 2', 'second client']
+};
+
+// Data types that may be a <select> instead of a text input, with the
+// function listing every spelling of a value ("CA" -> ['CA', 'California'])
+const DROPDOWN_DATA_TYPES = {
+  state: getStateVariants,
+  country: getCountryVariants,
+  relationship: value => RELATIONSHIP_VARIANTS[value.toLowerCase()] || [value],
+  phoneType: value => PHONE_TYPE_VARIANTS[value.toLowerCase()] || [value]
 };
 
+// Searchable dropdowns (Ember power-select and ARIA comboboxes)
+const SEARCHABLE_DROPDOWN_TRIGGER_SELECTOR = '.ember-power-select-trigger, [role="combobox"]';
+const SEARCHABLE_DROPDOWN_SEARCH_SELECTOR = '.ember-power-select-search-input, [role="searchbox"], input[aria-autocomplete]';
+const SEARCHABLE_DROPDOWN_OPTION_SELECTOR = '.ember-power-select-option, [role="option"]';
+const SEARCHABLE_DROPDOWN_PLACEHOLDER_PATTERN = /^(no (results|matches)|loading|searching|type to search)/i;
+
+// Open dialogs - the last one opened is the fill scope
+const DIALOG_SCOPE_SELECTOR = '[role="dialog"], [role="alertdialog"], dialog[open], [aria-modal="true"]';
+
+// Regions a click in "pick form" mode can lock onto (closest wins, in this order)
+const PICKABLE_SCOPE_SELECTORS = ['form', DIALOG_SCOPE_SELECTOR, 'fieldset, section, [role="tabpanel"]'];
+
+// ============================================================================
+// MATCHER RULES - user-editable (options page), see matcher-rules.js
+// ============================================================================
+
+// Client type radio button keywords
+let CLIENT_TYPE_KEYWORDS;
+
+// Billing type radio button keywords
+let BILLING_TYPE_KEYWORDS;
+
+// Date of birth field keywords
+let DOB_FIELD_KEYWORDS;
+
 // Field matchers configuration - defines how to match form fields to data types
-const FIELD_MATCHERS = [
-  {
-    type: 'firstName',
-    keywords: [['first', 'name'], ['given', 'name']],
-    getValue: data => data.firstName
-  },
-  {
-    type: 'lastName',
-    keywords: [['last', 'name'], ['surname'], ['family', 'name']],
-    getValue: data => data.lastName
-  },
-  {
-    type: 'preferredName',
-    keywords: [['prefer'], ['nickname'], [/\bgo\s+by\b/]],
-    getValue: data => data.preferredName
-  },
-  {
-    type: 'email',
-    keywords: [['email'], ['e-mail']],
-    getValue: data => data.email
-  },
-  {
-    type: 'phone',
-    keywords: [['phone'], ['mobile'], ['cell'], ['telephone']],
-    getValue: data => data.phone
+let FIELD_MATCHERS;
+
+/**
+ * Install a rule set as the active matcher configuration
+ */
+function applyMatcherRules(ruleSet) {
+  const compiled = compileMatcherRules(ruleSet);
+  FIELD_MATCHERS = compiled.fieldMatchers;
+  CLIENT_TYPE_KEYWORDS = compiled.clientTypeKeywords;
+  BILLING_TYPE_KEYWORDS = compiled.billingTypeKeywords;
+  DOB_FIELD_KEYWORDS = compiled.dobFieldKeywords;
+}
+
+// Start with the defaults so matching works even before storage answers
+applyMatcherRules(DEFAULT_MATCHER_RULES);
+
+// Resolves once the user's stored rules are active
+const matcherRulesReady = loadMatcherRules()
+  .then(applyMatcherRules)
+  .catch(error => {
+    console.warn('SimplePractice Autofill: Could not load matcher rules, using defaults', error);
+  });
+
+// Pick up edits from the options page without a page reload
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes[MATCHER_RULES_STORAGE_KEY]) {
+    // A bad save keeps the rules already in use
+    loadMatcherRules()
+      .then(applyMatcherRules)
+      .catch(error => {
+        if (DEV_MODE) console.warn('SimplePractice Autofill: Could not reload matcher rules', error);
+      });
   }
-];
+});
 
 // ============================================================================
 // MESSAGE LISTENER - Entry Point
@@ -86,14 +175,94 @@ const FIELD_MATCHERS = [
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'autofill') {
+    // The popup asks first; "Fill anyway" sends the same data without checkDuplicates.
+    // Fills without the popup (shortcut, fill button) ask on the page instead.
+    if (request.checkDuplicates || request.confirmDuplicates) {
+      const duplicates = findDuplicateClientsSafely(request.data);
+      if (duplicates.length > 0 && (request.checkDuplicates || !confirmDuplicateFill(duplicates))) {
+        sendResponse(createDuplicateResult(duplicates));
+        return;
+      }
+    }
+    
     autofillWithRetry(request.data)
+      .catch(error => ({
+        success: false,
+        fieldsFilledCount: 0,
+        report: [],
+        message: 'Error: ' + error.message
+      }))
+      .then(result => {
+        recordFillHistory(result, getFillSource(request));
+        sendResponse(result);
+      });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'preview') {
+    previewWithRetry(request.data)
       .then(result => sendResponse(result))
       .catch(error => sendResponse({
         success: false,
-        fieldsFilledCount: 0,
+        entries: [],
         message: 'Error: ' + error.message
       }));
-    return true; // Keep channel open for async response
+    return true;
+  }
+
+  if (request.action === 'clearPreview') {
+    clearPreviewHighlights();
+    sendResponse({ success: true });
+  }
+  
+  if (request.action === 'undo') {
+    undoLastAutofill()
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({
+        success: false,
+        restoredCount: 0,
+        message: 'Error: ' + error.message
+      }));
+    return true;
+  }
+  
+  if (request.action === 'fillContextField') {
+    fillContextField(request.dataKey, request.value)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, message: 'Error: ' + error.message }));
+    return true;
+  }
+  
+  if (request.action === 'pickScope') {
+    startScopePicker();
+    sendResponse({ success: true, message: 'Click the form to fill (Esc cancels)' });
+  }
+  
+  if (request.action === 'clearScope') {
+    pickedScope = null;
+    rescanFillButtonForm();
+    sendResponse({ success: true, scope: getScopeInfo() });
+  }
+  
+  if (request.action === 'getPageStatus') {
+    sendResponse({ success: true, scope: getScopeInfo(), armed: getArmedInfo() });
+  }
+  
+  if (request.action === 'arm') {
+    armAutofill(request.data, request.timeoutMs, getFillSource(request));
+    sendResponse({ success: true, armed: getArmedInfo(), message: 'Armed - the next new client form will be filled' });
+  }
+  
+  if (request.action === 'disarm') {
+    disarmAutofill('cancelled');
+    sendResponse({ success: true, armed: null, message: 'Disarmed' });
+  }
+  
+  // Panic wipe - forget the client data this page holds
+  if (request.action === 'wipe') {
+    disarmAutofill('wiped');
+    undoSnapshots = new Map();
+    sendResponse({ success: true });
   }
 });
 
@@ -106,6 +275,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  * Waits up to 3 seconds for form fields to appear
  */
 async function autofillWithRetry(data, maxRetries = 10, retryDelay = 300) {
+  await matcherRulesReady;
+  
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     const allFields = getAllVisibleFields();
     
@@ -121,12 +292,14 @@ async function autofillWithRetry(data, maxRetries = 10, retryDelay = 300) {
   return {
     success: false,
     fieldsFilledCount: 0,
+    report: buildFillReport(data, []),
     message: 'No form fields detected after retries'
   };
 }
 
 /**
  * Main autofill orchestrator
+ * @returns {Promise<{success, fieldsFilledCount, report, message}>}
  */
 async function autofill(data, allFields = null) {
   // Query DOM once if not provided
@@ -134,154 +307,2071 @@ async function autofill(data, allFields = null) {
     allFields = getAllVisibleFields();
   }
   
-  let totalFilled = 0;
+  const results = [];
+  
+  clearPreviewHighlights();
+  beginUndoRecording();
+  
+  // Insurance details are filled in their own pass after billing type is set
+  const { clientData, insuranceData } = splitInsuranceData(data);
   
-  // 1. Ensure dynamic contact fields are visible
-  await ensureDynamicContactFields(data);
+  // Guardians / partner get their own contact blocks, each email / phone its own row
+  const contacts = prepareContacts(clientData.contacts);
+  delete clientData.contacts;
+  const contactMethods = prepareContactMethods(clientData);
+  
+  // Impossible dates of birth are reported, never filled
+  const dateErrors = prepareDatesOfBirth(clientData, insuranceData, contacts);
+  
+  // 1. Ensure email/phone rows, address fields and contact blocks are visible
+  await ensureDynamicContactFields(clientData, contactMethods);
+  await ensureContactBlocks(contacts);
   
   // Re-query after dynamic fields may have been added
   allFields = getAllVisibleFields();
+  const { clientFields, contactGroups } = groupFieldsByPerson(allFields, contacts);
+  
+  // 2-4. Fill radio groups, text fields and select dropdowns (DOB, state, country)
+  results.push(...await fillFieldGroup(clientFields, clientData, DOB_REPORT_KEYS));
+  results.push(...await fillContactMethods(clientFields, contactMethods));
+  
+  // 5. Each guardian / partner inside their own block
+  for (const group of contactGroups) {
+    const fields = await ensureContactBlockFields(group);
+    results.push(...await fillFieldGroup(fields, group.contact.viewData, group.contact.reportKeys, group.contact.roleKeywords));
+  }
   
-  // 2. Fill radio groups
-  totalFilled += fillRadioGroups(allFields.radios, data);
+  // 6. Insurance section (billing type "insurance" only)
+  if (insuranceData) {
+    results.push(...await fillInsuranceSection(insuranceData));
+  }
   
-  // 3. Fill text fields
-  totalFilled += await fillTextFields(allFields.inputs, data);
+  recordAuditEvents('autofill', results.map(result => ({
+    element: result.element,
+    dataKey: result.type,
+    status: result.status,
+    error: result.error,
+    expected: result.expected,
+    actual: result.actual
+  })));
   
-  // 4. Fill select dropdowns (DOB)
-  totalFilled += fillSelectDropdowns(allFields.selects, data);
+  const totalFilled = results.filter(result => result.status === FILL_STATUS.FILLED).length;
+  const reportData = Object.assign(
+    {},
+    getClientReportData(clientData),
+    getContactMethodReportData(contactMethods),
+    insuranceData,
+    ...contacts.map(contact => contact.reportData)
+  );
   
   return {
     success: totalFilled > 0,
     fieldsFilledCount: totalFilled,
+    report: [...buildFillReport(reportData, results), ...buildDateErrorReport(dateErrors)],
+    scope: getScopeInfo(),
     message: totalFilled > 0 ? `Filled ${totalFilled} field(s)` : 'No matching fields found'
   };
 }
 
+/**
+ * Fill one group of fields with one person's (or section's) values
+ * @param {Object} fields - { inputs, radios, selects }
+ * @param {Object} viewData - Values under the standard data keys (firstName, email, ...)
+ * @param {Object} reportKeys - Standard key -> key used in the fill report
+ * @param {Array<string>} roleKeywords - Contact role words, not held against the fields
+ * @returns {Promise<Array<Object>>} Field results
+ */
+async function fillFieldGroup(fields, viewData, reportKeys = {}, roleKeywords = []) {
+  const results = [
+    ...await fillRadioGroups(fields.radios, viewData),
+    ...await fillTextFields(fields.inputs, viewData, roleKeywords),
+    ...await fillSelectDropdowns(fields.selects, viewData, roleKeywords)
+  ];
+  
+  for (const result of results) {
+    result.type = reportKeys[result.type] || result.type;
+  }
+  
+  return results;
+}
+
+/**
+ * Plan one group of fields (no DOM changes) - see fillFieldGroup
+ * @returns {Array<Object>} Plan entries
+ */
+function planFieldGroup(fields, viewData, reportKeys = {}, roleKeywords = []) {
+  const plan = [
+    ...planRadioGroups(fields.radios, viewData),
+    ...planTextFields(fields.inputs, viewData, roleKeywords),
+    ...planSelectDropdowns(fields.selects, viewData, roleKeywords)
+  ];
+  
+  for (const entry of plan) {
+    entry.type = reportKeys[entry.type] || entry.type;
+  }
+  
+  return plan;
+}
+
 /**
  * Query DOM once and return all visible fields
+ * @param {Element|Document} root - Only return fields inside this element (default: the fill scope)
  */
-function getAllVisibleFields() {
-  const inputs = Array.from(document.querySelectorAll(
-    'input[type="text"], input[type="email"], input[type="tel"], input:not([type]), textarea'
+function getAllVisibleFields(root = getFillScope()) {
+  const inputs = Array.from(root.querySelectorAll(
+    'input[type="text"], input[type="email"], input[type="tel"], input:not([type]), textarea, ' +
+    'input[type="checkbox"], input[type="date"], [role="textbox"][contenteditable="true"]'
   )).filter(el => isVisible(el) && !el.disabled);
   
-  const radios = Array.from(document.querySelectorAll('input[type="radio"]'))
+  const radios = Array.from(root.querySelectorAll('input[type="radio"]'))
     .filter(isVisible);
   
-  const selects = Array.from(document.querySelectorAll('select'))
+  const selects = Array.from(root.querySelectorAll('select'))
     .filter(el => isVisible(el) && !el.disabled);
   
   return { inputs, radios, selects };
 }
 
 // ============================================================================
-// DYNAMIC FIELD ACTIVATION
+// FILL REPORT
 // ============================================================================
 
+// Outcome of one data key (and of each field written for it)
+const FILL_STATUS = {
+  FILLED: 'filled',       // Value written and verified
+  SKIPPED: 'skipped',     // No field on the page matched
+  FAILED: 'failed',       // Writing threw an error
+  REJECTED: 'rejected'    // Written, but the field ended up holding something else (mask)
+};
+
+// Worst outcome wins when one data key was written to several fields
+const FILL_STATUS_SEVERITY = ['filled', 'rejected', 'failed'];
+
 /**
- * Clicks "Contact" tab and "Add email/phone" buttons if needed
+ * Build a per-field result after writing a value
+ * @param {Object} entry - Plan entry ({ element, type, value })
+ * @param {Error|null} error - Error thrown while writing, if any
  */
-async function ensureDynamicContactFields(data) {
-  if (!data.email && !data.phone) return;
+function createFieldResult(entry, error = null) {
+  const result = {
+    element: entry.element,
+    type: entry.type,
+    expected: entry.value,
+    actual: null,
+    status: FILL_STATUS.FILLED,
+    error: null
+  };
   
-  // Try to click Contact tab
-  const contactTab = findTabByKeywords(CONTACT_TAB_KEYWORDS);
-  if (contactTab) {
-    contactTab.click();
-    await wait(600);
+  if (error) {
+    result.status = FILL_STATUS.FAILED;
+    result.error = error.message;
+    return result;
   }
   
-  // Click "Add email" if email provided but field not visible
-  if (data.email && !findEmailField()) {
-    const addEmailBtn = findButtonByKeywords(ADD_EMAIL_BUTTON_KEYWORDS);
-    if (addEmailBtn) {
-      addEmailBtn.click();
-      await wait(600);
-    }
+  const verification = verifyFieldValue(entry.element, entry.value, entry.type);
+  result.actual = verification.actual;
+  if (!verification.ok) {
+    result.status = FILL_STATUS.REJECTED;
   }
   
-  // Click "Add phone" if phone provided but field not visible
-  if (data.phone && !findPhoneField()) {
-    const addPhoneBtn = findButtonByKeywords(ADD_PHONE_BUTTON_KEYWORDS);
-    if (addPhoneBtn) {
-      addPhoneBtn.click();
-      await wait(600);
+  return result;
+}
+
+/**
+ * Compare what actually ended up in the field with what we sent
+ * @returns {{ok: boolean, actual: string}}
+ */
+function verifyFieldValue(field, expected, type) {
+  const filler = getFieldFiller(field, type);
+  if (!filler) {
+    return { ok: false, actual: '' };
+  }
+  return filler.verify(field, expected, type);
+}
+
+/**
+ * Summarize field results per data key
+ * Every non-empty data key gets one entry; keys nothing was written for are "skipped".
+ * @returns {Array<{dataKey, status, fields: Array<{field, status, expected, actual, error}>}>}
+ */
+function buildFillReport(data, results) {
+  const report = [];
+  
+  for (const [dataKey, value] of Object.entries(data)) {
+    if (value === null || value === undefined || value === '') continue;
+    
+    const keyResults = results.filter(result => result.type === dataKey);
+    
+    if (keyResults.length === 0) {
+      report.push({
+        dataKey,
+        status: FILL_STATUS.SKIPPED,
+        fields: [],
+        message: 'No matching field found'
+      });
+      continue;
     }
+    
+    const status = keyResults
+      .map(result => result.status)
+      .reduce((worst, current) =>
+        FILL_STATUS_SEVERITY.indexOf(current) > FILL_STATUS_SEVERITY.indexOf(worst) ? current : worst
+      );
+    
+    report.push({
+      dataKey,
+      status,
+      fields: keyResults.map(result => ({
+        field: describeField(result.element),
+        status: result.status,
+        expected: result.expected,
+        actual: result.actual,
+        error: result.error
+      })),
+      message: describeFillStatus(status, keyResults)
+    });
   }
+  
+  return report;
 }
 
 /**
- * Find tab by keywords, excluding external links
+ * One-line explanation of a data key's outcome
  */
-function findTabByKeywords(keywords) {
-  // Try proper ARIA tabs first
-  const tabs = document.querySelectorAll('[role="tab"]');
-  for (const tab of tabs) {
-    if (matchesAnyKeyword(tab.textContent.toLowerCase(), keywords)) {
-      return tab;
+function describeFillStatus(status, keyResults) {
+  const problem = keyResults.find(result => result.status === status);
+  
+  switch (status) {
+    case FILL_STATUS.FAILED:
+      return `Error: ${problem.error}`;
+    case FILL_STATUS.REJECTED:
+      return `Field shows "${problem.actual}" instead of "${problem.expected}"`;
+    default:
+      return `Filled ${keyResults.length} field(s)`;
+  }
+}
+
+// ============================================================================
+// FILL HISTORY
+// ============================================================================
+
+/**
+ * Where a fill's data came from, as sent with `autofill` / `arm`
+ * @returns {{profileId: string|null, queueItemId: string|null, profileName: string}}
+ */
+function getFillSource(request) {
+  return {
+    profileId: request.profileId || null,
+    queueItemId: request.queueItemId || null,
+    profileName: request.profileName || ''
+  };
+}
+
+/**
+ * Send a finished fill to the background worker's fill history (history.js)
+ * Only data keys and their outcomes are sent - never the values.
+ */
+function recordFillHistory(result, source) {
+  const entry = Object.assign({}, source, {
+    timestamp: Date.now(),
+    path: location.pathname,
+    success: Boolean(result.success),
+    fieldsFilledCount: result.fieldsFilledCount || 0,
+    message: result.message || '',
+    fields: (result.report || []).map(item => ({ dataKey: item.dataKey, status: item.status }))
+  });
+  
+  try {
+    chrome.runtime.sendMessage({ action: 'recordFillHistory', entry });
+  } catch (error) {
+    // Extension was reloaded - nobody to tell
+  }
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+/**
+ * Send one audit event per changed element to the background worker's audit log (audit-log.js)
+ * Values and error text go along; the background worker drops them unless
+ * the audit settings keep values.
+ * @param {string} action - 'autofill', 'contextFill' or 'undo'
+ * @param {Array<{element, dataKey, status, error?, expected?, actual?}>} changes - status is a
+ *   FILL_STATUS, or 'restored' / 'missing' / 'unsupported' for undo
+ */
+function recordAuditEvents(action, changes) {
+  if (changes.length === 0) return;
+  
+  const timestamp = Date.now();
+  const events = changes.map(change => ({
+    timestamp,
+    path: location.pathname,
+    action,
+    dataKey: change.dataKey || '',
+    field: Object.assign(
+      { tag: change.element.tagName.toLowerCase(), type: change.element.type || '' },
+      getFieldIdentity(change.element)
+    ),
+    status: change.status,
+    success: change.status === FILL_STATUS.FILLED || change.status === 'restored',
+    error: change.error || null,
+    expected: change.expected === undefined ? null : change.expected,
+    actual: change.actual === undefined ? null : change.actual
+  }));
+  
+  try {
+    chrome.runtime.sendMessage({ action: 'recordAuditEvents', events });
+  } catch (error) {
+    // Extension was reloaded - nobody to tell
+  }
+}
+
+// ============================================================================
+// PREVIEW (DRY RUN)
+// ============================================================================
+
+// Outline used to mark fields that would be filled
+const PREVIEW_OUTLINE = '2px dashed #4285f4';
+
+// Elements currently outlined -> their original inline outline
+const previewHighlights = new Map();
+
+/**
+ * Retry mechanism for preview - same timing as autofillWithRetry
+ */
+async function previewWithRetry(data, maxRetries = 10, retryDelay = 300) {
+  await matcherRulesReady;
+  
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    const allFields = getAllVisibleFields();
+    
+    if (allFields.inputs.length > 0) {
+      return preview(data, allFields);
+    }
+    
+    if (attempt < maxRetries) {
+      await wait(retryDelay);
     }
   }
   
-  // Try button-like elements with tab indicators
-  const buttons = document.querySelectorAll('button, [role="button"], .tab, [class*="tab"]');
-  for (const btn of buttons) {
-    if (matchesAnyKeyword(btn.textContent.toLowerCase(), keywords)) {
-      // Exclude external links
-      const links = btn.querySelectorAll('a[href]');
-      const hasExternalLink = Array.from(links).some(link => 
-        link.href.startsWith('http') && !link.href.includes('simplepractice.com')
-      );
-      if (!hasExternalLink) {
-        return btn;
-      }
-    }
+  return {
+    success: false,
+    entries: [],
+    message: 'No form fields detected after retries'
+  };
+}
+
+/**
+ * Run the matching steps of autofill without changing any values.
+ * Does not click tabs or "Add email/phone/contact/insurance" - fields behind them are not listed.
+ * Outlines every target element on the page.
+ */
+function preview(data, allFields = null) {
+  if (!allFields) {
+    allFields = getAllVisibleFields();
+  }
+  
+  const { clientData, insuranceData } = splitInsuranceData(data);
+  const contacts = prepareContacts(clientData.contacts);
+  delete clientData.contacts;
+  const contactMethods = prepareContactMethods(clientData);
+  
+  const dateErrors = prepareDatesOfBirth(clientData, insuranceData, contacts);
+  
+  const { clientFields, contactGroups } = groupFieldsByPerson(allFields, contacts);
+  
+  const plan = planFieldGroup(clientFields, clientData, DOB_REPORT_KEYS);
+  for (const entry of planContactMethods(clientFields, contactMethods)) {
+    plan.push(Object.assign(entry, { type: entry.reportKey }));
+  }
+  for (const group of contactGroups) {
+    plan.push(...planFieldGroup(group.fields, group.contact.viewData, group.contact.reportKeys, group.contact.roleKeywords));
+  }
+  
+  // Insurance fields already on screen (the insurance tab is not opened)
+  if (insuranceData) {
+    plan.push(...planFieldGroup(clientFields, getInsuranceViewData(insuranceData), INSURANCE_REPORT_KEYS));
+  }
+  
+  const payerEntry = insuranceData ? planPayerField(insuranceData) : null;
+  if (payerEntry) {
+    plan.push(payerEntry);
+  }
+  
+  highlightPreviewFields(plan.map(entry => entry.element));
+  
+  const entries = plan.map(entry => ({
+    field: describeField(entry.element),
+    dataKey: entry.type,
+    plannedValue: entry.value,
+    reason: entry.reason
+  }));
+  
+  return {
+    success: entries.length > 0,
+    entries,
+    scope: getScopeInfo(),
+    message: (entries.length > 0
+      ? `${entries.length} field(s) would be filled`
+      : 'No matching fields found') +
+      dateErrors.map(error => ` · ${getDateErrorLabel(error.dataKey)} skipped: ${error.message}`).join('')
+  };
+}
+
+/**
+ * Outline elements planned for filling (replaces any previous preview)
+ */
+function highlightPreviewFields(elements) {
+  clearPreviewHighlights();
+  
+  for (const element of elements) {
+    // Radios are tiny - outline their label instead when there is one
+    const target = element.type === 'radio' ? (element.closest('label') || element) : element;
+    if (previewHighlights.has(target)) continue;
+    
+    previewHighlights.set(target, target.style.outline);
+    target.style.outline = PREVIEW_OUTLINE;
+  }
+}
+
+/**
+ * Restore original outlines
+ */
+function clearPreviewHighlights() {
+  for (const [element, outline] of previewHighlights) {
+    element.style.outline = outline;
+  }
+  previewHighlights.clear();
+}
+
+/**
+ * Human-readable field name for reports
+ */
+function describeField(field) {
+  const label = field.type === 'radio' ? getRadioLabelText(field) : getAssociatedLabelText(field);
+  return label ||
+    field.placeholder ||
+    field.getAttribute('aria-label') ||
+    field.name ||
+    field.id ||
+    field.tagName.toLowerCase();
+}
+
+// ============================================================================
+// FILL SCOPE
+// ============================================================================
+
+// Region chosen with "pick form" - kept until cleared, replaced or removed from the page
+let pickedScope = null;
+
+// Listeners and outline while "pick form" mode is active
+let scopePicker = null;
+
+/**
+ * Element that matching is restricted to: the picked region, else the
+ * topmost open dialog, else the main form, else the whole document
+ * @returns {Element|Document}
+ */
+function getFillScope() {
+  if (isPickedScopeActive()) return pickedScope;
+  
+  const dialogs = Array.from(document.querySelectorAll(DIALOG_SCOPE_SELECTOR)).filter(isVisible);
+  if (dialogs.length > 0) {
+    // Modals are appended as they open - the last one is on top
+    return dialogs[dialogs.length - 1];
+  }
+  
+  return findMainForm() || document;
+}
+
+function isPickedScopeActive() {
+  return !!pickedScope && pickedScope.isConnected && isVisible(pickedScope);
+}
+
+/**
+ * Visible form with the most fillable fields (search boxes and other
+ * one-field forms don't count)
+ */
+function findMainForm() {
+  let best = null;
+  let bestCount = 1;
+  
+  for (const form of document.querySelectorAll('form')) {
+    if (form.getAttribute('role') === 'search' || !isVisible(form)) continue;
+    
+    const fields = getAllVisibleFields(form);
+    const count = fields.inputs.length + fields.selects.length;
+    if (count > bestCount) {
+      best = form;
+      bestCount = count;
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Current scope for the popup
+ * @returns {{label: string, picked: boolean}}
+ */
+function getScopeInfo() {
+  return { label: describeScope(getFillScope()), picked: isPickedScopeActive() };
+}
+
+/**
+ * Short name of a scope, e.g. 'dialog "New Client"'
+ */
+function describeScope(scope) {
+  if (scope === document) return 'whole page';
+  
+  const kind = scope.matches(DIALOG_SCOPE_SELECTOR) ? 'dialog' : scope.tagName.toLowerCase();
+  const heading = getBlockHeading(scope).replace(/\s+/g, ' ').substring(0, 40);
+  return heading ? `${kind} "${heading}"` : kind;
+}
+
+/**
+ * Region a click on `target` would lock onto
+ */
+function getScopeCandidate(target) {
+  for (const selector of PICKABLE_SCOPE_SELECTORS) {
+    const region = target.closest(selector);
+    if (region) return region;
+  }
+  return target;
+}
+
+/**
+ * "Pick form" mode: outline the region under the cursor, lock it on click
+ */
+function startScopePicker() {
+  stopScopePicker();
+  
+  const picker = { outlined: null, outline: '' };
+  
+  const setOutline = (element) => {
+    if (picker.outlined === element) return;
+    if (picker.outlined) picker.outlined.style.outline = picker.outline;
+    picker.outlined = element;
+    picker.outline = element ? element.style.outline : '';
+    if (element) element.style.outline = PREVIEW_OUTLINE;
+  };
+  
+  // Swallow the click (and the mousedown Ember reacts to) so nothing on the page runs
+  picker.onMouseDown = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+  };
+  picker.onMouseOver = (e) => setOutline(getScopeCandidate(e.target));
+  picker.onClick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    pickedScope = getScopeCandidate(e.target);
+    if (DEV_MODE) {
+      console.log('SimplePractice Autofill: Fill scope locked to', describeScope(pickedScope));
+    }
+    stopScopePicker();
+    rescanFillButtonForm();
+  };
+  picker.onKeyDown = (e) => {
+    if (e.key === 'Escape') stopScopePicker();
+  };
+  picker.setOutline = setOutline;
+  
+  document.addEventListener('mousedown', picker.onMouseDown, true);
+  document.addEventListener('mouseover', picker.onMouseOver, true);
+  document.addEventListener('click', picker.onClick, true);
+  document.addEventListener('keydown', picker.onKeyDown, true);
+  scopePicker = picker;
+}
+
+function stopScopePicker() {
+  if (!scopePicker) return;
+  
+  scopePicker.setOutline(null);
+  document.removeEventListener('mousedown', scopePicker.onMouseDown, true);
+  document.removeEventListener('mouseover', scopePicker.onMouseOver, true);
+  document.removeEventListener('click', scopePicker.onClick, true);
+  document.removeEventListener('keydown', scopePicker.onKeyDown, true);
+  scopePicker = null;
+}
+
+// ============================================================================
+// UNDO
+// ============================================================================
+
+// Element -> its state before the last autofill changed it
+let undoSnapshots = new Map();
+
+/**
+ * Start a new undo record (replaces the previous autofill's)
+ */
+function beginUndoRecording() {
+  undoSnapshots = new Map();
+}
+
+/**
+ * Remember an element's current value / checked state before it is changed
+ * Only the first call per element counts, so a field written twice still
+ * reverts to its value from before the fill.
+ * @param {string} type - Data type (phone values are restored through the mask)
+ */
+function recordUndoState(element, type = null) {
+  if (undoSnapshots.has(element)) return;
+  
+  if (element.type === 'radio') {
+    const group = getRadioGroup(element);
+    undoSnapshots.set(element, { kind: 'radio', checked: group.find(radio => radio.checked) || null });
+  } else if (element.type === 'checkbox') {
+    undoSnapshots.set(element, { kind: 'checked', checked: element.checked });
+  } else if (element.tagName === 'SELECT') {
+    undoSnapshots.set(element, { kind: 'select', selectedIndex: element.selectedIndex });
+  } else if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+    undoSnapshots.set(element, { kind: 'value', value: element.value, type });
+  } else if (element.isContentEditable) {
+    undoSnapshots.set(element, { kind: 'value', value: element.textContent, type });
+  } else {
+    // Searchable dropdown triggers - the previous choice cannot be re-selected reliably
+    undoSnapshots.set(element, { kind: 'unsupported' });
+  }
+}
+
+/**
+ * Radios sharing the element's name (the element alone if it has none)
+ */
+function getRadioGroup(radio) {
+  if (!radio.name) return [radio];
+  return Array.from(document.querySelectorAll(`input[type="radio"][name="${CSS.escape(radio.name)}"]`));
+}
+
+/**
+ * Put every element changed by the last autofill back, newest change first
+ * Elements no longer on the page (e.g. after navigating away) are skipped.
+ * @returns {Promise<{success, restoredCount, message}>}
+ */
+async function undoLastAutofill() {
+  const snapshots = Array.from(undoSnapshots).reverse();
+  let restoredCount = 0;
+  let missingCount = 0;
+  let unsupportedCount = 0;
+  
+  const auditChanges = [];
+  
+  for (const [element, snapshot] of snapshots) {
+    // Audit status: 'restored', or why the element was left as it is
+    const change = { element, dataKey: snapshot.type || '', status: 'restored', expected: snapshot.value };
+    auditChanges.push(change);
+    
+    if (!element.isConnected) {
+      change.status = 'missing';
+      missingCount++;
+      continue;
+    }
+    
+    if (snapshot.kind === 'radio') {
+      const target = snapshot.checked && snapshot.checked.isConnected ? snapshot.checked : element;
+      target.checked = !!snapshot.checked;
+      target.dispatchEvent(new Event('change', { bubbles: true }));
+    } else if (snapshot.kind === 'select') {
+      element.selectedIndex = snapshot.selectedIndex;
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+      element.dispatchEvent(new Event('blur', { bubbles: true }));
+    } else if (snapshot.kind === 'checked') {
+      if (element.checked !== snapshot.checked) element.click();
+    } else if (snapshot.kind === 'value') {
+      // Clearing a masked input needs no typing - restore empty values as plain text
+      const filler = getFieldFiller(element, snapshot.value ? snapshot.type : null);
+      await filler.fill(element, snapshot.value, snapshot.type);
+    } else {
+      change.status = 'unsupported';
+      unsupportedCount++;
+      continue;
+    }
+    
+    restoredCount++;
+  }
+  
+  undoSnapshots = new Map();
+  recordAuditEvents('undo', auditChanges);
+  
+  if (snapshots.length === 0) {
+    return { success: false, restoredCount: 0, message: 'Nothing to undo' };
+  }
+  
+  const notes = [];
+  if (missingCount > 0) notes.push(`${missingCount} no longer on the page`);
+  if (unsupportedCount > 0) notes.push(`${unsupportedCount} searchable dropdown(s) need manual reset`);
+  
+  return {
+    success: restoredCount > 0,
+    restoredCount,
+    message: `Restored ${restoredCount} field(s)` + (notes.length > 0 ? ` (${notes.join(', ')})` : '')
+  };
+}
+
+// ============================================================================
+// IN-PAGE FILL BUTTON
+// ============================================================================
+
+// Floating button shown at the top-right corner of a detected client form
+const FILL_BUTTON_ID = 'sp-autofill-fill-button';
+const FILL_BUTTON_LABEL = '⚡ Autofill';
+const FILL_BUTTON_STYLE = [
+  'position: fixed',
+  'z-index: 2147483647',
+  'padding: 6px 12px',
+  'background: #4285f4',
+  'color: white',
+  'border: none',
+  'border-radius: 16px',
+  'font: 600 12px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
+  'box-shadow: 0 2px 6px rgba(0, 0, 0, 0.25)',
+  'cursor: pointer'
+].join('; ');
+
+// Nodes whose arrival or removal can change the fill scope
+const FILL_SCOPE_NODE_SELECTOR = DIALOG_SCOPE_SELECTOR + ', form';
+
+let fillButton = null;
+let fillButtonUpdateTimer = null;
+
+// Client form the button sits on - only looked for again when the scope may have changed
+let fillButtonForm = null;
+let fillButtonNeedsScan = true;
+
+/**
+ * Watch the page so the button follows forms as SimplePractice opens and closes them
+ */
+function initFillButton() {
+  // A re-injected script replaces the old button
+  const stale = document.getElementById(FILL_BUTTON_ID);
+  if (stale) stale.remove();
+  
+  new MutationObserver(onFillButtonMutations).observe(document.body, { childList: true, subtree: true });
+  window.addEventListener('scroll', scheduleFillButtonUpdate, { passive: true, capture: true });
+  window.addEventListener('resize', scheduleFillButtonUpdate);
+  updateFillButton();
+}
+
+/**
+ * Most mutations (typing, validation messages, the button itself) only move
+ * the button. Dialogs and forms coming or going - or inputs, while no form
+ * is shown yet - mean the client form has to be looked for again.
+ */
+function onFillButtonMutations(mutations) {
+  const selector = fillButtonForm ? FILL_SCOPE_NODE_SELECTOR : FILL_SCOPE_NODE_SELECTOR + ', input';
+  const scopeChanged = mutations.some(mutation =>
+    [...mutation.addedNodes, ...mutation.removedNodes].some(node =>
+      node instanceof Element && node.id !== FILL_BUTTON_ID &&
+      (node.matches(selector) || !!node.querySelector(selector))
+    )
+  );
+  
+  if (scopeChanged) rescanFillButtonForm();
+  else scheduleFillButtonUpdate();
+}
+
+/**
+ * Look for the client form again on the next update (scope picked or cleared, forms changed)
+ */
+function rescanFillButtonForm() {
+  fillButtonNeedsScan = true;
+  scheduleFillButtonUpdate();
+}
+
+function scheduleFillButtonUpdate() {
+  clearTimeout(fillButtonUpdateTimer);
+  fillButtonUpdateTimer = setTimeout(updateFillButton, 200);
+}
+
+/**
+ * Place the button at the client form's top-right corner, or hide it
+ */
+function updateFillButton() {
+  if (fillButtonNeedsScan || (fillButtonForm && !fillButtonForm.isConnected)) {
+    fillButtonForm = findClientForm();
+    fillButtonNeedsScan = false;
+  }
+  const form = fillButtonForm;
+  
+  if (!form) {
+    if (fillButton) fillButton.style.display = 'none';
+    return;
+  }
+  
+  const button = getFillButton();
+  button.style.display = 'block';
+  
+  const rect = form.getBoundingClientRect();
+  const top = Math.min(Math.max(8, rect.top + 8), window.innerHeight - button.offsetHeight - 8);
+  const left = Math.min(rect.right - button.offsetWidth - 8, window.innerWidth - button.offsetWidth - 8);
+  button.style.top = `${top}px`;
+  button.style.left = `${Math.max(8, left)}px`;
+}
+
+/**
+ * The fill scope, when it is a dialog/form with a first name field
+ */
+function findClientForm() {
+  const scope = getFillScope();
+  if (scope === document) return null;
+  
+  return findFirstNameAnchors(getAllVisibleFields(scope).inputs).length > 0 ? scope : null;
+}
+
+function getFillButton() {
+  if (fillButton && fillButton.isConnected) return fillButton;
+  
+  fillButton = document.createElement('button');
+  fillButton.id = FILL_BUTTON_ID;
+  fillButton.type = 'button';
+  fillButton.textContent = FILL_BUTTON_LABEL;
+  fillButton.title = 'Fill with the profile selected in SimplePractice Autofill (Alt+Shift+F)';
+  fillButton.style.cssText = FILL_BUTTON_STYLE;
+  fillButton.addEventListener('click', onFillButtonClick);
+  document.body.appendChild(fillButton);
+  
+  return fillButton;
+}
+
+/**
+ * Ask the background worker to fill this tab with the selected profile
+ */
+function onFillButtonClick(e) {
+  e.preventDefault();
+  e.stopPropagation();
+  
+  const button = e.currentTarget;
+  button.disabled = true;
+  button.textContent = 'Filling…';
+  
+  const showOutcome = (response) => {
+    button.textContent = response && response.success
+      ? `✓ ${response.message}`
+      : `⚠ ${response?.message || 'No response'}`;
+    
+    setTimeout(() => {
+      button.textContent = FILL_BUTTON_LABEL;
+      button.disabled = false;
+    }, 2500);
+  };
+  
+  try {
+    chrome.runtime.sendMessage({ action: 'fillActiveProfile' }, (response) => {
+      if (chrome.runtime.lastError) {
+        showOutcome({ success: false, message: chrome.runtime.lastError.message });
+        return;
+      }
+      showOutcome(response);
+    });
+  } catch (error) {
+    // Extension was reloaded - this page's content script is orphaned
+    showOutcome({ success: false, message: 'Reload the page to use Autofill' });
+  }
+}
+
+// Wait for the user's matcher rules - they decide what counts as a first name field
+matcherRulesReady.then(initFillButton);
+
+// ============================================================================
+// ARMED MODE (fill when the new client form appears)
+// ============================================================================
+
+// How long an armed fill waits for the form (default when the popup sends none)
+const ARMED_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Let Ember finish rendering the form before filling
+const ARMED_SETTLE_DELAY = 500;
+
+// Scope headings / URL that identify a new client form
+const NEW_CLIENT_FORM_KEYWORDS = ['new client', 'create client', 'add client', 'add new client'];
+const NEW_CLIENT_PATH_PATTERN = /\/clients\/new\b/;
+
+// { data, source, expiresAt, observer, checkTimer, timeoutTimer } while armed
+let armedFill = null;
+
+/**
+ * Wait for a new client form (SPA route change or modal) and fill it once
+ * @param {Object} data - Profile / queue item data to fill
+ * @param {number} timeoutMs - Disarm after this long without a form
+ * @param {Object} source - From getFillSource; the ids are reported back so the
+ *   queue item can be marked done and the profile cleared (retention setting)
+ */
+function armAutofill(data, timeoutMs = ARMED_TIMEOUT_MS, source = getFillSource({})) {
+  disarmAutofill('replaced');
+  
+  const armed = {
+    data,
+    source,
+    expiresAt: Date.now() + timeoutMs,
+    observer: new MutationObserver(scheduleArmedCheck),
+    checkTimer: null,
+    timeoutTimer: setTimeout(() => disarmAutofill('timeout'), timeoutMs)
+  };
+  
+  armed.observer.observe(document.body, { childList: true, subtree: true });
+  armedFill = armed;
+  if (DEV_MODE) {
+    console.log('SimplePractice Autofill: Armed until', new Date(armed.expiresAt).toLocaleTimeString());
+  }
+  
+  // The form may already be open
+  scheduleArmedCheck();
+}
+
+/**
+ * Stop watching for the form
+ * @param {string} reason - Logged in development mode ('filled', 'timeout', 'cancelled', 'replaced', 'wiped')
+ */
+function disarmAutofill(reason) {
+  if (!armedFill) return;
+  
+  armedFill.observer.disconnect();
+  clearTimeout(armedFill.checkTimer);
+  clearTimeout(armedFill.timeoutTimer);
+  armedFill = null;
+  if (DEV_MODE) {
+    console.log('SimplePractice Autofill: Disarmed -', reason);
+  }
+}
+
+/**
+ * Armed state for the popup
+ * @returns {{expiresAt: number}|null}
+ */
+function getArmedInfo() {
+  return armedFill ? { expiresAt: armedFill.expiresAt } : null;
+}
+
+// Mutations come in bursts while a route renders - check once they settle
+function scheduleArmedCheck() {
+  if (!armedFill) return;
+  clearTimeout(armedFill.checkTimer);
+  armedFill.checkTimer = setTimeout(checkArmedForm, 300);
+}
+
+/**
+ * Fill and disarm once a new client form with matching fields is on screen
+ */
+async function checkArmedForm() {
+  if (!armedFill || !findNewClientForm(armedFill.data)) return;
+  
+  const { data, source } = armedFill;
+  disarmAutofill('filled');
+  
+  await wait(ARMED_SETTLE_DELAY);
+  
+  let result;
+  const duplicates = findDuplicateClientsSafely(data);
+  if (duplicates.length > 0 && !confirmDuplicateFill(duplicates)) {
+    result = createDuplicateResult(duplicates);
+  } else {
+    try {
+      result = await autofillWithRetry(data);
+    } catch (error) {
+      result = { success: false, fieldsFilledCount: 0, report: [], message: 'Error: ' + error.message };
+    }
+    recordFillHistory(result, source);
+  }
+  
+  try {
+    const { queueItemId, profileId } = source;
+    chrome.runtime.sendMessage({ action: 'armedFillComplete', queueItemId, profileId, result });
+  } catch (error) {
+    // Extension was reloaded - nobody to tell
+  }
+}
+
+/**
+ * The fill scope, if it is a new client form with at least one field the data fills
+ */
+function findNewClientForm(data) {
+  const scope = getFillScope();
+  if (!isNewClientScope(scope)) return null;
+  
+  const fields = getAllVisibleFields(scope);
+  if (findFirstNameAnchors(fields.inputs).length === 0) return null;
+  
+  return planTextFields(fields.inputs, data).length > 0 ? scope : null;
+}
+
+/**
+ * True if the scope's heading (or the page route) says it creates a client
+ */
+function isNewClientScope(scope) {
+  const heading = scope === document
+    ? document.title
+    : getBlockHeading(scope) + ' ' + (scope.getAttribute('aria-label') || '');
+  
+  return matchesAnyKeyword(heading.toLowerCase(), NEW_CLIENT_FORM_KEYWORDS) ||
+    NEW_CLIENT_PATH_PATTERN.test(location.pathname);
+}
+
+// ============================================================================
+// DUPLICATE CLIENTS
+// ============================================================================
+
+// Link to an existing client's chart ("/clients/123", "/clients/abc123/overview")
+const CLIENT_LINK_PATTERN = /^\/clients\/(?!new\b)[\w-]+/;
+
+// Rows a client link usually sits in on the clients list / search results
+const CLIENT_ROW_SELECTOR = 'tr, li, [role="row"], [role="option"]';
+
+const MAX_DUPLICATE_MATCHES = 3;
+
+/**
+ * Existing clients on the page that look like the client about to be created
+ * Only runs on new client forms. Checks the clients already loaded on the page
+ * (the clients list behind the "New client" dialog, search results) by name,
+ * email, phone and DOB - a DOB on its own is too common to count.
+ * @returns {Array<{name: string, url: string, reasons: Array<string>}>}
+ */
+function findDuplicateClients(data) {
+  const scope = getFillScope();
+  if (!isNewClientScope(scope)) return [];
+  
+  const nameWords = data.firstName && data.lastName ? getNameWords(`${data.firstName} ${data.lastName}`) : [];
+  const emails = (data.emails || []).map(email => (email.address || '').trim().toLowerCase()).filter(Boolean);
+  const phones = (data.phones || [])
+    .map(phone => splitPhoneNumber(phone.number || ''))
+    .filter(Boolean)
+    .map(phone => phone.national)
+    .filter(national => national.length >= 7);
+  const dob = checkDateOfBirth(data.dobMonth, data.dobDay, data.dobYear).value;
+  const dobForms = dob ? getDateForms(dob) : [];
+  
+  const matches = [];
+  for (const client of findClientListEntries(scope)) {
+    const text = client.text.toLowerCase();
+    const digits = text.replace(/\D/g, '');
+    const reasons = [];
+    
+    const words = getNameWords(client.text);
+    if (nameWords.length > 0 && nameWords.every(word => words.includes(word))) reasons.push('name');
+    if (emails.some(email => text.includes(email))) reasons.push('email');
+    if (phones.some(phone => digits.includes(phone))) reasons.push('phone');
+    if (dobForms.some(form => text.includes(form))) reasons.push('DOB');
+    
+    if (reasons.length > 0 && !(reasons.length === 1 && reasons[0] === 'DOB')) {
+      matches.push({ name: client.name, url: client.url, reasons });
+    }
+  }
+  
+  return matches
+    .sort((a, b) => b.reasons.length - a.reasons.length)
+    .slice(0, MAX_DUPLICATE_MATCHES);
+}
+
+/**
+ * findDuplicateClients for a fill about to run - a page the check can't
+ * read shouldn't stop the fill
+ */
+function findDuplicateClientsSafely(data) {
+  try {
+    return findDuplicateClients(data);
+  } catch (error) {
+    console.warn('SimplePractice Autofill: Duplicate check failed', error.message);
+    return [];
+  }
+}
+
+/**
+ * Ask on the page whether to fill anyway (fills that don't go through the popup)
+ * @returns {boolean} true to fill
+ */
+function confirmDuplicateFill(duplicates) {
+  const lines = duplicates.map(client => `- ${client.name} (same ${client.reasons.join(', ')})`);
+  return window.confirm(`This client may already exist:\n${lines.join('\n')}\n\nFill the form anyway?`);
+}
+
+/**
+ * Fill result for a fill stopped because the client may already exist
+ */
+function createDuplicateResult(duplicates) {
+  return {
+    success: false,
+    fieldsFilledCount: 0,
+    report: [],
+    duplicates,
+    message: 'This client may already exist'
+  };
+}
+
+/**
+ * One entry per client chart linked from the page, outside the form being filled
+ * @returns {Array<{name, url, text}>} text is the link's whole row
+ */
+function findClientListEntries(scope) {
+  const entries = new Map();
+  
+  for (const link of document.querySelectorAll('a[href*="/clients/"]')) {
+    if (scope !== document && scope.contains(link)) continue;
+    
+    const url = new URL(link.href, location.href);
+    const path = url.origin === location.origin && url.pathname.match(CLIENT_LINK_PATTERN);
+    if (!path || entries.has(path[0])) continue;
+    
+    const row = link.closest(CLIENT_ROW_SELECTOR) || link.parentElement;
+    const text = (row.innerText || row.textContent || '').trim();
+    const name = (link.innerText || link.textContent || '').trim() || text.split('\n')[0];
+    if (!name) continue;
+    
+    entries.set(path[0], { name, url: url.origin + path[0], text });
+  }
+  
+  return Array.from(entries.values());
+}
+
+/**
+ * Lower-case name words without accents ("Zoë O'Neil" -> ["zoe", "o'neil"])
+ */
+function getNameWords(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[a-z][a-z'-]*/g) || [];
+}
+
+/**
+ * How a MM/DD/YYYY date may be written on the clients list
+ */
+function getDateForms(date) {
+  const [month, day, year] = date.split('/');
+  return [
+    date,
+    `${Number(month)}/${Number(day)}/${year}`,
+    `${year}-${month}-${day}`
+  ];
+}
+
+// ============================================================================
+// CONTEXT MENU ("Fill this field with…")
+// ============================================================================
+
+// Element the context menu was last opened on
+let contextMenuTarget = null;
+
+document.addEventListener('contextmenu', (e) => {
+  contextMenuTarget = e.target;
+}, true);
+
+/**
+ * Write one profile value into the right-clicked field
+ * Goes through applyValueToField so phone masks get typed input, and
+ * starts a new undo record so "Undo last fill" reverts it.
+ * @param {string} dataKey - Profile key (e.g. "phone", "guardian1.email")
+ */
+async function fillContextField(dataKey, value) {
+  const field = contextMenuTarget && contextMenuTarget.closest('input, textarea, [contenteditable="true"], [contenteditable=""]');
+  if (!field || !field.isConnected) {
+    return { success: false, message: 'Right-click the field again' };
+  }
+  
+  // "guardian1.phone" -> phone, "email2" -> email
+  const type = dataKey.split('.').pop().replace(/\d+$/, '');
+  
+  beginUndoRecording();
+  await applyValueToField(field, value, type);
+  
+  const { ok, actual } = verifyFieldValue(field, value, type);
+  recordAuditEvents('contextFill', [{
+    element: field,
+    dataKey,
+    status: ok ? FILL_STATUS.FILLED : FILL_STATUS.REJECTED,
+    expected: value,
+    actual
+  }]);
+  
+  return {
+    success: ok,
+    message: ok
+      ? `Filled ${describeField(field)}`
+      : `${describeField(field)} shows "${actual}" instead of "${value}"`
+  };
+}
+
+// ============================================================================
+// DYNAMIC FIELD ACTIVATION
+// ============================================================================
+
+/**
+ * Clicks "Contact" tab, "Add email/phone" and "Add address" buttons if needed
+ * @param {Object} contactMethods - See prepareContactMethods
+ */
+async function ensureDynamicContactFields(data, contactMethods) {
+  const hasAddress = ADDRESS_DATA_KEYS.some(key => data[key]);
+  const hasContactMethods = Object.values(contactMethods).some(entries => entries.length > 0);
+  if (!hasContactMethods && !hasAddress) return;
+  
+  // Try to click Contact tab
+  const contactTab = findTabByKeywords(CONTACT_TAB_KEYWORDS);
+  if (contactTab) {
+    contactTab.click();
+    await wait(600);
+  }
+  
+  // Click "Add email" / "Add phone" until there is a row per entry
+  await ensureContactMethodRows(contactMethods);
+  
+  // Click "Add address" if address provided but fields not visible
+  if (hasAddress && !findAddressField()) {
+    const addAddressBtn = findButtonByKeywords(ADD_ADDRESS_BUTTON_KEYWORDS);
+    if (addAddressBtn) {
+      addAddressBtn.click();
+      await wait(600);
+    }
+  }
+}
+
+/**
+ * Find tab by keywords, excluding external links
+ * @param {Element|Document} root - Only search inside this element (default: getTabSearchRoot)
+ */
+function findTabByKeywords(keywords, root = getTabSearchRoot()) {
+  // Try proper ARIA tabs first
+  const tabs = root.querySelectorAll('[role="tab"]');
+  for (const tab of tabs) {
+    if (matchesAnyKeyword(tab.textContent.toLowerCase(), keywords)) {
+      return tab;
+    }
+  }
+  
+  // Try button-like elements with tab indicators
+  const buttons = root.querySelectorAll('button, [role="button"], .tab, [class*="tab"]');
+  for (const btn of buttons) {
+    if (matchesAnyKeyword(btn.textContent.toLowerCase(), keywords)) {
+      // Exclude external links
+      const links = btn.querySelectorAll('a[href]');
+      const hasExternalLink = Array.from(links).some(link => 
+        link.href.startsWith('http') && !link.href.includes('simplepractice.com')
+      );
+      if (!hasExternalLink) {
+        return btn;
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Where the fill scope's tabs are: inside a dialog or picked region, or
+ * anywhere on the page for the page's main form (its tab strip sits outside
+ * the <form>)
+ */
+function getTabSearchRoot() {
+  const scope = getFillScope();
+  return scope.tagName === 'FORM' && !isPickedScopeActive() ? document : scope;
+}
+
+/**
+ * Find button by keyword list
+ * @param {Element|Document} root - Only search inside this element (default: the fill scope)
+ */
+function findButtonByKeywords(keywords, root = getFillScope()) {
+  const elements = root.querySelectorAll('button, [role="button"], a, span[class*="button"]');
+  
+  for (const el of elements) {
+    const text = el.textContent.trim().toLowerCase();
+    if (matchesAnyKeyword(text, keywords)) {
+      return el;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Find an address input field (street, city or ZIP - not "email address")
+ */
+function findAddressField() {
+  const inputs = getAllVisibleFields().inputs;
+  for (const input of inputs) {
+    const metadata = extractFieldMetadata(input);
+    if (metadata.includes('email')) continue;
+    if (metadata.includes('address') || metadata.includes('street') ||
+        metadata.includes('city') || metadata.includes('zip')) {
+      return input;
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// CONTACT BLOCKS (guardians for minors, partner for couples)
+// ============================================================================
+
+/**
+ * Give each guardian/partner the keys used to fill and report it
+ * @param {Array<Object>} contacts - Sub-profiles ({ role, firstName, lastName, relationship, email, phone, dob })
+ * @returns {Array<{role, prefix, roleKeywords, viewData, reportKeys, reportData}>}
+ */
+function prepareContacts(contacts) {
+  if (!Array.isArray(contacts)) return [];
+  
+  const roleCounts = {};
+  
+  return contacts
+    .filter(contact => ['firstName', 'lastName', 'email', 'phone', 'dob'].some(key => contact[key]))
+    .map(contact => {
+      const role = contact.role || 'contact';
+      roleCounts[role] = (roleCounts[role] || 0) + 1;
+      const prefix = role + roleCounts[role];
+      
+      const dob = splitDateString(contact.dob || '');
+      const viewData = {
+        firstName: contact.firstName,
+        lastName: contact.lastName,
+        email: contact.email,
+        phone: contact.phone,
+        relationship: contact.relationship,
+        dobMonth: dob.month,
+        dobDay: dob.day,
+        dobYear: dob.year,
+        dob: contact.dob
+      };
+      
+      const reportKeys = {
+        firstName: `${prefix}.firstName`,
+        lastName: `${prefix}.lastName`,
+        email: `${prefix}.email`,
+        phone: `${prefix}.phone`,
+        relationship: `${prefix}.relationship`,
+        dobMonth: `${prefix}.dob`,
+        dobDay: `${prefix}.dob`,
+        dobYear: `${prefix}.dob`,
+        dob: `${prefix}.dob`
+      };
+      
+      const reportData = {};
+      for (const key of ['firstName', 'lastName', 'email', 'phone', 'relationship', 'dob']) {
+        reportData[`${prefix}.${key}`] = contact[key];
+      }
+      
+      return { role, prefix, roleKeywords: getContactRoleKeywords(role), viewData, reportKeys, reportData };
+    });
+}
+
+/**
+ * Role words a contact's fields may mention - every role's for a contact without one
+ */
+function getContactRoleKeywords(role) {
+  return CONTACT_ROLE_KEYWORDS[role] || Object.values(CONTACT_ROLE_KEYWORDS).flat();
+}
+
+/**
+ * Click "Add contact" until there is a block per contact (plus the client's)
+ */
+async function ensureContactBlocks(contacts) {
+  if (contacts.length === 0) return;
+  
+  for (let attempt = 0; attempt < contacts.length; attempt++) {
+    const blockCount = findFirstNameAnchors(getAllVisibleFields().inputs).length;
+    if (blockCount >= contacts.length + 1) return;
+    
+    const addContactBtn = findButtonByKeywords(ADD_CONTACT_BUTTON_KEYWORDS);
+    if (!addContactBtn) return;
+    
+    addContactBtn.click();
+    await wait(600);
+    
+    // Stop if the button did not add a block
+    if (findFirstNameAnchors(getAllVisibleFields().inputs).length === blockCount) return;
+  }
+}
+
+/**
+ * Split fields between the client and each contact's block
+ * Blocks are found by their first name inputs; the first block is the client's.
+ * Fields in blocks without a contact are left alone, so the client's values
+ * never spill into a guardian's or partner's "first name".
+ * @returns {{clientFields: Object, contactGroups: Array<{container, contact, fields}>}}
+ */
+function groupFieldsByPerson(allFields, contacts) {
+  const blocks = findPersonBlocks(allFields.inputs);
+  if (blocks.length < 2) {
+    return { clientFields: allFields, contactGroups: [] };
+  }
+  
+  const otherBlocks = blocks.slice(1);
+  const inOtherBlock = field => otherBlocks.some(block => block.container.contains(field));
+  
+  const clientFields = {
+    inputs: allFields.inputs.filter(field => !inOtherBlock(field)),
+    radios: allFields.radios.filter(field => !inOtherBlock(field)),
+    selects: allFields.selects.filter(field => !inOtherBlock(field))
+  };
+  
+  const contactGroups = assignContactsToBlocks(otherBlocks, contacts)
+    .map(({ block, contact }) => ({
+      container: block.container,
+      contact,
+      fields: {
+        inputs: allFields.inputs.filter(field => block.container.contains(field)),
+        radios: [],
+        selects: allFields.selects.filter(field => block.container.contains(field))
+      }
+    }));
+  
+  return { clientFields, contactGroups };
+}
+
+/**
+ * First name inputs - one per person block
+ * Role words are not held against them: "Guardian first name" starts a block.
+ */
+function findFirstNameAnchors(inputs) {
+  return inputs.filter(input => matchFieldToDataType(input, {}, getContactRoleKeywords()).type === 'firstName');
+}
+
+/**
+ * One block per first name input: the largest ancestor holding no other first name
+ * @returns {Array<{container: Element, heading: string}>} In document order
+ */
+function findPersonBlocks(inputs) {
+  const anchors = findFirstNameAnchors(inputs);
+  if (anchors.length < 2) return [];
+  
+  return anchors.map(anchor => {
+    const container = getSoleAnchorContainer(anchor, anchors);
+    return { container, heading: getBlockHeading(container) };
+  });
+}
+
+/**
+ * Largest ancestor of an anchor that holds no other anchor
+ */
+function getSoleAnchorContainer(anchor, anchors) {
+  let container = anchor;
+  while (container.parentElement && container.parentElement !== document.body &&
+         anchors.filter(other => container.parentElement.contains(other)).length === 1) {
+    container = container.parentElement;
+  }
+  return container;
+}
+
+/**
+ * Heading text of a block (legend, heading or aria-label)
+ */
+function getBlockHeading(container) {
+  const heading = container.querySelector('legend, h1, h2, h3, h4, h5, h6, [class*="heading"], [class*="title"]');
+  if (heading) return heading.textContent.trim();
+  return container.getAttribute('aria-label') || '';
+}
+
+/**
+ * Pair contact blocks with contacts - a block whose heading names a role gets
+ * the next contact of that role, otherwise the next contact in order.
+ * @returns {Array<{block, contact}>} Only blocks that got a contact
+ */
+function assignContactsToBlocks(blocks, contacts) {
+  const remaining = contacts.slice();
+  const assignments = [];
+  
+  for (const block of blocks) {
+    if (remaining.length === 0) break;
+    
+    const heading = block.heading.toLowerCase();
+    const role = Object.keys(CONTACT_ROLE_KEYWORDS)
+      .find(candidate => matchesAnyKeyword(heading, CONTACT_ROLE_KEYWORDS[candidate]));
+    
+    let index = role ? remaining.findIndex(contact => contact.role === role) : -1;
+    if (index === -1) index = 0;
+    
+    assignments.push({ block, contact: remaining.splice(index, 1)[0] });
+  }
+  
+  return assignments;
+}
+
+/**
+ * Click "Add email" / "Add phone" inside a contact block when needed
+ * @returns {Promise<Object>} The block's fields, re-queried if anything was added
+ */
+async function ensureContactBlockFields(group) {
+  const { container, contact } = group;
+  let added = false;
+  
+  const hasField = keywords => getAllVisibleFields(container).inputs
+    .some(input => matchesAnyKeyword(extractFieldMetadata(input), keywords));
+  
+  if (contact.viewData.email && !hasField(['email'])) {
+    const addEmailBtn = findButtonByKeywords(ADD_EMAIL_BUTTON_KEYWORDS, container);
+    if (addEmailBtn) {
+      addEmailBtn.click();
+      await wait(600);
+      added = true;
+    }
+  }
+  
+  if (contact.viewData.phone && !hasField(['phone', 'mobile'])) {
+    const addPhoneBtn = findButtonByKeywords(ADD_PHONE_BUTTON_KEYWORDS, container);
+    if (addPhoneBtn) {
+      addPhoneBtn.click();
+      await wait(600);
+      added = true;
+    }
+  }
+  
+  if (!added) return group.fields;
+  
+  const fields = getAllVisibleFields(container);
+  return { inputs: fields.inputs, radios: [], selects: fields.selects };
+}
+
+// ============================================================================
+// EMAIL & PHONE ROWS
+// ============================================================================
+
+/**
+ * Email / phone entries to fill, each with the keys used to fill and report its row
+ * Takes the `emails` / `phones` lists off the data; a single `email` / `phone`
+ * (queued before the lists existed) becomes one entry.
+ * @returns {{email: Array, phone: Array}} Entries of { reportKey, value, viewData, type, flags }
+ */
+function prepareContactMethods(data) {
+  const legacy = {
+    email: data.email ? [{ address: data.email }] : [],
+    phone: data.phone ? [{ number: data.phone, extension: data.phoneExtension, type: data.phoneType }] : []
+  };
+  const methods = {};
+  
+  for (const [kind, { listKey, valueKey }] of Object.entries(CONTACT_METHOD_KINDS)) {
+    const list = Array.isArray(data[listKey]) && data[listKey].length > 0 ? data[listKey] : legacy[kind];
+    
+    methods[kind] = list
+      .filter(entry => entry && entry[valueKey])
+      .map((entry, index) => ({
+        // Same keys as getContactMethodKey (profiles.js)
+        reportKey: index === 0 ? kind : kind + (index + 1),
+        value: entry[valueKey],
+        viewData: kind === 'phone'
+          ? { phone: entry.number, phoneExtension: entry.extension, phoneType: entry.type }
+          : { email: entry.address },
+        type: entry.type || '',
+        flags: Object.keys(CONTACT_METHOD_FLAG_KEYWORDS)
+          .filter(flag => typeof entry[flag] === 'boolean')
+          .reduce((flags, flag) => Object.assign(flags, { [flag]: entry[flag] }), {})
+      }));
+  }
+  
+  for (const key of ['emails', 'phones', 'email', 'phone', 'phoneCountry', 'phoneExtension', 'phoneType']) {
+    delete data[key];
+  }
+  
+  return methods;
+}
+
+/**
+ * Report data for the email / phone entries ({ email: 'a@b.c', phone2: '+1...' })
+ */
+function getContactMethodReportData(contactMethods) {
+  const reportData = {};
+  for (const entries of Object.values(contactMethods)) {
+    for (const entry of entries) {
+      reportData[entry.reportKey] = entry.value;
+    }
+  }
+  return reportData;
+}
+
+/**
+ * Click "Add email" / "Add phone" until the client has a row per entry
+ */
+async function ensureContactMethodRows(contactMethods) {
+  const countRows = kind => findContactMethodInputs(
+    kind, groupFieldsByPerson(getAllVisibleFields(), []).clientFields.inputs
+  ).length;
+  
+  for (const [kind, entries] of Object.entries(contactMethods)) {
+    for (let attempt = 0; attempt < entries.length; attempt++) {
+      const rowCount = countRows(kind);
+      if (rowCount >= entries.length) break;
+      
+      const addBtn = findButtonByKeywords(CONTACT_METHOD_KINDS[kind].addButtonKeywords);
+      if (!addBtn) break;
+      
+      addBtn.click();
+      await wait(600);
+      
+      // Stop if the button did not add a row
+      if (countRows(kind) === rowCount) break;
+    }
+  }
+}
+
+/**
+ * Email or phone value inputs - one per row
+ */
+function findContactMethodInputs(kind, inputs) {
+  return inputs.filter(input =>
+    input.type !== 'checkbox' && matchFieldToDataType(input, {}).type === kind
+  );
+}
+
+/**
+ * One row per value input: the largest ancestor holding no other email or phone input
+ * @returns {Array<{container: Element, fields: Object}>} In document order
+ */
+function findContactMethodRows(kind, fields) {
+  const anchors = [...findContactMethodInputs('email', fields.inputs), ...findContactMethodInputs('phone', fields.inputs)];
+  
+  return findContactMethodInputs(kind, fields.inputs).map(anchor => {
+    const container = getSoleAnchorContainer(anchor, anchors);
+    return {
+      container,
+      fields: {
+        inputs: fields.inputs.filter(field => container.contains(field)),
+        radios: [],
+        selects: fields.selects.filter(field => container.contains(field))
+      }
+    };
+  });
+}
+
+/**
+ * Pair entries with rows and plan each row (no DOM changes)
+ * @returns {Array<Object>} Plan entries with the entry's `reportKey`
+ */
+function planContactMethods(clientFields, contactMethods) {
+  const plan = [];
+  
+  for (const [kind, entries] of Object.entries(contactMethods)) {
+    const rows = findContactMethodRows(kind, clientFields);
+    entries.slice(0, rows.length).forEach((entry, index) => {
+      for (const item of planContactMethodRow(rows[index], entry)) {
+        plan.push(Object.assign(item, { reportKey: entry.reportKey }));
+      }
+    });
+  }
+  
+  return plan;
+}
+
+/**
+ * Plan one row: value and extension inputs through the matchers, the type
+ * dropdown (labelled or not) and the flag checkboxes
+ */
+function planContactMethodRow(row, entry) {
+  const plan = planFieldGroup(row.fields, entry.viewData);
+  
+  // Unlabelled "Type" dropdown - the first one offering the entry's type
+  if (entry.type && !plan.some(item => item.type === 'phoneType')) {
+    const variants = PHONE_TYPE_VARIANTS[entry.type] || [entry.type];
+    
+    for (const select of row.fields.selects) {
+      if (plan.some(item => item.element === select)) continue;
+      
+      const variant = variants.find(candidate => findDropdownOption(select, candidate, false));
+      if (variant) {
+        plan.push({
+          element: select,
+          type: 'phoneType',
+          value: select.options[findDropdownOption(select, variant, false).index].text,
+          reason: `dropdown in the row offers "${variant}"`
+        });
+        break;
+      }
+    }
+  }
+  
+  for (const checkbox of row.fields.inputs.filter(input => input.type === 'checkbox')) {
+    const label = (getAssociatedLabelText(checkbox) || getNearbyLabelText(checkbox)).toLowerCase();
+    const flag = Object.keys(entry.flags)
+      .find(candidate => matchesAnyKeyword(label, CONTACT_METHOD_FLAG_KEYWORDS[candidate]));
+    if (!flag) continue;
+    
+    plan.push({
+      element: checkbox,
+      type: flag,
+      value: entry.flags[flag] ? 'yes' : 'no',
+      reason: `checkbox label matches [${CONTACT_METHOD_FLAG_KEYWORDS[flag].join(', ')}]`
+    });
+  }
+  
+  return plan;
+}
+
+/**
+ * Fill every email / phone row that has an entry
+ * @returns {Promise<Array<Object>>} Field results under the entries' report keys
+ */
+async function fillContactMethods(clientFields, contactMethods) {
+  const results = [];
+  
+  for (const item of planContactMethods(clientFields, contactMethods)) {
+    let result;
+    try {
+      await applyValueToField(item.element, item.value, item.type);
+      result = createFieldResult(item);
+    } catch (error) {
+      result = createFieldResult(item, error);
+    }
+    result.type = item.reportKey;
+    results.push(result);
+  }
+  
+  return results;
+}
+
+// ============================================================================
+// INSURANCE SECTION
+// ============================================================================
+
+/**
+ * Separate insurance details from the rest of the data
+ * insuranceData is null unless billing type is insurance and some detail is set.
+ * With relationship "self", the subscriber is the client.
+ * @returns {{clientData: Object, insuranceData: Object|null}}
+ */
+function splitInsuranceData(data) {
+  const clientData = {};
+  const insuranceData = {};
+  
+  for (const [key, value] of Object.entries(data)) {
+    if (INSURANCE_DATA_KEYS.includes(key)) {
+      if (value) insuranceData[key] = value;
+    } else {
+      clientData[key] = value;
+    }
+  }
+  
+  const isInsurance = (data.billingType || '').toLowerCase() === 'insurance';
+  if (!isInsurance || Object.keys(insuranceData).length === 0) {
+    return { clientData, insuranceData: null };
+  }
+  
+  if ((insuranceData.subscriberRelationship || '').toLowerCase() === 'self') {
+    insuranceData.subscriberFirstName = data.firstName;
+    insuranceData.subscriberLastName = data.lastName;
+    delete insuranceData.subscriberDob;
+    if (data.dobMonth && data.dobDay && data.dobYear) {
+      insuranceData.subscriberDob = [
+        data.dobMonth.padStart(2, '0'),
+        data.dobDay.padStart(2, '0'),
+        data.dobYear
+      ].join('/');
+    }
+  }
+  
+  return { clientData, insuranceData };
+}
+
+/**
+ * Open the insurance tab/section and fill payer, member ID, group number
+ * and subscriber details
+ * @returns {Promise<Array<Object>>} Field results
+ */
+async function fillInsuranceSection(insuranceData) {
+  const results = [];
+  
+  // Navigate to the insurance tab (unless it is already the selected one)
+  const insuranceTab = findTabByKeywords(INSURANCE_TAB_KEYWORDS);
+  if (insuranceTab && insuranceTab.getAttribute('aria-selected') !== 'true') {
+    insuranceTab.click();
+    await wait(600);
+  }
+  
+  // Some screens hide the section behind an "Add insurance" button
+  if (!findPayerControl() && !findInsuranceField()) {
+    const addInsuranceBtn = findButtonByKeywords(ADD_INSURANCE_BUTTON_KEYWORDS);
+    if (addInsuranceBtn) {
+      addInsuranceBtn.click();
+      await wait(600);
+    }
+  }
+  
+  const allFields = getAllVisibleFields();
+  
+  results.push(...await fillFieldGroup(allFields, getInsuranceViewData(insuranceData), INSURANCE_REPORT_KEYS));
+  
+  const payerEntry = planPayerField(insuranceData);
+  if (payerEntry) {
+    try {
+      // Snapshot without the data type first - undo puts a typeahead's old text
+      // back as plain text instead of searching for it
+      recordUndoState(payerEntry.element);
+      const chosen = await applyValueToField(payerEntry.element, payerEntry.value, payerEntry.type);
+      results.push(createFieldResult(Object.assign({}, payerEntry, { value: chosen })));
+    } catch (error) {
+      results.push(createFieldResult(payerEntry, error));
+    }
+  }
+  
+  return results;
+}
+
+// Insurance fields reuse generic matchers - report them under the insurance key
+const INSURANCE_REPORT_KEYS = { relationship: 'subscriberRelationship' };
+
+/**
+ * Insurance values under the keys the matchers use
+ */
+function getInsuranceViewData(insuranceData) {
+  return Object.assign({}, insuranceData, { relationship: insuranceData.subscriberRelationship });
+}
+
+/**
+ * Plan the payer field (no DOM changes)
+ * @returns {Object|null} Plan entry
+ */
+function planPayerField(insuranceData) {
+  if (!insuranceData.insurancePayer) return null;
+  
+  const control = findPayerControl();
+  if (!control) return null;
+  
+  return {
+    element: control,
+    type: 'insurancePayer',
+    value: insuranceData.insurancePayer,
+    reason: `field label matches payer keywords [${PAYER_FIELD_KEYWORDS.join(', ')}]`
+  };
+}
+
+/**
+ * Find the payer control - a searchable dropdown trigger or a text input
+ */
+function findPayerControl() {
+  const candidates = getFillScope().querySelectorAll(
+    `${SEARCHABLE_DROPDOWN_TRIGGER_SELECTOR}, input[type="text"], input:not([type])`
+  );
+  
+  for (const candidate of candidates) {
+    if (!isVisible(candidate) || candidate.matches(SEARCHABLE_DROPDOWN_SEARCH_SELECTOR)) continue;
+    
+    const metadata = extractFieldMetadata(candidate) + ' ' + getNearbyLabelText(candidate).toLowerCase();
+    if (matchesAnyKeyword(metadata, PAYER_FIELD_KEYWORDS)) {
+      return candidate;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Find a member ID / group number input (section already open)
+ */
+function findInsuranceField() {
+  const inputs = getAllVisibleFields().inputs;
+  for (const input of inputs) {
+    const metadata = extractFieldMetadata(input);
+    if (metadata.includes('member') || metadata.includes('group') || SUBSCRIBER_FIELD_PATTERN.test(metadata)) {
+      return input;
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// DATES OF BIRTH
+// ============================================================================
+
+// The client's DOB is one report entry whether the form has month/day/year
+// dropdowns or a single date input
+const DOB_REPORT_KEYS = { dobMonth: 'dob', dobDay: 'dob', dobYear: 'dob' };
+
+/**
+ * Validate every date of birth before anything is filled
+ * Invalid dates are removed from the view data so neither dropdowns nor
+ * date inputs get them; valid ones are normalized to MM/DD/YYYY and the
+ * client's is added as `dob` for single-input date fields.
+ * @returns {Array<{dataKey, message}>} One entry per rejected date
+ */
+function prepareDatesOfBirth(clientData, insuranceData, contacts) {
+  const errors = [];
+  
+  const clientDob = checkDateOfBirth(clientData.dobMonth, clientData.dobDay, clientData.dobYear);
+  if (clientDob.error) {
+    errors.push({ dataKey: 'dob', message: clientDob.error });
+    delete clientData.dobMonth;
+    delete clientData.dobDay;
+    delete clientData.dobYear;
+  } else if (clientDob.value) {
+    clientData.dob = clientDob.value;
+  }
+  
+  if (insuranceData && insuranceData.subscriberDob) {
+    const subscriberDob = checkDateOfBirthString(insuranceData.subscriberDob);
+    if (subscriberDob.value) {
+      insuranceData.subscriberDob = subscriberDob.value;
+    } else {
+      errors.push({ dataKey: 'subscriberDob', message: subscriberDob.error });
+      delete insuranceData.subscriberDob;
+    }
+  }
+  
+  for (const contact of contacts) {
+    const dataKey = `${contact.prefix}.dob`;
+    if (!contact.viewData.dob) continue;
+    
+    const contactDob = checkDateOfBirthString(contact.viewData.dob);
+    if (contactDob.value) {
+      contact.viewData.dob = contactDob.value;
+    } else {
+      errors.push({ dataKey, message: contactDob.error });
+      delete contact.viewData.dob;
+      delete contact.viewData.dobMonth;
+      delete contact.viewData.dobDay;
+      delete contact.viewData.dobYear;
+      delete contact.reportData[dataKey];
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Client data as reported - the DOB parts become one `dob` entry
+ */
+function getClientReportData(clientData) {
+  const reportData = Object.assign({}, clientData);
+  const parts = [clientData.dobMonth, clientData.dobDay, clientData.dobYear];
+  
+  delete reportData.dobMonth;
+  delete reportData.dobDay;
+  delete reportData.dobYear;
+  
+  if (!reportData.dob && parts.some(Boolean)) {
+    reportData.dob = parts.map(part => part || '?').join('/');
+  }
+  
+  return reportData;
+}
+
+/**
+ * Fill report entries for rejected dates of birth
+ */
+function buildDateErrorReport(dateErrors) {
+  return dateErrors.map(({ dataKey, message }) => ({
+    dataKey,
+    status: FILL_STATUS.FAILED,
+    fields: [],
+    message: `Error: ${message} - not filled`
+  }));
+}
+
+/**
+ * Short name of a date error's data key for messages
+ */
+function getDateErrorLabel(dataKey) {
+  if (dataKey === 'dob') return 'DOB';
+  if (dataKey === 'subscriberDob') return 'Subscriber DOB';
+  return dataKey.replace(/\.dob$/, ' DOB');
+}
+
+/**
+ * "MM/DD/YYYY" or "YYYY-MM-DD" -> "YYYY-MM-DD" ('' if unrecognized)
+ */
+function toIsoDate(value) {
+  const { month, day, year } = splitDateString(String(value).trim());
+  if (!year) return '';
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+// ============================================================================
+// SEARCHABLE DROPDOWNS (power-select / typeahead)
+// ============================================================================
+
+/**
+ * Pick an option in a searchable dropdown by typing into its search box
+ * @param {HTMLElement} control - Trigger element or typeahead input
+ * @param {string} searchText - Text to search for
+ * @returns {Promise<string|null>} Text of the chosen option, or null if none matched
+ */
+async function fillSearchableDropdown(control, searchText) {
+  const searchInput = await openSearchableDropdown(control);
+  
+  if (searchInput) {
+    await typeIntoSearchInput(searchInput, searchText);
+  }
+  
+  const option = await waitForDropdownOption(searchText, 3000);
+  if (!option) {
+    // Close the dropdown so it does not cover the rest of the form
+    (searchInput || control).dispatchEvent(new KeyboardEvent('keydown', {
+      key: 'Escape', code: 'Escape', keyCode: 27, which: 27, bubbles: true
+    }));
+    return null;
   }
   
-  return null;
+  const chosenText = option.textContent.trim();
+  
+  // power-select selects on mouseup, most other widgets on click
+  option.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+  option.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+  option.dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
+  option.click();
+  
+  await wait(300);
+  return chosenText;
 }
 
 /**
- * Find button by keyword list
+ * Open a dropdown and return the input to type the search into (null if none)
  */
-function findButtonByKeywords(keywords) {
-  const elements = document.querySelectorAll('button, [role="button"], a, span[class*="button"]');
+async function openSearchableDropdown(control) {
+  // Typeahead inputs are their own search box
+  if (control.tagName === 'INPUT') {
+    control.focus();
+    control.dispatchEvent(new Event('focus', { bubbles: true }));
+    return control;
+  }
   
-  for (const el of elements) {
-    const text = el.textContent.trim().toLowerCase();
-    if (matchesAnyKeyword(text, keywords)) {
-      return el;
-    }
+  // power-select opens on mousedown
+  control.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+  control.click();
+  await wait(300);
+  
+  if (document.activeElement && document.activeElement.matches(SEARCHABLE_DROPDOWN_SEARCH_SELECTOR)) {
+    return document.activeElement;
   }
   
-  return null;
+  return Array.from(document.querySelectorAll(SEARCHABLE_DROPDOWN_SEARCH_SELECTOR)).find(isVisible) || null;
 }
 
 /**
- * Find email input field
+ * Type search text so the widget runs its (possibly debounced) search
  */
-function findEmailField() {
-  const inputs = getAllVisibleFields().inputs;
-  for (const input of inputs) {
-    const metadata = extractFieldMetadata(input);
-    if (metadata.includes('email')) {
-      return input;
-    }
-  }
-  return null;
+async function typeIntoSearchInput(input, text) {
+  const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
+    window.HTMLInputElement.prototype,
+    'value'
+  ).set;
+  
+  nativeInputValueSetter.call(input, text);
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+  input.dispatchEvent(new KeyboardEvent('keyup', {
+    key: text.slice(-1),
+    bubbles: true
+  }));
 }
 
 /**
- * Find phone input field
+ * Poll for a visible option matching text: exact, then starts-with, then contains
+ * @returns {Promise<HTMLElement|null>}
  */
-function findPhoneField() {
-  const inputs = getAllVisibleFields().inputs;
-  for (const input of inputs) {
-    const metadata = extractFieldMetadata(input);
-    if (metadata.includes('phone') || metadata.includes('mobile')) {
-      return input;
-    }
+async function waitForDropdownOption(text, maxWait = 3000, checkInterval = 150) {
+  const target = text.trim().toLowerCase();
+  const startTime = Date.now();
+  
+  while (Date.now() - startTime < maxWait) {
+    const options = Array.from(document.querySelectorAll(SEARCHABLE_DROPDOWN_OPTION_SELECTOR))
+      .filter(option => isVisible(option) &&
+        option.getAttribute('aria-disabled') !== 'true' &&
+        !SEARCHABLE_DROPDOWN_PLACEHOLDER_PATTERN.test(option.textContent.trim()));
+    
+    const byText = test => options.find(option => test(option.textContent.trim().toLowerCase()));
+    const match = byText(optionText => optionText === target) ||
+      byText(optionText => optionText.startsWith(target)) ||
+      byText(optionText => optionText.includes(target));
+    
+    if (match) return match;
+    
+    await wait(checkInterval);
   }
+  
   return null;
 }
 
@@ -291,9 +2381,29 @@ function findPhoneField() {
 
 /**
  * Fill radio groups (client type, billing type)
+ * @returns {Promise<Array<Object>>} Field results (see createFieldResult)
+ */
+async function fillRadioGroups(radios, data) {
+  const results = [];
+  
+  for (const entry of planRadioGroups(radios, data)) {
+    try {
+      await applyValueToField(entry.element, entry.value, entry.type);
+      results.push(createFieldResult(entry));
+    } catch (error) {
+      results.push(createFieldResult(entry, error));
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Decide which radio buttons to check (no DOM changes)
+ * @returns {Array<{element, type, value, reason}>}
  */
-function fillRadioGroups(radios, data) {
-  let count = 0;
+function planRadioGroups(radios, data) {
+  const plan = [];
   
   for (const radio of radios) {
     const labelText = getRadioLabelText(radio).toLowerCase();
@@ -303,9 +2413,12 @@ function fillRadioGroups(radios, data) {
       const clientType = data.clientType.toLowerCase();
       const keywords = CLIENT_TYPE_KEYWORDS[clientType];
       if (keywords && matchesAnyKeyword(labelText, keywords)) {
-        radio.checked = true;
-        radio.dispatchEvent(new Event('change', { bubbles: true }));
-        count++;
+        plan.push({
+          element: radio,
+          type: 'clientType',
+          value: data.clientType,
+          reason: `radio label "${labelText}" matches client type keywords [${keywords.join(', ')}]`
+        });
         continue;
       }
     }
@@ -315,14 +2428,17 @@ function fillRadioGroups(radios, data) {
       const billingType = data.billingType.toLowerCase();
       const keywords = BILLING_TYPE_KEYWORDS[billingType];
       if (keywords && matchesAnyKeyword(labelText, keywords)) {
-        radio.checked = true;
-        radio.dispatchEvent(new Event('change', { bubbles: true }));
-        count++;
+        plan.push({
+          element: radio,
+          type: 'billingType',
+          value: data.billingType,
+          reason: `radio label "${labelText}" matches billing type keywords [${keywords.join(', ')}]`
+        });
       }
     }
   }
   
-  return count;
+  return plan;
 }
 
 /**
@@ -354,70 +2470,120 @@ function getRadioLabelText(radio) {
 
 /**
  * Fill text input and textarea fields
+ * @returns {Promise<Array<Object>>} Field results (see createFieldResult)
  */
-async function fillTextFields(inputs, data) {
-  let count = 0;
+async function fillTextFields(inputs, data, roleKeywords = []) {
+  const results = [];
   
-  for (const field of inputs) {
-    const metadata = extractFieldMetadata(field);
-    const matchResult = matchFieldToDataType(metadata, data);
-    
-    if (matchResult.matched && matchResult.value) {
-      try {
-        await applyValueToField(field, String(matchResult.value), matchResult.type);
-        count++;
-      } catch (error) {
-        // Silent fail for individual fields
-        if (DEV_MODE) {
-          console.warn('SimplePractice Autofill: Failed to fill field', metadata, error);
-        }
+  for (const entry of planTextFields(inputs, data, roleKeywords)) {
+    try {
+      await applyValueToField(entry.element, entry.value, entry.type);
+      results.push(createFieldResult(entry));
+    } catch (error) {
+      if (DEV_MODE) {
+        console.warn('SimplePractice Autofill: Failed to fill field', entry.reason, error);
       }
-    } else if (DEV_MODE && !matchResult.matched) {
-      // Log unmatched fields in development mode
-      console.warn('SimplePractice Autofill: Unmatched field:', metadata);
+      results.push(createFieldResult(entry, error));
     }
   }
   
-  return count;
+  return results;
 }
 
 /**
- * Match field metadata to data type using configuration
+ * Decide which text inputs get which value (no DOM changes)
+ * @param {Array<string>} roleKeywords - Contact role words, not held against the fields
+ * @returns {Array<{element, type, value, reason, score}>}
  */
-function matchFieldToDataType(metadata, data) {
-  const meta = metadata.toLowerCase();
+function planTextFields(inputs, data, roleKeywords = []) {
+  const plan = [];
   
-  for (const matcher of FIELD_MATCHERS) {
-    for (const keywordSet of matcher.keywords) {
-      // Handle regex patterns
-      if (keywordSet.length === 1 && keywordSet[0] instanceof RegExp) {
-        if (keywordSet[0].test(meta)) {
-          return {
-            matched: true,
-            type: matcher.type,
-            value: matcher.getValue(data)
-          };
-        }
-      }
-      // Handle keyword arrays
-      else if (matchesKeywords(meta, keywordSet)) {
-        return {
-          matched: true,
-          type: matcher.type,
-          value: matcher.getValue(data)
-        };
-      }
+  for (const field of inputs) {
+    const matchResult = matchFieldToDataType(field, data, roleKeywords);
+    if (DEV_MODE) {
+      logFieldScores(field, matchResult);
+    }
+    
+    const filler = matchResult.matched ? getFieldFiller(field, matchResult.type) : null;
+    
+    if (matchResult.matched && matchResult.value && !(filler && filler.accepts && !filler.accepts(matchResult.value))) {
+      plan.push({
+        element: field,
+        type: matchResult.type,
+        value: String(matchResult.value),
+        reason: matchResult.reason,
+        score: matchResult.score
+      });
+    }
+  }
+  
+  return keepBestFieldPerType(plan);
+}
+
+/**
+ * Match a field to the data type whose rules score highest on it
+ * The label counts most, then aria-label/placeholder, then name/id, then
+ * class (see scoreFieldMatchers in matcher-rules.js).
+ * @param {Array<string>} roleKeywords - Negative keywords to ignore (a contact's role words)
+ * @returns {{matched: boolean, type: string, value: *, reason: string, score: number, scores: Array}}
+ */
+function matchFieldToDataType(field, data, roleKeywords = []) {
+  const scores = scoreFieldMatchers(FIELD_MATCHERS, getFieldIdentity(field), roleKeywords);
+  if (scores.length === 0) {
+    return { matched: false, type: null, value: null, reason: '', score: 0, scores };
+  }
+  
+  const best = scores[0];
+  const matcher = FIELD_MATCHERS.find(candidate => candidate.type === best.type);
+  const keywordSet = matcher.keywords[best.ruleIndex];
+  const where = best.source === 'joined' ? 'metadata' : best.source;
+  
+  return {
+    matched: true,
+    type: best.type,
+    value: matcher.getValue(data),
+    reason: keywordSet[0] instanceof RegExp
+      ? `${where} matches pattern ${keywordSet[0]} (score ${best.score})`
+      : `${where} contains "${keywordSet.join('" + "')}" (score ${best.score})`,
+    score: best.score,
+    scores
+  };
+}
+
+/**
+ * Keep one plan entry per data type - the highest-scoring field, the first on a tie
+ * Entries keep their order.
+ */
+function keepBestFieldPerType(plan) {
+  const best = new Map();
+  for (const entry of plan) {
+    if (!best.has(entry.type) || entry.score > best.get(entry.type).score) {
+      best.set(entry.type, entry);
     }
   }
   
-  return { matched: false, type: null, value: null };
+  return plan.filter(entry => {
+    const kept = best.get(entry.type) === entry;
+    if (DEV_MODE && !kept) {
+      console.log('SimplePractice Autofill: Skipped field, a higher-scoring one takes', entry.type, entry.score, entry.element);
+    }
+    return kept;
+  });
 }
 
 /**
- * Check if metadata contains all keywords
+ * Development mode: what a field scored for each data type
  */
-function matchesKeywords(metadata, keywords) {
-  return keywords.every(keyword => metadata.includes(keyword));
+function logFieldScores(field, matchResult) {
+  if (!matchResult.matched) {
+    console.warn('SimplePractice Autofill: Unmatched field:', extractFieldMetadata(field));
+    return;
+  }
+  console.log(
+    'SimplePractice Autofill: Field scores',
+    getFieldIdentity(field),
+    matchResult.scores.map(({ type, score, source }) => `${type} ${score} (${source})`).join(', ')
+  );
 }
 
 // ============================================================================
@@ -425,20 +2591,53 @@ function matchesKeywords(metadata, keywords) {
 // ============================================================================
 
 /**
- * Fill select dropdowns for DOB
+ * Fill select dropdowns (DOB, state, country)
+ * @returns {Promise<Array<Object>>} Field results (see createFieldResult)
+ */
+async function fillSelectDropdowns(selects, data, roleKeywords = []) {
+  const results = [];
+  
+  for (const entry of planSelectDropdowns(selects, data, roleKeywords)) {
+    try {
+      await applyValueToField(entry.element, entry.targetValue, entry.type);
+      results.push(createFieldResult(entry));
+    } catch (error) {
+      results.push(createFieldResult(entry, error));
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Decide which dropdowns get which option (no DOM changes)
+ * `value` is the text of the option that would be selected.
+ * @returns {Array<{element, type, value, targetValue, reason}>}
  */
-function fillSelectDropdowns(selects, data) {
-  let count = 0;
+function planSelectDropdowns(selects, data, roleKeywords = []) {
+  const plan = [];
+  // One dropdown per data type; DOB parts share theirs between three dropdowns
+  const dataTypePlan = [];
   
   for (const select of selects) {
     const metadata = extractFieldMetadata(select);
     const meta = metadata.toLowerCase();
     
     let valueToSelect = null;
+    let type = null;
+    let keyword = null;
+    
+    // Subscriber DOB dropdowns take their parts from subscriberDob, never the client's DOB
+    const isSubscriber = SUBSCRIBER_FIELD_PATTERN.test(meta);
+    const dob = isSubscriber
+      ? splitDateString(data.subscriberDob || '')
+      : { month: data.dobMonth, day: data.dobDay, year: data.dobYear };
     
     // Month dropdown
     if (DOB_FIELD_KEYWORDS.month.test(meta)) {
-      valueToSelect = data.dobMonth;
+      type = isSubscriber ? 'subscriberDob' : 'dobMonth';
+      keyword = DOB_FIELD_KEYWORDS.month;
+      valueToSelect = dob.month;
       // Convert number to month name if needed
       if (valueToSelect && /^\d{1,2}$/.test(valueToSelect)) {
         valueToSelect = convertMonthToName(valueToSelect);
@@ -446,22 +2645,85 @@ function fillSelectDropdowns(selects, data) {
     }
     // Day dropdown
     else if (DOB_FIELD_KEYWORDS.day.test(meta)) {
-      valueToSelect = data.dobDay;
+      type = isSubscriber ? 'subscriberDob' : 'dobDay';
+      keyword = DOB_FIELD_KEYWORDS.day;
+      valueToSelect = dob.day;
     }
     // Year dropdown
     else if (DOB_FIELD_KEYWORDS.year.test(meta)) {
-      valueToSelect = data.dobYear;
+      type = isSubscriber ? 'subscriberDob' : 'dobYear';
+      keyword = DOB_FIELD_KEYWORDS.year;
+      valueToSelect = dob.year;
+    }
+    
+    // State / country dropdowns - matched like text fields
+    if (!type) {
+      const dropdownEntry = planDataTypeDropdown(select, data, roleKeywords);
+      if (dropdownEntry) {
+        dataTypePlan.push(dropdownEntry);
+        continue;
+      }
+    }
+    
+    if (!valueToSelect) {
+      if (DEV_MODE) {
+        // Log unmatched dropdown
+        console.warn('SimplePractice Autofill: Unmatched dropdown:', metadata);
+      }
+      continue;
     }
     
-    if (valueToSelect && selectDropdownOption(select, valueToSelect)) {
-      count++;
-    } else if (DEV_MODE && !valueToSelect) {
-      // Log unmatched dropdown
-      console.warn('SimplePractice Autofill: Unmatched dropdown:', metadata);
+    const match = findDropdownOption(select, valueToSelect);
+    if (match) {
+      plan.push({
+        element: select,
+        type,
+        value: select.options[match.index].text,
+        targetValue: valueToSelect,
+        reason: `dropdown metadata matches ${keyword}; option by ${match.strategy}`
+      });
+    }
+  }
+  
+  return [...plan, ...keepBestFieldPerType(dataTypePlan)];
+}
+
+/**
+ * Plan a dropdown whose metadata matches a DROPDOWN_DATA_TYPES matcher
+ * Tries every spelling of the value ("CA" and "California") - exact and
+ * text matches first, partial matches only for full names so "CA" never
+ * lands on "North Carolina".
+ * @returns {Object|null} Plan entry
+ */
+function planDataTypeDropdown(select, data, roleKeywords = []) {
+  const matchResult = matchFieldToDataType(select, data, roleKeywords);
+  if (DEV_MODE && matchResult.matched) {
+    logFieldScores(select, matchResult);
+  }
+  const getVariants = DROPDOWN_DATA_TYPES[matchResult.type];
+  if (!matchResult.matched || !getVariants || !matchResult.value) return null;
+  
+  const variants = getVariants(String(matchResult.value));
+  
+  for (const allowPartial of [false, true]) {
+    for (const variant of variants) {
+      if (allowPartial && variant.length <= 3) continue;
+      
+      const match = findDropdownOption(select, variant, allowPartial);
+      if (match) {
+        return {
+          element: select,
+          type: matchResult.type,
+          value: select.options[match.index].text,
+          targetValue: variant,
+          reason: `${matchResult.reason}; option "${variant}" by ${match.strategy}`,
+          score: matchResult.score
+        };
+      }
     }
   }
   
-  return count;
+  return null;
 }
 
 /**
@@ -489,15 +2751,29 @@ function convertMonthToName(monthNum) {
  * Select option in dropdown by value or text
  */
 function selectDropdownOption(select, targetValue) {
+  const match = findDropdownOption(select, targetValue);
+  if (!match) return false;
+  
+  recordUndoState(select);
+  select.selectedIndex = match.index;
+  select.dispatchEvent(new Event('change', { bubbles: true }));
+  select.dispatchEvent(new Event('blur', { bubbles: true }));
+  return true;
+}
+
+/**
+ * Find the option matching targetValue
+ * Strategies in order: exact value, case-insensitive text, partial text/value.
+ * @param {boolean} allowPartial - Set false to skip the partial strategy
+ * @returns {{index: number, strategy: string}|null}
+ */
+function findDropdownOption(select, targetValue, allowPartial = true) {
   const options = select.options;
   
   // Try exact value match
   for (let i = 0; i < options.length; i++) {
     if (options[i].value === targetValue) {
-      select.selectedIndex = i;
-      select.dispatchEvent(new Event('change', { bubbles: true }));
-      select.dispatchEvent(new Event('blur', { bubbles: true }));
-      return true;
+      return { index: i, strategy: 'exact value' };
     }
   }
   
@@ -505,25 +2781,21 @@ function selectDropdownOption(select, targetValue) {
   const targetLower = targetValue.toLowerCase();
   for (let i = 0; i < options.length; i++) {
     if (options[i].text.toLowerCase() === targetLower) {
-      select.selectedIndex = i;
-      select.dispatchEvent(new Event('change', { bubbles: true }));
-      select.dispatchEvent(new Event('blur', { bubbles: true }));
-      return true;
+      return { index: i, strategy: 'text' };
     }
   }
   
+  if (!allowPartial) return null;
+  
   // Try partial match
   for (let i = 0; i < options.length; i++) {
     if (options[i].text.toLowerCase().includes(targetLower) || 
         options[i].value.toLowerCase().includes(targetLower)) {
-      select.selectedIndex = i;
-      select.dispatchEvent(new Event('change', { bubbles: true }));
-      select.dispatchEvent(new Event('blur', { bubbles: true }));
-      return true;
+      return { index: i, strategy: 'partial text' };
     }
   }
   
-  return false;
+  return null;
 }
 
 // ============================================================================
@@ -531,17 +2803,199 @@ function selectDropdownOption(select, targetValue) {
 // ============================================================================
 
 /**
- * Apply value to field - handles both regular and masked inputs
+ * Apply value to field using the first filler strategy that handles it
  * @param {HTMLElement} field - The input field
  * @param {string} value - The value to apply
  * @param {string} type - The field type (e.g., 'phone', 'email', 'firstName')
+ * @returns {Promise<*>} Whatever the strategy's fill() returns (the chosen option for searchable dropdowns)
  */
 async function applyValueToField(field, value, type) {
-  if (type === 'phone') {
-    await fillPhoneField(field, value);
-  } else {
-    await fillRegularField(field, value);
+  const filler = getFieldFiller(field, type);
+  if (!filler) {
+    throw new Error(`No filler for <${field.tagName.toLowerCase()}>`);
   }
+  
+  recordUndoState(field, type);
+  return filler.fill(field, value, type);
+}
+
+// ----------------------------------------------------------------------------
+// Filler strategies
+// ----------------------------------------------------------------------------
+
+// Data types holding a full MM/DD/YYYY date
+const DATE_DATA_TYPES = ['subscriberDob', 'dob'];
+
+// Mask attributes / placeholders that lay out phone digits ("(555) 555-5555", "+1 (___) ___-____")
+const PHONE_MASK_PATTERN = /^\+?[()\-.\s\d#_xX*]+$/;
+
+// Placeholders of masked date inputs ("MM/DD/YYYY", "mm-dd-yy", ...)
+const MASKED_DATE_PLACEHOLDER_PATTERN = /^(mm|dd)\s*[/.-]\s*(dd|mm)\s*[/.-]\s*yy(yy)?$/i;
+
+// Checkbox values
+const CHECKBOX_VALUES = {
+  checked: ['yes', 'y', 'true', '1', 'on', 'checked', 'x'],
+  unchecked: ['no', 'n', 'false', '0', 'off', 'unchecked']
+};
+
+/**
+ * Filler strategies, tried in order - the first whose detect() accepts the
+ * element writes the value. Each is
+ * { name, detect(element, type), fill(element, value, type), verify(element, expected, type) → { ok, actual } }
+ * plus an optional accepts(value) that lets planning skip values the widget can't take.
+ */
+const FIELD_FILLERS = [];
+
+/**
+ * Add a filler strategy
+ * @param {Object} filler - See FIELD_FILLERS
+ * @param {string} before - Name of the strategy it must be tried before (default: just before the plain text fallback)
+ */
+function registerFieldFiller(filler, before = 'text') {
+  const index = FIELD_FILLERS.findIndex(existing => existing.name === before);
+  FIELD_FILLERS.splice(index === -1 ? FIELD_FILLERS.length : index, 0, filler);
+}
+
+/**
+ * Strategy that handles an element (null if none does)
+ */
+function getFieldFiller(element, type) {
+  return FIELD_FILLERS.find(filler => filler.detect(element, type)) || null;
+}
+
+// Compare values the way a masked input displays them
+const verifyDigits = (field, expected) => ({
+  ok: field.value.replace(/\D/g, '') === expected.replace(/\D/g, ''),
+  actual: field.value
+});
+
+// Phone fields may show the number with or without its calling code
+const verifyPhone = (field, expected) => {
+  const parts = splitPhoneNumber(normalizePhoneNumber(expected).e164);
+  const accepted = parts
+    ? [parts.dialCode + parts.national, parts.national]
+    : [expected.replace(/\D/g, '')];
+  return { ok: accepted.includes(field.value.replace(/\D/g, '')), actual: field.value };
+};
+
+const verifyText = (field, expected) => ({
+  ok: field.value.trim() === expected.trim(),
+  actual: field.value
+});
+
+FIELD_FILLERS.push(
+  {
+    name: 'radio',
+    detect: element => element.type === 'radio',
+    fill: async (element) => {
+      element.checked = true;
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+    },
+    verify: element => ({ ok: element.checked, actual: element.checked ? 'checked' : 'unchecked' })
+  },
+  {
+    name: 'checkbox',
+    detect: element => element.type === 'checkbox',
+    accepts: value => parseCheckboxValue(value) !== null,
+    fill: fillCheckboxField,
+    verify: (element, expected) => ({
+      ok: element.checked === parseCheckboxValue(expected),
+      actual: element.checked ? 'checked' : 'unchecked'
+    })
+  },
+  {
+    name: 'select',
+    detect: element => element.tagName === 'SELECT',
+    fill: async (element, value) => {
+      if (!selectDropdownOption(element, value)) {
+        throw new Error(`No option matching "${value}"`);
+      }
+    },
+    verify: (element, expected) => {
+      const selected = element.options[element.selectedIndex];
+      const actual = selected ? selected.text : '';
+      return { ok: actual === expected, actual };
+    }
+  },
+  {
+    // Ember power-select triggers, non-input ARIA comboboxes and the payer
+    // typeahead input (payers are always picked from the list)
+    name: 'searchableDropdown',
+    detect: (element, type) => element.matches('.ember-power-select-trigger') ||
+      (element.getAttribute('role') === 'combobox' && element.tagName !== 'INPUT') ||
+      (type === 'insurancePayer' && element.tagName === 'INPUT'),
+    fill: async (element, value) => {
+      const chosen = await fillSearchableDropdown(element, value);
+      if (!chosen) {
+        throw new Error(`No option matching "${value}"`);
+      }
+      return chosen;
+    },
+    // The trigger shows the selected option as text, a typeahead as its value
+    verify: (element, expected) => {
+      const actual = (element.tagName === 'INPUT' ? element.value : element.textContent).trim();
+      return { ok: actual.toLowerCase().includes(expected.toLowerCase()), actual };
+    }
+  },
+  {
+    name: 'contentEditable',
+    detect: element => element.isContentEditable,
+    fill: fillContentEditableField,
+    verify: (element, expected) => {
+      const actual = element.textContent.trim();
+      return { ok: actual === expected.trim(), actual };
+    }
+  },
+  {
+    name: 'textarea',
+    detect: element => element.tagName === 'TEXTAREA',
+    fill: fillTextareaField,
+    verify: verifyText
+  },
+  {
+    // <input type="date"> only takes (and shows) YYYY-MM-DD
+    name: 'nativeDate',
+    detect: element => element.tagName === 'INPUT' && element.type === 'date',
+    fill: async (element, value) => {
+      const isoDate = toIsoDate(value);
+      if (!isoDate) {
+        throw new Error(`"${value}" is not a date`);
+      }
+      await fillRegularField(element, isoDate);
+    },
+    verify: (element, expected) => ({ ok: element.value === toIsoDate(expected), actual: element.value })
+  },
+  {
+    // Masks reformat phone numbers - compare digits only
+    name: 'phone',
+    detect: (element, type) => element.tagName === 'INPUT' && type === 'phone',
+    fill: fillPhoneField,
+    verify: verifyPhone
+  },
+  {
+    // Same digit-by-digit mask handling as phones; the mask adds the slashes
+    name: 'maskedDate',
+    detect: (element, type) => element.tagName === 'INPUT' &&
+      (DATE_DATA_TYPES.includes(type) || MASKED_DATE_PLACEHOLDER_PATTERN.test((element.placeholder || '').trim())),
+    fill: fillMaskedField,
+    verify: verifyDigits
+  },
+  {
+    name: 'text',
+    detect: element => element.tagName === 'INPUT',
+    fill: fillRegularField,
+    verify: verifyText
+  }
+);
+
+/**
+ * true / false for yes/no-style values, null for anything else
+ */
+function parseCheckboxValue(value) {
+  const normalized = String(value).trim().toLowerCase();
+  if (CHECKBOX_VALUES.checked.includes(normalized)) return true;
+  if (CHECKBOX_VALUES.unchecked.includes(normalized)) return false;
+  return null;
 }
 
 /**
@@ -562,10 +3016,138 @@ async function fillRegularField(field, value) {
 }
 
 /**
- * Fill phone field with Ember mask support
- * This is the critical function for masked phone inputs
+ * Fill textarea (the input setter throws on textareas)
+ */
+async function fillTextareaField(field, value) {
+  const nativeTextAreaValueSetter = Object.getOwnPropertyDescriptor(
+    window.HTMLTextAreaElement.prototype,
+    'value'
+  ).set;
+  
+  nativeTextAreaValueSetter.call(field, value);
+  
+  field.dispatchEvent(new Event('input', { bubbles: true }));
+  field.dispatchEvent(new Event('change', { bubbles: true }));
+  field.dispatchEvent(new Event('blur', { bubbles: true }));
+}
+
+/**
+ * Fill contenteditable element (rich text boxes)
+ * insertText goes through the editor's own input handling; plain
+ * textContent is the fallback when the browser refuses the command.
+ */
+async function fillContentEditableField(field, value) {
+  field.focus();
+  
+  const range = document.createRange();
+  range.selectNodeContents(field);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  
+  if (!document.execCommand('insertText', false, value)) {
+    field.textContent = value;
+    field.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: value }));
+  }
+  
+  field.dispatchEvent(new Event('blur', { bubbles: true }));
+}
+
+/**
+ * Check or uncheck a checkbox with a real click so framework handlers run
+ */
+async function fillCheckboxField(field, value) {
+  const checked = parseCheckboxValue(value);
+  if (checked === null) {
+    throw new Error(`"${value}" is not a yes/no value`);
+  }
+  
+  if (field.checked !== checked) {
+    field.click();
+  }
+}
+
+/**
+ * Fill phone field - the number is laid out for the field's mask first
  */
 async function fillPhoneField(field, value) {
+  await fillMaskedField(field, formatPhoneForField(field, value));
+}
+
+/**
+ * Lay out a phone number (E.164 or as typed) for one input
+ * - masked: only the digits the mask has room for - the national number for
+ *   US/Canada layouts and "+1" masks, calling code + number for "+__" masks
+ * - unmasked: US/Canada numbers as (xxx) xxx-xxxx, others in E.164
+ * @throws {Error} When the number can't fit the mask (a UK number in a US-only field)
+ */
+function formatPhoneForField(field, value) {
+  const { e164 } = normalizePhoneNumber(value);
+  const parts = splitPhoneNumber(e164);
+  if (!parts) return value;
+  
+  const mask = getPhoneMask(field);
+  if (!mask) {
+    return parts.dialCode === '1' ? formatPhoneNumber(parts.national) : e164;
+  }
+  
+  let digits = null;
+  if (mask.dialCode) {
+    digits = mask.dialCode === parts.dialCode ? parts.national : null;
+  } else if (mask.template.startsWith('+')) {
+    digits = parts.dialCode + parts.national;
+  } else if (parts.dialCode === '1') {
+    digits = parts.national;
+  }
+  
+  if (!digits || digits.length > mask.slots) {
+    throw new Error(`${e164} does not fit the field's "${mask.source}" format`);
+  }
+  
+  let index = 0;
+  let formatted = '';
+  for (const char of mask.template) {
+    if (index >= digits.length) break;
+    formatted += char === '#' ? digits[index++] : char;
+  }
+  return formatted;
+}
+
+/**
+ * Digit layout of a phone input, read from its mask attributes or placeholder
+ * ("(555) 555-5555", "+1 (___) ___-____", "+__ ____ ______")
+ * @returns {{source, template, slots, dialCode}|null} "#" marks each digit slot of
+ *   template; dialCode is a calling code the mask fixes ('' if none)
+ */
+function getPhoneMask(field) {
+  const sources = [
+    field.getAttribute('data-mask'),
+    field.getAttribute('data-inputmask-mask'),
+    field.placeholder
+  ];
+  
+  for (const source of sources) {
+    const text = (source || '').trim();
+    if (!PHONE_MASK_PATTERN.test(text)) continue;
+    
+    const fixed = text.match(/^\+(\d{1,3})(?=[\s(.-])/);
+    const rest = fixed ? text.substring(fixed[0].length) : text;
+    const template = (fixed ? fixed[0] : '') + rest.replace(/[\d#_xX*]/g, '#');
+    const slots = (rest.match(/[\d#_xX*]/g) || []).length;
+    
+    if (slots >= 7) {
+      return { source: text, template, slots, dialCode: fixed ? fixed[1] : '' };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Type a value into an Ember-masked input (phones, dates)
+ * This is the critical function for masked inputs
+ */
+async function fillMaskedField(field, value) {
   const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
     window.HTMLInputElement.prototype,
     'value'
@@ -642,17 +3224,23 @@ async function waitForStableValue(field, maxWait = 500, checkInterval = 100) {
  * Uses only semantic attributes - no class/ID exact matching
  */
 function extractFieldMetadata(field) {
-  const parts = [
-    field.name || '',
-    field.id || '',
-    field.placeholder || '',
-    field.getAttribute('aria-label') || '',
-    field.getAttribute('data-testid') || '',
-    field.className || '',
-    getAssociatedLabelText(field)
-  ];
-  
-  return parts.join(' ').toLowerCase();
+  return Object.values(getFieldIdentity(field)).join(' ').toLowerCase();
+}
+
+/**
+ * The attributes matching reads, one by one (also the audit log's field identity)
+ * @returns {{name, id, placeholder, ariaLabel, testId, className, label}}
+ */
+function getFieldIdentity(field) {
+  return {
+    name: field.name || '',
+    id: field.id || '',
+    placeholder: field.placeholder || '',
+    ariaLabel: field.getAttribute('aria-label') || '',
+    testId: field.getAttribute('data-testid') || '',
+    className: typeof field.className === 'string' ? field.className : '',
+    label: getAssociatedLabelText(field)
+  };
 }
 
 /**
@@ -686,6 +3274,24 @@ function getAssociatedLabelText(field) {
   return '';
 }
 
+/**
+ * Label text from the surrounding form group, for widgets without a <label for>
+ * Walks up a few ancestors looking for a label/legend.
+ */
+function getNearbyLabelText(element) {
+  let current = element.parentElement;
+  
+  for (let depth = 0; current && depth < 3; depth++) {
+    const label = current.querySelector('label, legend, [class*="label"]');
+    if (label && !label.contains(element)) {
+      return label.textContent.trim();
+    }
+    current = current.parentElement;
+  }
+  
+  return getAssociatedLabelText(element);
+}
+
 /**
  * Check if text matches any keyword in the list
  * @param {string} text - Text to search in (should be lowercase)
@@ -0,0 +1,103 @@
+/**
+ * Minimal CSV reader and writer (RFC 4180).
+ * Handles quoted fields, escaped quotes ("") and CRLF/LF line endings.
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * Blank lines are dropped.
+ * @param {string} text - Raw CSV text
+ * @param {string} delimiter - Column delimiter (default ',')
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 BOM (Excel adds one)
+  if (text.charCodeAt(0) === 0xFEFF) {
+    text = text.substring(1);
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat CRLF as a single line break
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last row (no trailing newline)
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Guess the delimiter from the header line (comma, semicolon or tab)
+ */
+function detectCsvDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const candidates = [',', ';', '\t'];
+  let best = ',';
+  let bestCount = 0;
+
+  for (const candidate of candidates) {
+    const count = firstLine.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Format rows (arrays of values) as CSV with CRLF line endings
+ * Cells that a spreadsheet could run as a formula (starting with =, +, -, @,
+ * tab or CR) get a leading apostrophe; only a bare E.164 phone number like
+ * "+15551234567" is left alone.
+ */
+function formatCsv(rows) {
+  return rows.map(row => row.map(formatCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function formatCsvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^\+\d+$/.test(text)) {
+    text = "'" + text;
+  }
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
@@ -0,0 +1,439 @@
+/**
+ * Export and import of saved profiles.
+ * Profiles go out as vCard 4.0 (RFC 6350) or CSV, the fill history as CSV,
+ * and vCards - ours or from an address book - come back in as profiles.
+ * Popup only; uses profiles.js, phones.js and csv.js.
+ */
+
+// Profile email / phone type -> vCard TYPE
+const VCARD_CONTACT_METHOD_TYPES = { mobile: 'cell', home: 'home', work: 'work' };
+
+// Profile fields without a standard vCard property: X-SP-FIELD;X-KEY=insurancePayer:Aetna
+const VCARD_FIELD_PROPERTY = 'X-SP-FIELD';
+
+// Guardians / partner: X-SP-CONTACT;X-ROLE=guardian:first;last;relationship;email;phone;dob
+const VCARD_CONTACT_PROPERTY = 'X-SP-CONTACT';
+
+const VCARD_PROFILE_NAME_PROPERTY = 'X-SP-PROFILE-NAME';
+
+// Written as N, BDAY and ADR
+const VCARD_STANDARD_FIELDS = [
+  'firstName', 'lastName', 'dobMonth', 'dobDay', 'dobYear',
+  'streetAddress', 'addressLine2', 'city', 'state', 'zipCode', 'country'
+];
+
+// RFC 6350: lines longer than 75 octets are folded
+const VCARD_LINE_LENGTH = 75;
+
+// ============================================================================
+// VCARD EXPORT
+// ============================================================================
+
+/**
+ * All profiles as one .vcf file
+ */
+function formatProfilesVcard(profiles) {
+  return profiles.map(formatProfileVcard).join('');
+}
+
+/**
+ * One profile as a vCard
+ */
+function formatProfileVcard(profile) {
+  const data = profile.data;
+  const lines = ['BEGIN:VCARD', 'VERSION:4.0'];
+
+  const fullName = [data.firstName, data.lastName].filter(Boolean).join(' ');
+  lines.push('FN:' + escapeVcardText(fullName || getProfileDisplayName(profile)));
+  lines.push('N:' + formatVcardComponents([data.lastName, data.firstName, '', '', '']));
+  if (profile.name) {
+    lines.push(`${VCARD_PROFILE_NAME_PROPERTY}:${escapeVcardText(profile.name)}`);
+  }
+
+  const birthday = formatVcardDate(data.dobMonth, data.dobDay, data.dobYear);
+  if (birthday) lines.push('BDAY:' + birthday);
+
+  const address = ['', data.addressLine2, data.streetAddress, data.city, data.state, data.zipCode, data.country];
+  if (address.some(Boolean)) {
+    lines.push('ADR;TYPE=home:' + formatVcardComponents(address));
+  }
+
+  (data.emails || []).filter(email => email.address).forEach((email, index) => {
+    const params = formatVcardContactMethodParams(email, index, EMAIL_FLAGS);
+    lines.push(`EMAIL${params}:${escapeVcardText(email.address)}`);
+  });
+
+  (data.phones || []).filter(phone => phone.number).forEach((phone, index) => {
+    const params = formatVcardContactMethodParams(phone, index, PHONE_FLAGS);
+    if (/^\+\d+$/.test(phone.number)) {
+      const extension = phone.extension ? ';ext=' + phone.extension : '';
+      lines.push(`TEL;VALUE=uri${params}:tel:${phone.number}${extension}`);
+    } else {
+      // Saved before it could be normalized - keep it as typed
+      lines.push(`TEL${params}:${escapeVcardText(phone.number)}`);
+    }
+  });
+
+  for (const [key, value] of Object.entries(data)) {
+    if (typeof value !== 'string' || !value || VCARD_STANDARD_FIELDS.includes(key)) continue;
+    lines.push(`${VCARD_FIELD_PROPERTY};X-KEY=${key}:${escapeVcardText(value)}`);
+  }
+
+  for (const contact of data.contacts || []) {
+    if (!CONTACT_FIELDS.some(field => contact[field])) continue;
+    const value = formatVcardComponents(CONTACT_FIELDS.map(field => contact[field]));
+    lines.push(`${VCARD_CONTACT_PROPERTY};X-ROLE=${contact.role}:${value}`);
+  }
+
+  if (profile.updatedAt) {
+    lines.push('REV:' + new Date(profile.updatedAt).toISOString().replace(/[-:]|\.\d+/g, ''));
+  }
+  lines.push('END:VCARD');
+
+  return lines.map(foldVcardLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * ";TYPE=cell;PREF=1;X-SP-FLAGS=reminders,voicemail" for an email / phone entry
+ */
+function formatVcardContactMethodParams(entry, index, flags) {
+  let params = '';
+  if (VCARD_CONTACT_METHOD_TYPES[entry.type]) params += ';TYPE=' + VCARD_CONTACT_METHOD_TYPES[entry.type];
+  params += ';PREF=' + Math.min(index + 1, 100);
+
+  const set = flags.filter(flag => entry[flag]);
+  if (set.length > 0) params += ';X-SP-FLAGS=' + set.join(',');
+  return params;
+}
+
+/**
+ * BDAY value - "19900314", "--0314" without a year, "1990" with only a year
+ */
+function formatVcardDate(month, day, year) {
+  const mm = month ? String(month).padStart(2, '0') : '';
+  const dd = day ? String(day).padStart(2, '0') : '';
+
+  if (year && mm && dd) return year + mm + dd;
+  if (mm && dd) return '--' + mm + dd;
+  if (year && mm) return year + '-' + mm;
+  return year || '';
+}
+
+function formatVcardComponents(values) {
+  return values.map(value => escapeVcardText(value || '')).join(';');
+}
+
+function escapeVcardText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Split a long line into 75-character pieces; continuation lines start with a space
+ */
+function foldVcardLine(line) {
+  const chars = Array.from(line);
+  if (chars.length <= VCARD_LINE_LENGTH) return line;
+
+  const pieces = [chars.slice(0, VCARD_LINE_LENGTH).join('')];
+  for (let i = VCARD_LINE_LENGTH; i < chars.length; i += VCARD_LINE_LENGTH - 1) {
+    pieces.push(' ' + chars.slice(i, i + VCARD_LINE_LENGTH - 1).join(''));
+  }
+  return pieces.join('\r\n');
+}
+
+// ============================================================================
+// VCARD IMPORT
+// ============================================================================
+
+/**
+ * Read a .vcf file (vCard 2.1, 3.0 or 4.0) into new profiles
+ * @returns {Array<Object>} Profiles from createProfile, in file order
+ */
+function parseVcardProfiles(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const profiles = [];
+  let properties = null;
+
+  for (const line of lines) {
+    const property = parseVcardLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+      properties = [];
+    } else if (property.name === 'END' && properties) {
+      profiles.push(createProfileFromVcard(properties));
+      properties = null;
+    } else if (properties) {
+      properties.push(property);
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * "item1.TEL;TYPE=cell,voice;PREF=1:tel:+1555..." -> { name, params, value }
+ * Parameter names are upper-cased, TYPE values lower-cased; bare 2.1
+ * parameters ("TEL;CELL:...") count as types. The value is still escaped.
+ * @returns {{name: string, params: Object<string, Array<string>>, value: string}|null}
+ */
+function parseVcardLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length && colon === -1; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) colon = i;
+  }
+  if (colon === -1) return null;
+
+  const [rawName, ...rawParams] = line.substring(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const name = rawName.substring(rawName.lastIndexOf('.') + 1).trim().toUpperCase();
+  const params = {};
+
+  for (const rawParam of rawParams) {
+    const equals = rawParam.indexOf('=');
+    const key = equals === -1 ? 'TYPE' : rawParam.substring(0, equals).trim().toUpperCase();
+    const values = (equals === -1 ? rawParam : rawParam.substring(equals + 1))
+      .split(',')
+      .map(value => value.trim().replace(/^"|"$/g, ''))
+      .map(value => key === 'TYPE' ? value.toLowerCase() : value);
+    params[key] = (params[key] || []).concat(values);
+  }
+
+  return { name, params, value: line.substring(colon + 1) };
+}
+
+/**
+ * Build a profile from one card's properties
+ */
+function createProfileFromVcard(properties) {
+  const data = { emails: [], phones: [], contacts: [] };
+  let profileName = '';
+  let formattedName = '';
+  let hasAddress = false;
+
+  for (const { name, params, value } of properties) {
+    if (name === 'N') {
+      const [lastName, firstName] = splitVcardComponents(value);
+      if (firstName) data.firstName = firstName;
+      if (lastName) data.lastName = lastName;
+    } else if (name === 'FN') {
+      formattedName = unescapeVcardText(value);
+    } else if (name === VCARD_PROFILE_NAME_PROPERTY) {
+      profileName = unescapeVcardText(value);
+    } else if (name === 'BDAY') {
+      Object.assign(data, parseVcardDate(value));
+    } else if (name === 'ADR' && !hasAddress) {
+      // The first address only - the form has one
+      hasAddress = true;
+      const [, addressLine2, streetAddress, city, state, zipCode, country] = splitVcardComponents(value);
+      Object.assign(data, { addressLine2, streetAddress, city, state, zipCode, country });
+    } else if (name === 'EMAIL') {
+      const email = Object.assign(createEmail(), {
+        address: unescapeVcardText(value).replace(/^mailto:/i, ''),
+        type: getVcardContactMethodType(params)
+      });
+      setVcardFlags(email, params, EMAIL_FLAGS);
+      data.emails.push(Object.assign(email, { pref: getVcardPref(params) }));
+    } else if (name === 'TEL') {
+      data.phones.push(Object.assign(parseVcardPhone(value, params), { pref: getVcardPref(params) }));
+    } else if (name === VCARD_FIELD_PROPERTY && params['X-KEY']) {
+      const key = params['X-KEY'][0];
+      if (!['emails', 'phones', 'contacts'].includes(key)) data[key] = unescapeVcardText(value);
+    } else if (name === VCARD_CONTACT_PROPERTY) {
+      const role = params['X-ROLE'] ? params['X-ROLE'][0] : 'guardian';
+      const contact = createContact(CONTACT_ROLE_LABELS[role] ? role : 'guardian');
+      splitVcardComponents(value).forEach((part, index) => {
+        if (CONTACT_FIELDS[index]) contact[CONTACT_FIELDS[index]] = part;
+      });
+      data.contacts.push(contact);
+    }
+  }
+
+  // Cards without N: "Jane Q Doe" -> Jane / Doe
+  if (!data.firstName && !data.lastName && formattedName) {
+    const words = formattedName.trim().split(/\s+/);
+    data.firstName = words[0];
+    if (words.length > 1) data.lastName = words[words.length - 1];
+  }
+
+  // Most preferred first (the first entry is the primary one)
+  for (const list of [data.emails, data.phones]) {
+    list.sort((a, b) => a.pref - b.pref);
+    list.forEach(entry => delete entry.pref);
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) delete data[key];
+  }
+  return createProfile(profileName, data);
+}
+
+/**
+ * TEL value ("tel:+15551234567;ext=12" or a typed number) -> phone entry
+ */
+function parseVcardPhone(value, params) {
+  let number = unescapeVcardText(value).replace(/^tel:/i, '');
+  let extension = '';
+
+  const extensionMatch = number.match(/;ext=(\d+)/i);
+  if (extensionMatch) {
+    extension = extensionMatch[1];
+    number = number.substring(0, extensionMatch.index);
+  }
+
+  const normalized = normalizePhoneNumber(number);
+  const phone = createPhone(normalized.error ? DEFAULT_PHONE_COUNTRY : findPhoneCountryCode(normalized.e164));
+  phone.number = normalized.error ? number : normalized.e164;
+  phone.extension = extension || normalized.extension;
+  phone.type = getVcardContactMethodType(params);
+  setVcardFlags(phone, params, PHONE_FLAGS);
+  return phone;
+}
+
+/**
+ * BDAY "19900314" / "1990-03-14" / "--0314" / "1990" -> DOB parts
+ */
+function parseVcardDate(value) {
+  const date = value.trim().split('T')[0];
+
+  let match = date.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  if (match) return { dobYear: match[1], dobMonth: match[2], dobDay: match[3] };
+
+  match = date.match(/^--(\d{2})-?(\d{2})$/);
+  if (match) return { dobMonth: match[1], dobDay: match[2] };
+
+  match = date.match(/^(\d{4})(?:-(\d{2}))?$/);
+  if (match) return match[2] ? { dobYear: match[1], dobMonth: match[2] } : { dobYear: match[1] };
+
+  return {};
+}
+
+function getVcardContactMethodType(params) {
+  const types = params.TYPE || [];
+  const entry = Object.entries(VCARD_CONTACT_METHOD_TYPES).find(([type, vcardType]) =>
+    types.includes(vcardType) || types.includes(type)
+  );
+  return entry ? entry[0] : '';
+}
+
+/**
+ * PREF=1..100 (4.0) or TYPE=pref (3.0); entries without one sort last
+ */
+function getVcardPref(params) {
+  if (params.PREF) return parseInt(params.PREF[0], 10) || 100;
+  return (params.TYPE || []).includes('pref') ? 1 : 101;
+}
+
+function setVcardFlags(entry, params, flags) {
+  const set = params['X-SP-FLAGS'] || [];
+  for (const flag of flags) {
+    entry[flag] = set.includes(flag);
+  }
+}
+
+/**
+ * Split a structured value on unescaped semicolons, then unescape each part
+ */
+function splitVcardComponents(value) {
+  return value.split(/(?<!\\);/).map(unescapeVcardText);
+}
+
+function unescapeVcardText(value) {
+  return value.replace(/\\([\\,;nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// ============================================================================
+// CSV EXPORT
+// ============================================================================
+
+/**
+ * All profiles as CSV, one row each
+ * Client columns use the popup's field labels, so the file can go straight
+ * into "Import CSV / JSON"; extra emails, phones and contacts get numbered columns.
+ */
+function formatProfilesCsv(profiles) {
+  const columns = [
+    { label: 'Profile Name', value: profile => profile.name },
+    ...PROFILE_FIELDS.map(key => ({ label: getFieldLabel(key), value: profile => profile.data[key] }))
+  ];
+
+  // Custom data types (matcher-rules.js) stored next to the built-in fields
+  const customKeys = new Set();
+  for (const profile of profiles) {
+    for (const [key, value] of Object.entries(profile.data)) {
+      if (typeof value === 'string' && !PROFILE_FIELDS.includes(key)) customKeys.add(key);
+    }
+  }
+  for (const key of customKeys) {
+    columns.push({ label: key, value: profile => profile.data[key] });
+  }
+
+  const maxEmails = Math.max(0, ...profiles.map(profile => (profile.data.emails || []).length));
+  for (let i = 0; i < maxEmails; i++) {
+    const label = getFieldLabel(getContactMethodKey('email', i));
+    const email = profile => (profile.data.emails || [])[i] || {};
+    columns.push({ label, value: profile => email(profile).address });
+    columns.push({ label: label + ' Type', value: profile => email(profile).type });
+  }
+
+  const maxPhones = Math.max(0, ...profiles.map(profile => (profile.data.phones || []).length));
+  for (let i = 0; i < maxPhones; i++) {
+    const label = getFieldLabel(getContactMethodKey('phone', i));
+    const phone = profile => (profile.data.phones || [])[i] || {};
+    columns.push({ label, value: profile => phone(profile).number });
+    columns.push({ label: i === 0 ? FIELD_LABELS.phoneExtension : label + ' Ext.', value: profile => phone(profile).extension });
+    columns.push({ label: i === 0 ? FIELD_LABELS.phoneType : label + ' Type', value: profile => phone(profile).type });
+  }
+
+  for (const role of Object.keys(CONTACT_ROLE_LABELS)) {
+    const contactsOf = profile => (profile.data.contacts || []).filter(contact => contact.role === role);
+    const maxContacts = Math.max(0, ...profiles.map(profile => contactsOf(profile).length));
+    for (let i = 0; i < maxContacts; i++) {
+      for (const field of CONTACT_FIELDS) {
+        columns.push({
+          label: getFieldLabel(`${role}${i + 1}.${field}`),
+          value: profile => (contactsOf(profile)[i] || {})[field]
+        });
+      }
+    }
+  }
+
+  columns.push({ label: 'Updated', value: profile => profile.updatedAt ? new Date(profile.updatedAt).toISOString() : '' });
+
+  return formatCsv([
+    columns.map(column => column.label),
+    ...profiles.map(profile => columns.map(column => column.value(profile) || ''))
+  ]);
+}
+
+/**
+ * Fill history (history.js) as CSV - one row per field outcome, one row for
+ * fills that reported no fields
+ */
+function formatFillHistoryCsv(history) {
+  const rows = [['Timestamp', 'Profile', 'Page', 'Result', 'Fields Filled', 'Field', 'Outcome', 'Message']];
+
+  for (const entry of history) {
+    const fill = [
+      new Date(entry.timestamp).toISOString(),
+      entry.profileName,
+      entry.path,
+      entry.success ? 'success' : 'failed',
+      entry.fieldsFilledCount
+    ];
+
+    if (entry.fields.length === 0) {
+      rows.push([...fill, '', '', entry.message]);
+    }
+    for (const field of entry.fields) {
+      rows.push([...fill, getFieldLabel(field.dataKey), field.status, entry.message]);
+    }
+  }
+
+  return formatCsv(rows);
+}
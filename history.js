@@ -0,0 +1,39 @@
+/**
+ * Fill history.
+ * One entry each time the content script ran a fill - when, which profile,
+ * which page and how every field turned out (never the values). Kept
+ * encrypted in chrome.storage.local next to the profiles so the practice
+ * manager can reconcile what was entered; exported from the popup as CSV.
+ */
+
+// Storage keys - the log is encrypted in local, fills made while locked wait in session
+const FILL_HISTORY_STORAGE_KEY = 'fillHistory';
+const PENDING_FILL_HISTORY_KEY = 'pendingFillHistory';
+
+// Oldest entries are dropped past this
+const MAX_FILL_HISTORY_ENTRIES = 1000;
+
+/**
+ * Load the fill history, oldest first (vault must be unlocked)
+ * @returns {Promise<Array<{timestamp, profileId, queueItemId, profileName, path, success, fieldsFilledCount, message, fields}>>}
+ */
+async function loadFillHistory() {
+  const history = await loadEncrypted(FILL_HISTORY_STORAGE_KEY);
+  return Array.isArray(history) ? history : [];
+}
+
+/**
+ * Add a fill to the history
+ * While locked the entry waits in chrome.storage.session and is written once
+ * the vault is unlocked again (see background.js).
+ * @param {Object|null} entry - null only writes the held entries
+ */
+async function appendFillHistory(entry) {
+  const written = await appendEncryptedList(
+    FILL_HISTORY_STORAGE_KEY,
+    PENDING_FILL_HISTORY_KEY,
+    entry ? [entry] : [],
+    history => history.slice(-MAX_FILL_HISTORY_ENTRIES)
+  );
+  if (!written) console.warn('⚠️ Vault locked - fill history entry held until unlock');
+}
@@ -0,0 +1,356 @@
+/**
+ * Batch intake importer.
+ * Turns CSV/JSON spreadsheets into validated client records and keeps
+ * them in a queue that "Fill Form" works through one client at a time.
+ */
+
+// Import targets - the data keys the content script's FIELD_MATCHERS,
+// radio groups and DOB dropdowns understand. `dob` is split into parts.
+const IMPORT_TARGETS = [
+  { key: 'firstName', label: 'First Name', aliases: ['first name', 'firstname', 'first', 'given name'] },
+  { key: 'lastName', label: 'Last Name', aliases: ['last name', 'lastname', 'last', 'surname', 'family name'] },
+  { key: 'preferredName', label: 'Preferred Name', aliases: ['preferred name', 'preferred', 'nickname', 'goes by'] },
+  { key: 'email', label: 'Email', aliases: ['email', 'e-mail', 'email address'] },
+  { key: 'phone', label: 'Phone', aliases: ['phone', 'phone number', 'mobile', 'cell', 'telephone'] },
+  { key: 'phoneExtension', label: 'Phone Ext.', aliases: ['extension', 'ext', 'phone ext', 'phone extension'] },
+  { key: 'phoneType', label: 'Phone Type', aliases: ['phone type'] },
+  { key: 'dob', label: 'DOB (full date)', aliases: ['dob', 'date of birth', 'birthdate', 'birth date', 'birthday'] },
+  { key: 'dobMonth', label: 'DOB Month', aliases: ['dob month', 'birth month', 'month'] },
+  { key: 'dobDay', label: 'DOB Day', aliases: ['dob day', 'birth day', 'day'] },
+  { key: 'dobYear', label: 'DOB Year', aliases: ['dob year', 'birth year', 'year'] },
+  { key: 'clientType', label: 'Client Type', aliases: ['client type', 'clienttype', 'type'] },
+  { key: 'billingType', label: 'Billing Type', aliases: ['billing type', 'billingtype', 'billing', 'payment'] },
+  { key: 'streetAddress', label: 'Street Address', aliases: ['street address', 'street', 'address', 'address 1', 'address line 1'] },
+  { key: 'addressLine2', label: 'Address Line 2', aliases: ['address line 2', 'address 2', 'apt', 'suite', 'unit'] },
+  { key: 'city', label: 'City', aliases: ['city', 'town'] },
+  { key: 'state', label: 'State', aliases: ['state', 'province', 'region'] },
+  { key: 'zipCode', label: 'ZIP', aliases: ['zip', 'zip code', 'zipcode', 'postal code', 'postcode'] },
+  { key: 'country', label: 'Country', aliases: ['country'] }
+];
+
+// Accepted spellings for the radio-group values
+const CLIENT_TYPE_VALUES = {
+  adult: ['adult', 'individual'],
+  minor: ['minor', 'child', 'adolescent'],
+  couple: ['couple', 'couples']
+};
+
+const PHONE_TYPE_ALIASES = {
+  mobile: ['mobile', 'cell', 'cellphone', 'cell phone', 'mobile phone'],
+  home: ['home', 'home phone', 'landline'],
+  work: ['work', 'work phone', 'office', 'business']
+};
+
+const BILLING_TYPE_VALUES = {
+  'self-pay': ['self-pay', 'self pay', 'selfpay', 'self', 'private pay', 'cash'],
+  insurance: ['insurance', 'ins', 'insured']
+};
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// Queue storage (local only - batches can outgrow the sync quota; encrypted, see vault.js)
+const INTAKE_QUEUE_STORAGE_KEY = 'intakeQueue';
+
+// ============================================================================
+// SOURCE PARSING
+// ============================================================================
+
+/**
+ * Read an uploaded file into { headers, rows }
+ * @param {string} fileName - Used to pick the CSV or JSON reader
+ * @param {string} text - File contents
+ */
+function parseImportFile(fileName, text) {
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    return parseJsonImport(text);
+  }
+
+  const rows = parseCsv(text, detectCsvDelimiter(text));
+  if (rows.length === 0) {
+    throw new Error('File is empty');
+  }
+
+  const headers = rows[0].map(header => header.trim());
+  return { headers, rows: rows.slice(1) };
+}
+
+/**
+ * Read a JSON array of objects (or { clients: [...] }) into { headers, rows }
+ */
+function parseJsonImport(text) {
+  let parsed = JSON.parse(text);
+  if (!Array.isArray(parsed) && parsed && Array.isArray(parsed.clients)) {
+    parsed = parsed.clients;
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error('JSON must be an array of client objects');
+  }
+
+  const headers = [];
+  for (const item of parsed) {
+    for (const key of Object.keys(item || {})) {
+      if (!headers.includes(key)) headers.push(key);
+    }
+  }
+
+  const rows = parsed.map(item => headers.map(header => {
+    const value = item ? item[header] : '';
+    return value === undefined || value === null ? '' : String(value);
+  }));
+
+  return { headers, rows };
+}
+
+// ============================================================================
+// COLUMN MAPPING
+// ============================================================================
+
+/**
+ * Guess a target key for each source column
+ * @param {Array<string>} headers - Source column names
+ * @returns {Array<string>} Target key per column ('' = ignore)
+ */
+function guessColumnMapping(headers) {
+  const used = new Set();
+
+  return headers.map(header => {
+    const normalized = normalizeHeader(header);
+    const target = IMPORT_TARGETS.find(t =>
+      !used.has(t.key) && (normalizeHeader(t.key) === normalized || t.aliases.includes(normalized))
+    );
+    if (!target) return '';
+    used.add(target.key);
+    return target.key;
+  });
+}
+
+/**
+ * Lowercase, turn camelCase/underscores into spaces
+ */
+function normalizeHeader(header) {
+  return String(header)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[_\-.]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Apply a column mapping to every row
+ * @returns {Array<{rowNumber: number, data: Object, errors: Array<string>}>}
+ */
+function mapImportRows(rows, mapping) {
+  return rows.map((row, index) => {
+    const raw = {};
+    mapping.forEach((key, column) => {
+      if (key && row[column] !== undefined && row[column].trim() !== '') {
+        raw[key] = row[column].trim();
+      }
+    });
+
+    const { data, errors } = normalizeImportRecord(raw);
+    // +2: 1-based, plus the header line
+    return { rowNumber: index + 2, data, errors };
+  });
+}
+
+// ============================================================================
+// NORMALIZATION & VALIDATION
+// ============================================================================
+
+/**
+ * Normalize one mapped record and collect validation errors
+ */
+function normalizeImportRecord(raw) {
+  const errors = [];
+  const data = {};
+
+  for (const key of ['firstName', 'lastName', 'preferredName', 'streetAddress', 'addressLine2', 'city', 'country']) {
+    if (raw[key]) data[key] = raw[key];
+  }
+
+  if (raw.state) {
+    // Store the abbreviation when the state is recognized
+    data.state = getStateVariants(raw.state)[0];
+  }
+
+  if (raw.zipCode) {
+    data.zipCode = raw.zipCode;
+    if (/^\d{1,4}$/.test(raw.zipCode)) {
+      // Spreadsheets drop leading zeros from ZIPs (02134 -> 2134)
+      data.zipCode = raw.zipCode.padStart(5, '0');
+    }
+  }
+
+  if (!data.firstName && !data.lastName) {
+    errors.push('Missing first and last name');
+  }
+
+  if (raw.email) {
+    data.emails = [Object.assign(createEmail(), { address: raw.email })];
+    if (!isValidEmail(raw.email)) {
+      errors.push(`Invalid email "${raw.email}"`);
+    }
+  }
+
+  if (raw.phone) {
+    // National numbers are read in the client's country (US if none or unknown)
+    const countryCode = raw.country ? getCountryVariants(raw.country)[0] : '';
+    const phone = createPhone(PHONE_COUNTRIES[countryCode] ? countryCode : DEFAULT_PHONE_COUNTRY);
+    const normalized = normalizePhoneNumber(raw.phone, phone.country);
+
+    if (normalized.error) {
+      errors.push(`Invalid phone: ${normalized.error}`);
+      phone.number = raw.phone;
+    } else {
+      phone.number = normalized.e164;
+    }
+
+    if (raw.phoneExtension || normalized.extension) {
+      phone.extension = (raw.phoneExtension || normalized.extension).replace(/\D/g, '');
+    }
+
+    if (raw.phoneType) {
+      phone.type = lookupAlias(PHONE_TYPE_ALIASES, raw.phoneType) || '';
+      if (!phone.type) errors.push(`Unknown phone type "${raw.phoneType}"`);
+    }
+
+    data.phones = [phone];
+  }
+
+  // Full date column fills any parts not given separately
+  let dobParts = { month: raw.dobMonth, day: raw.dobDay, year: raw.dobYear };
+  if (raw.dob) {
+    const parsed = parseDateParts(raw.dob);
+    if (parsed) {
+      dobParts = {
+        month: dobParts.month || parsed.month,
+        day: dobParts.day || parsed.day,
+        year: dobParts.year || parsed.year
+      };
+    } else {
+      errors.push(`Unrecognized date of birth "${raw.dob}"`);
+    }
+  }
+
+  if (dobParts.month) {
+    const month = normalizeMonth(dobParts.month);
+    if (month) data.dobMonth = month;
+    else errors.push(`Invalid DOB month "${dobParts.month}"`);
+  }
+  if (dobParts.day) {
+    const day = parseInt(dobParts.day, 10);
+    if (/^\d{1,2}$/.test(dobParts.day) && day >= 1 && day <= 31) data.dobDay = String(day).padStart(2, '0');
+    else errors.push(`Invalid DOB day "${dobParts.day}"`);
+  }
+  if (dobParts.year) {
+    if (/^\d{4}$/.test(dobParts.year)) data.dobYear = dobParts.year;
+    else errors.push(`Invalid DOB year "${dobParts.year}"`);
+  }
+
+  if (raw.clientType) {
+    const clientType = lookupAlias(CLIENT_TYPE_VALUES, raw.clientType);
+    if (clientType) data.clientType = clientType;
+    else errors.push(`Unknown client type "${raw.clientType}"`);
+  }
+  if (raw.billingType) {
+    const billingType = lookupAlias(BILLING_TYPE_VALUES, raw.billingType);
+    if (billingType) data.billingType = billingType;
+    else errors.push(`Unknown billing type "${raw.billingType}"`);
+  }
+
+  return { data, errors };
+}
+
+/**
+ * Split "3/14/1990", "1990-03-14" or "March 14, 1990" into parts
+ */
+function parseDateParts(value) {
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return { year: match[1], month: match[2], day: match[3] };
+
+  match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) return { month: match[1], day: match[2], year: match[3] };
+
+  match = value.match(/^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/i);
+  if (match) return { month: match[1], day: match[2], year: match[3] };
+
+  return null;
+}
+
+/**
+ * Month number or name -> two-digit month ('' if invalid)
+ */
+function normalizeMonth(value) {
+  const trimmed = String(value).trim().toLowerCase();
+
+  if (/^\d{1,2}$/.test(trimmed)) {
+    const month = parseInt(trimmed, 10);
+    return month >= 1 && month <= 12 ? String(month).padStart(2, '0') : '';
+  }
+
+  if (trimmed.length >= 3) {
+    const index = MONTH_NAMES.findIndex(name => name.startsWith(trimmed));
+    if (index !== -1) return String(index + 1).padStart(2, '0');
+  }
+
+  return '';
+}
+
+/**
+ * Find the canonical key whose alias list contains value
+ */
+function lookupAlias(aliasMap, value) {
+  const normalized = value.trim().toLowerCase();
+  for (const [key, aliases] of Object.entries(aliasMap)) {
+    if (aliases.includes(normalized)) return key;
+  }
+  return null;
+}
+
+// ============================================================================
+// INTAKE QUEUE
+// ============================================================================
+
+/**
+ * Load the intake queue (vault must be unlocked)
+ * @returns {Promise<Array<{id, label, data, status, addedAt, completedAt}>>}
+ */
+async function loadIntakeQueue() {
+  const queue = await loadEncrypted(INTAKE_QUEUE_STORAGE_KEY);
+  return Array.isArray(queue) ? queue : [];
+}
+
+/**
+ * Persist the intake queue (encrypted)
+ */
+async function saveIntakeQueue(queue) {
+  await saveEncrypted(INTAKE_QUEUE_STORAGE_KEY, queue);
+}
+
+/**
+ * Wrap validated records as pending queue items
+ */
+function createQueueItems(records) {
+  const now = Date.now();
+  return records.map((record, index) => ({
+    id: 'q_' + now.toString(36) + '_' + index,
+    label: [record.firstName, record.lastName].filter(Boolean).join(' ') ||
+      (record.emails && record.emails[0] ? record.emails[0].address : '') || 'Unnamed client',
+    data: record,
+    status: 'pending',
+    addedAt: now,
+    completedAt: null
+  }));
+}
+
+/**
+ * First pending item, or null when the queue is done
+ */
+function getNextQueueItem(queue) {
+  return queue.find(item => item.status === 'pending') || null;
+}
@@ -0,0 +1,600 @@
+/**
+ * Field matcher rules.
+ * Shared by the content script (matching), the options page (editing)
+ * and the popup (custom data types). Rules are stored as plain JSON in
+ * chrome.storage.sync and compiled into the FIELD_MATCHERS shape at runtime.
+ */
+
+const MATCHER_RULES_STORAGE_KEY = 'matcherRules';
+const MATCHER_RULES_VERSION = 1;
+
+// Matchers: { type, label, rules, negativeKeywords? } - negative keywords count
+// against the matcher wherever they appear (see scoreFieldMatchers); equal
+// scores go to the matcher listed first.
+// Rule kinds:
+//   { kind: 'keywords', keywords: ['first', 'name'] } - every keyword must appear
+//   { kind: 'regex', pattern: '\\bgo\\s+by\\b' }     - tested case-insensitively
+
+// Words naming someone other than the client - a "first name" or "phone"
+// next to one of them is that person's, not the client's
+const OTHER_PERSON_KEYWORDS = ['emergency', 'guardian', 'parent', 'referring', 'referral', 'physician', 'doctor', 'employer'];
+
+const DEFAULT_MATCHER_RULES = {
+  version: MATCHER_RULES_VERSION,
+  fieldMatchers: [
+    // Subscriber (policyholder) names come before the client's: their labels
+    // also contain "first name" / "last name", so the two score the same
+    {
+      type: 'subscriberFirstName',
+      label: 'Subscriber First Name',
+      rules: [
+        { kind: 'keywords', keywords: ['subscriber', 'first'] },
+        { kind: 'keywords', keywords: ['insured', 'first'] },
+        { kind: 'regex', pattern: 'policy\\s*holder.*first' }
+      ]
+    },
+    {
+      type: 'subscriberLastName',
+      label: 'Subscriber Last Name',
+      rules: [
+        { kind: 'keywords', keywords: ['subscriber', 'last'] },
+        { kind: 'keywords', keywords: ['insured', 'last'] },
+        { kind: 'regex', pattern: 'policy\\s*holder.*last' }
+      ]
+    },
+    {
+      type: 'firstName',
+      label: 'First Name',
+      negativeKeywords: [...OTHER_PERSON_KEYWORDS, 'prefer', 'nickname'],
+      rules: [
+        { kind: 'keywords', keywords: ['first', 'name'] },
+        { kind: 'keywords', keywords: ['given', 'name'] }
+      ]
+    },
+    {
+      type: 'lastName',
+      label: 'Last Name',
+      negativeKeywords: OTHER_PERSON_KEYWORDS,
+      rules: [
+        { kind: 'keywords', keywords: ['last', 'name'] },
+        { kind: 'keywords', keywords: ['surname'] },
+        { kind: 'keywords', keywords: ['family', 'name'] }
+      ]
+    },
+    {
+      type: 'preferredName',
+      label: 'Preferred Name',
+      negativeKeywords: ['contact', 'method', 'language', 'pronoun'],
+      rules: [
+        { kind: 'keywords', keywords: ['prefer'] },
+        { kind: 'keywords', keywords: ['nickname'] },
+        { kind: 'regex', pattern: '\\bgo\\s+by\\b' }
+      ]
+    },
+    {
+      type: 'email',
+      label: 'Email',
+      negativeKeywords: OTHER_PERSON_KEYWORDS,
+      rules: [
+        { kind: 'keywords', keywords: ['email'] },
+        { kind: 'keywords', keywords: ['e-mail'] }
+      ]
+    },
+    // Before phone - "Phone ext." / "Phone type" labels contain "phone"
+    {
+      type: 'phoneExtension',
+      label: 'Phone Ext.',
+      rules: [
+        { kind: 'keywords', keywords: ['extension'] },
+        { kind: 'regex', pattern: '\\bext\\b' }
+      ]
+    },
+    {
+      type: 'phoneType',
+      label: 'Phone Type',
+      rules: [
+        { kind: 'keywords', keywords: ['phone', 'type'] },
+        { kind: 'keywords', keywords: ['number', 'type'] }
+      ]
+    },
+    {
+      type: 'phone',
+      label: 'Phone',
+      negativeKeywords: [...OTHER_PERSON_KEYWORDS, 'fax'],
+      rules: [
+        { kind: 'keywords', keywords: ['phone'] },
+        { kind: 'keywords', keywords: ['mobile'] },
+        { kind: 'keywords', keywords: ['cell'] },
+        { kind: 'keywords', keywords: ['telephone'] }
+      ]
+    },
+    {
+      type: 'insuranceMemberId',
+      label: 'Member ID',
+      rules: [
+        { kind: 'keywords', keywords: ['member', 'id'] },
+        { kind: 'keywords', keywords: ['member', 'number'] },
+        { kind: 'keywords', keywords: ['subscriber', 'id'] },
+        { kind: 'keywords', keywords: ['policy', 'number'] }
+      ]
+    },
+    {
+      type: 'insuranceGroupNumber',
+      label: 'Group Number',
+      rules: [
+        { kind: 'keywords', keywords: ['group', 'number'] },
+        { kind: 'keywords', keywords: ['group', 'id'] },
+        { kind: 'keywords', keywords: ['group', '#'] }
+      ]
+    },
+    {
+      type: 'subscriberDob',
+      label: 'Subscriber DOB',
+      rules: [
+        { kind: 'keywords', keywords: ['subscriber', 'birth'] },
+        { kind: 'keywords', keywords: ['subscriber', 'dob'] },
+        { kind: 'keywords', keywords: ['insured', 'birth'] },
+        { kind: 'keywords', keywords: ['insured', 'dob'] }
+      ]
+    },
+    // Single date of birth input (masked text or type=date) - the month/day/year
+    // dropdowns are matched by dobFieldKeywords instead
+    {
+      type: 'dob',
+      label: 'Date of Birth',
+      negativeKeywords: OTHER_PERSON_KEYWORDS,
+      rules: [
+        { kind: 'keywords', keywords: ['date', 'birth'] },
+        { kind: 'keywords', keywords: ['birthdate'] },
+        { kind: 'keywords', keywords: ['birthday'] },
+        { kind: 'regex', pattern: '\\bdob\\b' }
+      ]
+    },
+    {
+      type: 'relationship',
+      label: 'Relationship',
+      rules: [
+        { kind: 'keywords', keywords: ['relationship'] }
+      ]
+    },
+    // Address parts come before the street matcher: SimplePractice names them
+    // like "address[city]", which would otherwise match the generic "address" rule
+    {
+      type: 'addressLine2',
+      label: 'Address Line 2',
+      rules: [
+        { kind: 'regex', pattern: '(address|line)[\\s_-]*2\\b' },
+        { kind: 'regex', pattern: '\\b(apt|apartment|suite|unit)\\b' }
+      ]
+    },
+    {
+      type: 'city',
+      label: 'City',
+      rules: [
+        { kind: 'keywords', keywords: ['city'] },
+        { kind: 'keywords', keywords: ['town'] }
+      ]
+    },
+    {
+      type: 'state',
+      label: 'State',
+      rules: [
+        { kind: 'regex', pattern: '(^|[^a-z])(state|province|region)([^a-z]|$)' }
+      ]
+    },
+    {
+      type: 'zipCode',
+      label: 'ZIP',
+      rules: [
+        { kind: 'keywords', keywords: ['zip'] },
+        { kind: 'keywords', keywords: ['postal'] },
+        { kind: 'keywords', keywords: ['postcode'] }
+      ]
+    },
+    {
+      type: 'country',
+      label: 'Country',
+      rules: [
+        { kind: 'keywords', keywords: ['country'] }
+      ]
+    },
+    {
+      type: 'streetAddress',
+      label: 'Street Address',
+      negativeKeywords: [...OTHER_PERSON_KEYWORDS, 'email'],
+      rules: [
+        { kind: 'keywords', keywords: ['street'] },
+        { kind: 'keywords', keywords: ['address'] }
+      ]
+    }
+  ],
+  // Radio button label keywords per value
+  clientTypeKeywords: {
+    adult: ['adult'],
+    minor: ['minor'],
+    couple: ['couple']
+  },
+  billingTypeKeywords: {
+    'self-pay': ['self', 'self-pay'],
+    insurance: ['insurance']
+  },
+  // DOB dropdown patterns
+  dobFieldKeywords: {
+    month: '\\bmonth\\b',
+    day: '\\bday\\b',
+    year: '\\byear\\b'
+  }
+};
+
+// Data types the popup has dedicated inputs for - any other matcher type is custom
+const BUILT_IN_DATA_TYPES = [
+  'firstName', 'lastName', 'preferredName', 'email', 'phoneExtension', 'phoneType', 'phone',
+  'streetAddress', 'addressLine2', 'city', 'state', 'zipCode', 'country',
+  'insuranceMemberId', 'insuranceGroupNumber',
+  'subscriberFirstName', 'subscriberLastName', 'subscriberDob', 'relationship', 'dob'
+];
+
+// Data types renamed since a saved rule set may have been written
+const RENAMED_DATA_TYPES = {
+  // Shared by the subscriber and guardian/partner relationship dropdowns
+  subscriberRelationship: 'relationship'
+};
+
+// How much a rule match counts, by where the text came from: the visible
+// label outweighs the attributes developers name, which outweigh classes
+const FIELD_SOURCE_WEIGHTS = {
+  label: 10,
+  ariaLabel: 8,
+  placeholder: 6,
+  name: 4,
+  id: 4,
+  testId: 4,
+  className: 1
+};
+
+// A rule matching only across sources ("first" in the name, "Name" in the label)
+const SPLIT_MATCH_WEIGHT = 1;
+
+// A negative keyword takes this many times its source's weight off
+const NEGATIVE_KEYWORD_PENALTY = 2;
+
+// A matching rule also adds one per keyword it needs, so "phone" + "type"
+// beats "phone" in the same source - a pattern counts as two keywords
+const REGEX_RULE_SPECIFICITY = 2;
+
+/**
+ * Deep copy of the default rule set
+ */
+function getDefaultMatcherRules() {
+  return JSON.parse(JSON.stringify(DEFAULT_MATCHER_RULES));
+}
+
+/**
+ * Load the rule set from storage (defaults if none saved or if it is invalid)
+ */
+async function loadMatcherRules() {
+  const stored = await chrome.storage.sync.get(MATCHER_RULES_STORAGE_KEY);
+  const ruleSet = stored[MATCHER_RULES_STORAGE_KEY];
+
+  if (!ruleSet) return getDefaultMatcherRules();
+
+  const errors = validateMatcherRules(ruleSet);
+  if (errors.length > 0) {
+    console.warn('SimplePractice Autofill: Stored matcher rules are invalid, using defaults', errors);
+    return getDefaultMatcherRules();
+  }
+
+  return addMissingNegativeKeywords(addMissingBuiltInMatchers(renameDataTypes(ruleSet)));
+}
+
+/**
+ * Move matchers saved under an old data type name to the new name
+ */
+function renameDataTypes(ruleSet) {
+  if (!ruleSet.fieldMatchers.some(matcher => RENAMED_DATA_TYPES[matcher.type])) return ruleSet;
+
+  const fieldMatchers = ruleSet.fieldMatchers.map(matcher =>
+    RENAMED_DATA_TYPES[matcher.type] ? Object.assign({}, matcher, { type: RENAMED_DATA_TYPES[matcher.type] }) : matcher
+  );
+  return Object.assign({}, ruleSet, { fieldMatchers });
+}
+
+/**
+ * Insert default matchers for built-in data types a saved rule set predates
+ * (built-ins cannot be deleted in the editor, so a missing one is new).
+ * Each goes right after the default matcher that precedes it, since order
+ * breaks ties between equal scores.
+ */
+function addMissingBuiltInMatchers(ruleSet) {
+  const fieldMatchers = ruleSet.fieldMatchers.slice();
+  const defaults = getDefaultMatcherRules().fieldMatchers;
+  let added = false;
+
+  defaults.forEach((matcher, defaultIndex) => {
+    if (fieldMatchers.some(existing => existing.type === matcher.type)) return;
+
+    let insertAt = 0;
+    for (let i = defaultIndex - 1; i >= 0; i--) {
+      const previousIndex = fieldMatchers.findIndex(existing => existing.type === defaults[i].type);
+      if (previousIndex !== -1) {
+        insertAt = previousIndex + 1;
+        break;
+      }
+    }
+
+    fieldMatchers.splice(insertAt, 0, matcher);
+    added = true;
+  });
+
+  return added ? Object.assign({}, ruleSet, { fieldMatchers }) : ruleSet;
+}
+
+/**
+ * Give built-in matchers saved before negative keywords existed the default ones
+ * (clearing them in the editor saves an empty list, which is kept)
+ */
+function addMissingNegativeKeywords(ruleSet) {
+  const defaults = getDefaultMatcherRules().fieldMatchers;
+
+  const fieldMatchers = ruleSet.fieldMatchers.map(matcher => {
+    const defaultMatcher = defaults.find(candidate => candidate.type === matcher.type);
+    if (matcher.negativeKeywords || !defaultMatcher || !defaultMatcher.negativeKeywords) return matcher;
+    return Object.assign({}, matcher, { negativeKeywords: defaultMatcher.negativeKeywords });
+  });
+  return Object.assign({}, ruleSet, { fieldMatchers });
+}
+
+/**
+ * Save a rule set (caller should validate first)
+ */
+async function saveMatcherRules(ruleSet) {
+  await chrome.storage.sync.set({ [MATCHER_RULES_STORAGE_KEY]: ruleSet });
+}
+
+/**
+ * Remove the saved rule set so defaults apply
+ */
+async function resetMatcherRules() {
+  await chrome.storage.sync.remove(MATCHER_RULES_STORAGE_KEY);
+}
+
+/**
+ * Validate a rule set
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+function validateMatcherRules(ruleSet) {
+  const errors = [];
+
+  if (!ruleSet || typeof ruleSet !== 'object') {
+    return ['Rule set must be an object'];
+  }
+  if (!Array.isArray(ruleSet.fieldMatchers)) {
+    return ['"fieldMatchers" must be an array'];
+  }
+
+  const seenTypes = new Set();
+  ruleSet.fieldMatchers.forEach((matcher, index) => {
+    const where = `Data type #${index + 1}` + (matcher && matcher.type ? ` (${matcher.type})` : '');
+
+    if (!matcher || typeof matcher.type !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(matcher.type)) {
+      errors.push(`${where}: key must start with a letter and contain only letters, digits or _`);
+      return;
+    }
+    if (seenTypes.has(matcher.type)) {
+      errors.push(`${where}: duplicate key`);
+    }
+    seenTypes.add(matcher.type);
+
+    const negatives = matcher.negativeKeywords;
+    if (negatives !== undefined &&
+        (!Array.isArray(negatives) || negatives.some(keyword => typeof keyword !== 'string' || !keyword.trim()))) {
+      errors.push(`${where}: negative keywords cannot be empty`);
+    }
+
+    if (!Array.isArray(matcher.rules) || matcher.rules.length === 0) {
+      errors.push(`${where}: needs at least one rule`);
+      return;
+    }
+
+    matcher.rules.forEach((rule, ruleIndex) => {
+      const ruleWhere = `${where}, rule ${ruleIndex + 1}`;
+      const error = validateMatcherRule(rule);
+      if (error) errors.push(`${ruleWhere}: ${error}`);
+    });
+  });
+
+  for (const group of ['clientTypeKeywords', 'billingTypeKeywords']) {
+    const keywordMap = ruleSet[group];
+    if (!keywordMap || typeof keywordMap !== 'object') {
+      errors.push(`"${group}" must be an object`);
+      continue;
+    }
+    for (const [value, keywords] of Object.entries(keywordMap)) {
+      if (!Array.isArray(keywords) || keywords.length === 0 || keywords.some(k => typeof k !== 'string' || !k.trim())) {
+        errors.push(`${group}.${value}: needs at least one non-empty keyword`);
+      }
+    }
+  }
+
+  const dob = ruleSet.dobFieldKeywords;
+  if (!dob || typeof dob !== 'object') {
+    errors.push('"dobFieldKeywords" must be an object');
+  } else {
+    for (const part of ['month', 'day', 'year']) {
+      const error = validateRegexPattern(dob[part]);
+      if (error) errors.push(`dobFieldKeywords.${part}: ${error}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate one rule ({ kind, keywords } or { kind, pattern })
+ * @returns {string|null} Error message
+ */
+function validateMatcherRule(rule) {
+  if (!rule || typeof rule !== 'object') return 'rule must be an object';
+
+  if (rule.kind === 'keywords') {
+    if (!Array.isArray(rule.keywords) || rule.keywords.length === 0) {
+      return 'needs at least one keyword';
+    }
+    if (rule.keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+      return 'keywords cannot be empty';
+    }
+    return null;
+  }
+
+  if (rule.kind === 'regex') {
+    return validateRegexPattern(rule.pattern);
+  }
+
+  return `unknown rule kind "${rule.kind}"`;
+}
+
+/**
+ * @returns {string|null} Error message for an invalid regex source
+ */
+function validateRegexPattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern) return 'pattern is empty';
+
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return `invalid regex /${pattern}/ (${error.message})`;
+  }
+
+  // A pattern matching the empty string would match every field
+  if (new RegExp(pattern, 'i').test('')) {
+    return `regex /${pattern}/ matches empty text`;
+  }
+
+  return null;
+}
+
+/**
+ * Compile a stored rule set into the shapes the content script uses
+ * @returns {{fieldMatchers, clientTypeKeywords, billingTypeKeywords, dobFieldKeywords}}
+ */
+function compileMatcherRules(ruleSet) {
+  const fieldMatchers = ruleSet.fieldMatchers.map(matcher => ({
+    type: matcher.type,
+    label: matcher.label || matcher.type,
+    keywords: matcher.rules.map(rule =>
+      rule.kind === 'regex'
+        ? [new RegExp(rule.pattern, 'i')]
+        : rule.keywords.map(keyword => keyword.trim().toLowerCase())
+    ),
+    negativeKeywords: (matcher.negativeKeywords || []).map(keyword => keyword.trim().toLowerCase()),
+    getValue: data => data[matcher.type]
+  }));
+
+  const dobFieldKeywords = {};
+  for (const [part, pattern] of Object.entries(ruleSet.dobFieldKeywords)) {
+    dobFieldKeywords[part] = new RegExp(pattern, 'i');
+  }
+
+  return {
+    fieldMatchers,
+    clientTypeKeywords: ruleSet.clientTypeKeywords,
+    billingTypeKeywords: ruleSet.billingTypeKeywords,
+    dobFieldKeywords
+  };
+}
+
+/**
+ * Score every matcher against a field's text, one source at a time
+ * Each source (label, name, ...) one of a matcher's rules matches adds the
+ * source's weight plus the rule's keyword count; each source holding one of
+ * its negative keywords takes NEGATIVE_KEYWORD_PENALTY times the weight off.
+ * A rule found only in the joined text counts SPLIT_MATCH_WEIGHT.
+ * @param {Array<Object>} fieldMatchers - Compiled matchers
+ * @param {Object} sources - Source -> text, keyed like FIELD_SOURCE_WEIGHTS
+ * @param {Array<string>} ignoredKeywords - Negative keywords that do not count
+ *   (a guardian's block may say "Guardian first name")
+ * @returns {Array<{type, score, source, ruleIndex}>} Matchers scoring above zero,
+ *   best first; `source` / `ruleIndex` name the strongest match ('joined' if split)
+ */
+function scoreFieldMatchers(fieldMatchers, sources, ignoredKeywords = []) {
+  const texts = Object.entries(sources)
+    .filter(([source, text]) => FIELD_SOURCE_WEIGHTS[source] && text)
+    .map(([source, text]) => ({ source, text: String(text).toLowerCase(), weight: FIELD_SOURCE_WEIGHTS[source] }));
+  const joined = texts.map(entry => entry.text).join(' ');
+  const scores = [];
+
+  for (const matcher of fieldMatchers) {
+    let score = 0;
+    let best = null;
+
+    for (const { source, text, weight } of texts) {
+      const rule = findMostSpecificRule(matcher, text);
+      if (!rule) continue;
+
+      const points = weight + rule.specificity;
+      score += points;
+      if (!best || points > best.points) {
+        best = { source, ruleIndex: rule.ruleIndex, points };
+      }
+    }
+
+    if (!best) {
+      const rule = findMostSpecificRule(matcher, joined);
+      if (!rule) continue;
+      score = SPLIT_MATCH_WEIGHT + rule.specificity;
+      best = { source: 'joined', ruleIndex: rule.ruleIndex };
+    }
+
+    const negativeKeywords = matcher.negativeKeywords.filter(keyword => !ignoredKeywords.includes(keyword));
+    for (const { text, weight } of texts) {
+      if (negativeKeywords.some(keyword => text.includes(keyword))) {
+        score -= NEGATIVE_KEYWORD_PENALTY * weight;
+      }
+    }
+
+    if (score > 0) {
+      scores.push({ type: matcher.type, score, source: best.source, ruleIndex: best.ruleIndex });
+    }
+  }
+
+  // sort is stable - equal scores stay in matcher order
+  return scores.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * The matching rule with the most keywords (a pattern counts REGEX_RULE_SPECIFICITY)
+ * @returns {{ruleIndex: number, specificity: number}|null}
+ */
+function findMostSpecificRule(matcher, text) {
+  let best = null;
+
+  matcher.keywords.forEach((keywordSet, ruleIndex) => {
+    const isRegex = keywordSet[0] instanceof RegExp;
+    const matched = isRegex
+      ? keywordSet[0].test(text)
+      : keywordSet.every(keyword => text.includes(keyword));
+    const specificity = isRegex ? REGEX_RULE_SPECIFICITY : keywordSet.length;
+
+    if (matched && (!best || specificity > best.specificity)) {
+      best = { ruleIndex, specificity };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Score sample text the way the content script scores a field's label
+ * @returns {{type, score, ruleIndex, scores}|null} Best match, plus every score
+ */
+function testMatcherRules(compiled, text) {
+  const scores = scoreFieldMatchers(compiled.fieldMatchers, { label: text });
+  return scores.length > 0 ? Object.assign({ scores }, scores[0]) : null;
+}
+
+/**
+ * Matcher types the popup has no built-in input for
+ */
+function getCustomDataTypes(ruleSet) {
+  return ruleSet.fieldMatchers.filter(matcher => !BUILT_IN_DATA_TYPES.includes(matcher.type));
+}
@@ -0,0 +1,394 @@
+/**
+ * Options page script.
+ * Edits the field matcher rule set (see matcher-rules.js): add, edit,
+ * reorder and test rules, then save them or share them as JSON.
+ */
+
+console.log('✓ SimplePractice autofill options loaded');
+
+// Get references to DOM elements
+const fieldMatchersDiv = document.getElementById('fieldMatchers');
+const clientTypeKeywordsDiv = document.getElementById('clientTypeKeywords');
+const billingTypeKeywordsDiv = document.getElementById('billingTypeKeywords');
+const dobFieldKeywordsDiv = document.getElementById('dobFieldKeywords');
+const addMatcherBtn = document.getElementById('addMatcherBtn');
+const testInput = document.getElementById('testInput');
+const testResultDiv = document.getElementById('testResult');
+const saveBtn = document.getElementById('saveBtn');
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importFileInput = document.getElementById('importFile');
+const resetBtn = document.getElementById('resetBtn');
+const errorsList = document.getElementById('errors');
+const statusDiv = document.getElementById('status');
+
+// Working copy of the rule set - only written to storage on Save
+let ruleSet = null;
+
+loadMatcherRules().then((loaded) => {
+  console.log('📦 Loaded matcher rules:', loaded);
+  ruleSet = loaded;
+  render();
+});
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function render() {
+  renderFieldMatchers();
+  renderKeywordGroup(clientTypeKeywordsDiv, ruleSet.clientTypeKeywords);
+  renderKeywordGroup(billingTypeKeywordsDiv, ruleSet.billingTypeKeywords);
+  renderDobPatterns();
+  runTest();
+}
+
+/**
+ * One card per data type with its ordered rules
+ */
+function renderFieldMatchers() {
+  fieldMatchersDiv.innerHTML = '';
+
+  ruleSet.fieldMatchers.forEach((matcher, index) => {
+    const card = document.createElement('div');
+    card.className = 'matcher-card';
+
+    // Header: label, key, reorder, delete
+    const header = document.createElement('div');
+    header.className = 'matcher-header';
+
+    const labelInput = createTextInput(matcher.label || '', 'Label', (value) => {
+      matcher.label = value;
+    });
+
+    const builtIn = BUILT_IN_DATA_TYPES.includes(matcher.type);
+    const typeInput = createTextInput(matcher.type, 'Data key (e.g. pronouns)', (value) => {
+      matcher.type = value.trim();
+      typeInput.classList.toggle('invalid', !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(matcher.type));
+      runTest();
+    });
+    typeInput.readOnly = builtIn;
+    typeInput.title = builtIn ? 'Built-in data keys cannot be renamed' : '';
+
+    header.append(
+      labelInput,
+      typeInput,
+      createButton('↑', index === 0, () => moveItem(ruleSet.fieldMatchers, index, -1)),
+      createButton('↓', index === ruleSet.fieldMatchers.length - 1, () => moveItem(ruleSet.fieldMatchers, index, 1)),
+      createButton('Delete', builtIn, () => {
+        ruleSet.fieldMatchers.splice(index, 1);
+        render();
+      })
+    );
+    card.appendChild(header);
+
+    // Negative keywords
+    const negativeRow = document.createElement('div');
+    negativeRow.className = 'keyword-row';
+    const negativeLabel = document.createElement('label');
+    negativeLabel.textContent = 'Not when it mentions';
+    const negativeInput = createTextInput((matcher.negativeKeywords || []).join(', '), 'emergency, guardian', (value) => {
+      matcher.negativeKeywords = splitKeywords(value);
+      runTest();
+    });
+    negativeRow.append(negativeLabel, negativeInput);
+    card.appendChild(negativeRow);
+
+    // Rules
+    matcher.rules.forEach((rule, ruleIndex) => {
+      card.appendChild(renderRuleRow(matcher, rule, ruleIndex));
+    });
+
+    card.appendChild(createButton('+ Add rule', false, () => {
+      matcher.rules.push({ kind: 'keywords', keywords: [] });
+      render();
+    }));
+
+    fieldMatchersDiv.appendChild(card);
+  });
+}
+
+/**
+ * Kind select + value input + reorder/remove for one rule
+ */
+function renderRuleRow(matcher, rule, ruleIndex) {
+  const wrapper = document.createElement('div');
+
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+
+  const errorDiv = document.createElement('div');
+  errorDiv.className = 'rule-error';
+
+  const kindSelect = document.createElement('select');
+  kindSelect.append(new Option('Keywords', 'keywords'), new Option('Regex', 'regex'));
+  kindSelect.value = rule.kind;
+
+  const valueInput = createTextInput(
+    rule.kind === 'regex' ? rule.pattern : rule.keywords.join(', '),
+    rule.kind === 'regex' ? '\\bgo\\s+by\\b' : 'first, name',
+    (value) => {
+      setRuleValue(rule, value);
+      showRuleError(valueInput, errorDiv, rule);
+      runTest();
+    }
+  );
+
+  kindSelect.addEventListener('change', () => {
+    const value = valueInput.value;
+    rule.kind = kindSelect.value;
+    delete rule.pattern;
+    delete rule.keywords;
+    setRuleValue(rule, value);
+    valueInput.placeholder = rule.kind === 'regex' ? '\\bgo\\s+by\\b' : 'first, name';
+    showRuleError(valueInput, errorDiv, rule);
+    runTest();
+  });
+
+  row.append(
+    kindSelect,
+    valueInput,
+    createButton('↑', ruleIndex === 0, () => moveItem(matcher.rules, ruleIndex, -1)),
+    createButton('↓', ruleIndex === matcher.rules.length - 1, () => moveItem(matcher.rules, ruleIndex, 1)),
+    createButton('✕', matcher.rules.length === 1, () => {
+      matcher.rules.splice(ruleIndex, 1);
+      render();
+    })
+  );
+
+  wrapper.append(row, errorDiv);
+  showRuleError(valueInput, errorDiv, rule);
+  return wrapper;
+}
+
+/**
+ * Comma-separated keyword inputs for the radio button groups
+ */
+function renderKeywordGroup(container, keywordMap) {
+  container.innerHTML = '';
+
+  for (const value of Object.keys(keywordMap)) {
+    const row = document.createElement('div');
+    row.className = 'keyword-row';
+
+    const label = document.createElement('label');
+    label.textContent = value;
+
+    const input = createTextInput(keywordMap[value].join(', '), 'keyword, keyword', (text) => {
+      keywordMap[value] = splitKeywords(text);
+      input.classList.toggle('invalid', keywordMap[value].length === 0);
+    });
+
+    row.append(label, input);
+    container.appendChild(row);
+  }
+}
+
+/**
+ * Regex inputs for the month/day/year dropdowns
+ */
+function renderDobPatterns() {
+  dobFieldKeywordsDiv.innerHTML = '';
+
+  for (const part of ['month', 'day', 'year']) {
+    const row = document.createElement('div');
+    row.className = 'keyword-row';
+
+    const label = document.createElement('label');
+    label.textContent = part;
+
+    const input = createTextInput(ruleSet.dobFieldKeywords[part], '\\b' + part + '\\b', (text) => {
+      ruleSet.dobFieldKeywords[part] = text;
+      const error = validateRegexPattern(text);
+      input.classList.toggle('invalid', !!error);
+      input.title = error || '';
+    });
+
+    row.append(label, input);
+    dobFieldKeywordsDiv.appendChild(row);
+  }
+}
+
+// ============================================================================
+// EDITING HELPERS
+// ============================================================================
+
+function createTextInput(value, placeholder, onInput) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value;
+  input.placeholder = placeholder;
+  input.addEventListener('input', () => onInput(input.value));
+  return input;
+}
+
+function createButton(text, disabled, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = text;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Store the text of a rule's value input on the rule
+ */
+function setRuleValue(rule, text) {
+  if (rule.kind === 'regex') {
+    rule.pattern = text.trim();
+  } else {
+    rule.keywords = splitKeywords(text);
+  }
+}
+
+function showRuleError(input, errorDiv, rule) {
+  const error = validateMatcherRule(rule);
+  input.classList.toggle('invalid', !!error);
+  errorDiv.textContent = error || '';
+}
+
+function splitKeywords(text) {
+  return text.split(',').map(keyword => keyword.trim()).filter(Boolean);
+}
+
+/**
+ * Swap an array item with its neighbour and re-render
+ */
+function moveItem(list, index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= list.length) return;
+  [list[index], list[target]] = [list[target], list[index]];
+  render();
+}
+
+// ============================================================================
+// TEST / SAVE / IMPORT / EXPORT
+// ============================================================================
+
+/**
+ * Show which data type the sample text would be matched to
+ */
+function runTest() {
+  const text = testInput.value.trim();
+  if (!text) {
+    testResultDiv.textContent = '';
+    return;
+  }
+
+  const errors = validateMatcherRules(ruleSet);
+  if (errors.length > 0) {
+    testResultDiv.textContent = 'Fix the rule errors to test.';
+    return;
+  }
+
+  const match = testMatcherRules(compileMatcherRules(ruleSet), text);
+  if (!match) {
+    testResultDiv.textContent = 'No data type matches.';
+    return;
+  }
+
+  const describe = ({ type }) => {
+    const matcher = ruleSet.fieldMatchers.find(m => m.type === type);
+    return `${matcher.label || matcher.type} (${type})`;
+  };
+  const others = match.scores.slice(1).map(score => `${describe(score)} ${score.score}`);
+
+  testResultDiv.textContent = `→ ${describe(match)}, rule ${match.ruleIndex + 1}, score ${match.score}` +
+    (others.length > 0 ? ` - also scored: ${others.join(', ')}` : '');
+}
+
+testInput.addEventListener('input', runTest);
+
+addMatcherBtn.addEventListener('click', () => {
+  ruleSet.fieldMatchers.push({
+    type: '',
+    label: '',
+    rules: [{ kind: 'keywords', keywords: [] }]
+  });
+  render();
+});
+
+saveBtn.addEventListener('click', async () => {
+  if (!showValidationErrors(ruleSet)) return;
+
+  try {
+    await saveMatcherRules(ruleSet);
+  } catch (error) {
+    // chrome.storage.sync quota or write-rate limit
+    console.error('❌ Matcher rules not saved:', error);
+    showStatus('Error: ' + error.message);
+    return;
+  }
+  console.log('💾 Matcher rules saved:', ruleSet);
+  showStatus('✓ Rules saved. Open tabs pick them up automatically.');
+});
+
+resetBtn.addEventListener('click', async () => {
+  ruleSet = getDefaultMatcherRules();
+  await resetMatcherRules();
+  render();
+  showValidationErrors(ruleSet);
+  showStatus('✓ Default rules restored');
+});
+
+exportBtn.addEventListener('click', () => {
+  const blob = new Blob([JSON.stringify(ruleSet, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'simplepractice-autofill-rules.json';
+  link.click();
+
+  URL.revokeObjectURL(url);
+});
+
+importBtn.addEventListener('click', () => importFileInput.click());
+
+importFileInput.addEventListener('change', async () => {
+  const file = importFileInput.files[0];
+  importFileInput.value = '';
+  if (!file) return;
+
+  let imported;
+  try {
+    imported = JSON.parse(await file.text());
+  } catch (error) {
+    showErrors([`Could not read ${file.name}: ${error.message}`]);
+    return;
+  }
+
+  if (!showValidationErrors(imported)) return;
+
+  ruleSet = imported;
+  render();
+  showStatus(`Imported ${file.name}. Click Save to apply.`);
+});
+
+/**
+ * Validate and list errors
+ * @returns {boolean} True if valid
+ */
+function showValidationErrors(candidate) {
+  const errors = validateMatcherRules(candidate);
+  showErrors(errors);
+  return errors.length === 0;
+}
+
+function showErrors(errors) {
+  errorsList.innerHTML = '';
+  statusDiv.textContent = '';
+  for (const error of errors) {
+    const item = document.createElement('li');
+    item.textContent = error;
+    errorsList.appendChild(item);
+  }
+}
+
+function showStatus(message) {
+  statusDiv.textContent = message;
+  setTimeout(() => {
+    statusDiv.textContent = '';
+  }, 3000);
+}
@@ -0,0 +1,139 @@
+/**
+ * Phone numbers.
+ * Countries offered in the popup, E.164 normalization ("+15551234567")
+ * and the layout helpers the content script uses to write a number the
+ * way a form's phone mask expects it.
+ */
+
+// ISO 3166-1 alpha-2 code -> calling code, national number length [min, max]
+// and the trunk prefix dialled before national numbers ("020 ..." in the UK)
+const PHONE_COUNTRIES = {
+  US: { name: 'United States', dialCode: '1', lengths: [10, 10] },
+  CA: { name: 'Canada', dialCode: '1', lengths: [10, 10] },
+  MX: { name: 'Mexico', dialCode: '52', lengths: [10, 10] },
+  GB: { name: 'United Kingdom', dialCode: '44', lengths: [9, 10], trunkPrefix: '0' },
+  IE: { name: 'Ireland', dialCode: '353', lengths: [7, 9], trunkPrefix: '0' },
+  AU: { name: 'Australia', dialCode: '61', lengths: [9, 9], trunkPrefix: '0' },
+  NZ: { name: 'New Zealand', dialCode: '64', lengths: [8, 10], trunkPrefix: '0' },
+  DE: { name: 'Germany', dialCode: '49', lengths: [6, 11], trunkPrefix: '0' },
+  FR: { name: 'France', dialCode: '33', lengths: [9, 9], trunkPrefix: '0' },
+  ES: { name: 'Spain', dialCode: '34', lengths: [9, 9] },
+  IT: { name: 'Italy', dialCode: '39', lengths: [6, 11] },
+  NL: { name: 'Netherlands', dialCode: '31', lengths: [9, 9], trunkPrefix: '0' },
+  IN: { name: 'India', dialCode: '91', lengths: [10, 10], trunkPrefix: '0' },
+  PH: { name: 'Philippines', dialCode: '63', lengths: [8, 10], trunkPrefix: '0' },
+  JP: { name: 'Japan', dialCode: '81', lengths: [9, 10], trunkPrefix: '0' },
+  CN: { name: 'China', dialCode: '86', lengths: [10, 11], trunkPrefix: '0' }
+};
+
+const DEFAULT_PHONE_COUNTRY = 'US';
+
+// Trailing extension: "x12", "ext. 12", "extension 12", "#12"
+const PHONE_EXTENSION_PATTERN = /\s*(?:ext\.?|extension|x|#)\s*(\d{1,6})\s*$/i;
+
+// Phone / email type -> option spellings of type <select>s
+const PHONE_TYPE_VARIANTS = {
+  mobile: ['Mobile', 'Cell', 'Mobile Phone', 'Cell Phone'],
+  home: ['Home', 'Home Phone'],
+  work: ['Work', 'Work Phone', 'Office', 'Business']
+};
+
+/**
+ * Normalize a phone number to E.164
+ * Numbers starting with "+" (or an international "00"/"011" prefix) carry their
+ * own country code; anything else is read as a national number of `country`.
+ * @returns {{e164: string, extension: string, error: string|null}} e164 is '' on error
+ */
+function normalizePhoneNumber(value, country = DEFAULT_PHONE_COUNTRY) {
+  let text = String(value || '').trim();
+  if (!text) return { e164: '', extension: '', error: null };
+
+  let extension = '';
+  const extensionMatch = text.match(PHONE_EXTENSION_PATTERN);
+  if (extensionMatch) {
+    extension = extensionMatch[1];
+    text = text.substring(0, extensionMatch.index);
+  }
+
+  const home = PHONE_COUNTRIES[country] || PHONE_COUNTRIES[DEFAULT_PHONE_COUNTRY];
+  let digits = text.replace(/\D/g, '');
+  let international = text.startsWith('+');
+
+  const exitPrefix = home.dialCode === '1' ? '011' : '00';
+  if (!international && digits.startsWith(exitPrefix)) {
+    digits = digits.substring(exitPrefix.length);
+    international = true;
+  }
+
+  let info = home;
+  let national = digits;
+
+  if (international) {
+    info = findPhoneCountryByNumber(digits);
+    if (!info) {
+      return { e164: '', extension, error: `Unknown country code in "${value}"` };
+    }
+    national = digits.substring(info.dialCode.length);
+  } else if (home.dialCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+    national = digits.substring(1);
+  } else if (home.trunkPrefix && digits.startsWith(home.trunkPrefix)) {
+    national = digits.substring(home.trunkPrefix.length);
+  }
+
+  if (national.length < info.lengths[0] || national.length > info.lengths[1]) {
+    return { e164: '', extension, error: `"${value}" is not a valid ${info.name} number` };
+  }
+
+  return { e164: '+' + info.dialCode + national, extension, error: null };
+}
+
+/**
+ * Country whose calling code starts a digit string (longest code wins)
+ * @returns {Object|null} PHONE_COUNTRIES entry
+ */
+function findPhoneCountryByNumber(digits) {
+  let best = null;
+  for (const info of Object.values(PHONE_COUNTRIES)) {
+    if (digits.startsWith(info.dialCode) && (!best || info.dialCode.length > best.dialCode.length)) {
+      best = info;
+    }
+  }
+  return best;
+}
+
+/**
+ * Split an E.164 number into calling code and national number
+ * @returns {{dialCode: string, national: string}|null} null if not E.164 / unknown code
+ */
+function splitPhoneNumber(e164) {
+  if (!/^\+\d+$/.test(e164 || '')) return null;
+
+  const digits = e164.substring(1);
+  const info = findPhoneCountryByNumber(digits);
+  if (!info) return null;
+
+  return { dialCode: info.dialCode, national: digits.substring(info.dialCode.length) };
+}
+
+/**
+ * Country code of the first PHONE_COUNTRIES entry with an E.164 number's calling code
+ * (US for "+1"; the default country when the number isn't E.164)
+ */
+function findPhoneCountryCode(e164) {
+  const split = splitPhoneNumber(e164);
+  const entry = split && Object.entries(PHONE_COUNTRIES).find(([, info]) => info.dialCode === split.dialCode);
+  return entry ? entry[0] : DEFAULT_PHONE_COUNTRY;
+}
+
+/**
+ * Format a US phone number as (xxx) xxx-xxxx
+ * Partial input is formatted as far as it goes; extra digits are dropped.
+ */
+function formatPhoneNumber(value) {
+  const digits = String(value).replace(/\D/g, '').substring(0, 10);
+
+  if (digits.length === 0) return '';
+  if (digits.length <= 3) return '(' + digits;
+  if (digits.length <= 6) return '(' + digits.substring(0, 3) + ') ' + digits.substring(3);
+  return '(' + digits.substring(0, 3) + ') ' + digits.substring(3, 6) + '-' + digits.substring(6);
+}
@@ -1,7 +1,7 @@
 /**
  * Popup script.
- * Collects user input (first name, last name, email, phone)
- * and sends it to the content script in the active tab.
+ * Manages saved client profiles, collects the active profile's fields
+ * and sends them to the content script in the active tab.
  */
 
 console.log('✓ SimplePractice autofill popup loaded');
@@ -12,198 +12,1568 @@ const clientTypeSelect = document.getElementById('clientType');
 const billingTypeSelect = document.getElementById('billingType');
 const firstNameInput = document.getElementById('firstName');
 const lastNameInput = document.getElementById('lastName');
-const emailInput = document.getElementById('email');
-const phoneInput = document.getElementById('phone');
+const emailListDiv = document.getElementById('emailList');
+const addEmailBtn = document.getElementById('addEmailBtn');
+const phoneListDiv = document.getElementById('phoneList');
+const addPhoneBtn = document.getElementById('addPhoneBtn');
 const dobMonthInput = document.getElementById('dobMonth');
 const dobDayInput = document.getElementById('dobDay');
 const dobYearInput = document.getElementById('dobYear');
+const streetAddressInput = document.getElementById('streetAddress');
+const addressLine2Input = document.getElementById('addressLine2');
+const cityInput = document.getElementById('city');
+const stateInput = document.getElementById('state');
+const zipCodeInput = document.getElementById('zipCode');
+const countryInput = document.getElementById('country');
+const insuranceSection = document.getElementById('insuranceSection');
+const insurancePayerInput = document.getElementById('insurancePayer');
+const insuranceMemberIdInput = document.getElementById('insuranceMemberId');
+const insuranceGroupNumberInput = document.getElementById('insuranceGroupNumber');
+const subscriberRelationshipSelect = document.getElementById('subscriberRelationship');
+const subscriberFirstNameInput = document.getElementById('subscriberFirstName');
+const subscriberLastNameInput = document.getElementById('subscriberLastName');
+const subscriberDobInput = document.getElementById('subscriberDob');
 const fillBtn = document.getElementById('fillBtn');
 const statusDiv = document.getElementById('status');
+const profileSearchInput = document.getElementById('profileSearch');
+const profileSelect = document.getElementById('profileSelect');
+const profileNameInput = document.getElementById('profileName');
+const newProfileBtn = document.getElementById('newProfileBtn');
+const duplicateProfileBtn = document.getElementById('duplicateProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const referralTextInput = document.getElementById('referralText');
+const parseReferralBtn = document.getElementById('parseReferralBtn');
+const referralSummaryDiv = document.getElementById('referralSummary');
+const importFileInput = document.getElementById('importFile');
+const importPreviewDiv = document.getElementById('importPreview');
+const importAddBtn = document.getElementById('importAddBtn');
+const queueSummaryDiv = document.getElementById('queueSummary');
+const queueListDiv = document.getElementById('queueList');
+const useQueueCheckbox = document.getElementById('useQueue');
+const clearQueueBtn = document.getElementById('clearQueueBtn');
+const previewBtn = document.getElementById('previewBtn');
+const resultListDiv = document.getElementById('resultList');
+const customFieldsTitle = document.getElementById('customFieldsTitle');
+const customFieldsDiv = document.getElementById('customFields');
+const optionsLink = document.getElementById('optionsLink');
+const auditLink = document.getElementById('auditLink');
+const contactsSection = document.getElementById('contactsSection');
+const contactsTitle = document.getElementById('contactsTitle');
+const contactListDiv = document.getElementById('contactList');
+const addContactBtn = document.getElementById('addContactBtn');
+const scopeStatusDiv = document.getElementById('scopeStatus');
+const pickScopeBtn = document.getElementById('pickScopeBtn');
+const clearScopeBtn = document.getElementById('clearScopeBtn');
+const undoBtn = document.getElementById('undoBtn');
+const armBtn = document.getElementById('armBtn');
+const lockBtn = document.getElementById('lockBtn');
+const lockScreen = document.getElementById('lockScreen');
+const lockIntro = document.getElementById('lockIntro');
+const lockForm = document.getElementById('lockForm');
+const passphraseInput = document.getElementById('passphrase');
+const confirmPassphraseGroup = document.getElementById('confirmPassphraseGroup');
+const confirmPassphraseInput = document.getElementById('confirmPassphrase');
+const unlockBtn = document.getElementById('unlockBtn');
+const lockError = document.getElementById('lockError');
+const resetVaultBtn = document.getElementById('resetVaultBtn');
+const retentionModeSelect = document.getElementById('retentionMode');
+const retentionMinutesGroup = document.getElementById('retentionMinutesGroup');
+const retentionMinutesInput = document.getElementById('retentionMinutes');
+const panicWipeBtn = document.getElementById('panicWipeBtn');
+const exportVcardBtn = document.getElementById('exportVcardBtn');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const exportHistoryBtn = document.getElementById('exportHistoryBtn');
+const importVcardFileInput = document.getElementById('importVcardFile');
+const duplicateActionsDiv = document.getElementById('duplicateActions');
+const continueFillBtn = document.getElementById('continueFillBtn');
+const cancelFillBtn = document.getElementById('cancelFillBtn');
 
 console.log('✓ DOM elements loaded:', {
   clientTypeSelect: !!clientTypeSelect,
   billingTypeSelect: !!billingTypeSelect,
   firstNameInput: !!firstNameInput,
   lastNameInput: !!lastNameInput,
-  emailInput: !!emailInput,
-  phoneInput: !!phoneInput,
+  emailListDiv: !!emailListDiv,
+  phoneListDiv: !!phoneListDiv,
   dobMonthInput: !!dobMonthInput,
   dobDayInput: !!dobDayInput,
   dobYearInput: !!dobYearInput,
   fillBtn: !!fillBtn,
-  statusDiv: !!statusDiv
+  statusDiv: !!statusDiv,
+  profileSelect: !!profileSelect
 });
 
-// Load saved data when popup opens
-console.log('🔄 Loading saved data from chrome.storage.sync...');
-chrome.storage.sync.get(['clientType', 'billingType', 'firstName', 'lastName', 'email', 'phone', 'dobMonth', 'dobDay', 'dobYear'], (result) => {
-  console.log('📦 Loaded data:', result);
-  
-  if (result.clientType) clientTypeSelect.value = result.clientType;
-  if (result.billingType) billingTypeSelect.value = result.billingType;
-  if (result.firstName) firstNameInput.value = result.firstName;
-  if (result.lastName) lastNameInput.value = result.lastName;
-  if (result.email) emailInput.value = result.email;
-  if (result.phone) phoneInput.value = result.phone;
-  if (result.dobMonth) dobMonthInput.value = result.dobMonth;
-  if (result.dobDay) dobDayInput.value = result.dobDay;
-  if (result.dobYear) dobYearInput.value = result.dobYear;
-  
-  console.log('✓ Form fields populated with saved data');
+// Field key -> popup input element
+const FORM_INPUTS = {
+  clientType: clientTypeSelect,
+  billingType: billingTypeSelect,
+  firstName: firstNameInput,
+  lastName: lastNameInput,
+  dobMonth: dobMonthInput,
+  dobDay: dobDayInput,
+  dobYear: dobYearInput,
+  streetAddress: streetAddressInput,
+  addressLine2: addressLine2Input,
+  city: cityInput,
+  state: stateInput,
+  zipCode: zipCodeInput,
+  country: countryInput,
+  insurancePayer: insurancePayerInput,
+  insuranceMemberId: insuranceMemberIdInput,
+  insuranceGroupNumber: insuranceGroupNumberInput,
+  subscriberRelationship: subscriberRelationshipSelect,
+  subscriberFirstName: subscriberFirstNameInput,
+  subscriberLastName: subscriberLastNameInput,
+  subscriberDob: subscriberDobInput
+};
+
+// In-memory copy of the profile collection ({ profiles, activeProfileId })
+let profileState = null;
+
+// Load matcher rules (for custom data types), then saved profiles if unlocked, when popup opens
+loadMatcherRules()
+  .then(renderCustomFields)
+  .then(getVaultStatus)
+  .then((status) => {
+    if (status === 'unlocked') return loadClientData();
+    showLockScreen(status);
+  })
+  .catch((error) => {
+    console.error('❌ Could not load client data:', error);
+    showLockScreen('locked');
+    showStatus('Could not load client data: ' + error.message, 'error');
+  });
+
+/**
+ * Load profiles and the intake queue (vault must be unlocked)
+ */
+async function loadClientData() {
+  await requestClientDataClear();
+
+  const state = await loadProfileState();
+  console.log('📦 Loaded profiles:', state.profiles.length);
+  profileState = state;
+  renderProfilePicker();
+  populateForm(getActiveProfile().data);
+  console.log('✓ Form fields populated with active profile');
+
+  intakeQueue = await loadIntakeQueue();
+  useQueueCheckbox.checked = !!getNextQueueItem(intakeQueue);
+  renderQueue();
+}
+
+/**
+ * Add an input for each data type defined on the options page
+ * Values are saved on the profile under the matcher's type key.
+ */
+function renderCustomFields(ruleSet) {
+  const customTypes = getCustomDataTypes(ruleSet);
+  customFieldsTitle.hidden = customTypes.length === 0;
+
+  for (const matcher of customTypes) {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = 'custom-' + matcher.type;
+    label.textContent = matcher.label || matcher.type;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = 'custom-' + matcher.type;
+    input.addEventListener('input', saveData);
+
+    group.append(label, input);
+    customFieldsDiv.appendChild(group);
+
+    FORM_INPUTS[matcher.type] = input;
+    FIELD_LABELS[matcher.type] = matcher.label || matcher.type;
+  }
+}
+
+/**
+ * Get the currently selected profile
+ */
+function getActiveProfile() {
+  return profileState.profiles.find(profile => profile.id === profileState.activeProfileId);
+}
+
+/**
+ * Fill popup inputs from a profile's data
+ */
+function populateForm(data) {
+  for (const [key, input] of Object.entries(FORM_INPUTS)) {
+    input.value = data[key] || '';
+  }
+  updateInsuranceSection();
+  renderContactMethods();
+  renderContacts();
+  renderValidationIssues([]);
+  profileNameInput.value = getActiveProfile().name || '';
+  profileNameInput.placeholder = getProfileDisplayName(getActiveProfile());
+}
+
+/**
+ * Read popup inputs into a data object
+ */
+function collectFormData() {
+  const data = {};
+  for (const [key, input] of Object.entries(FORM_INPUTS)) {
+    data[key] = input.value.trim();
+  }
+  return data;
+}
+
+/**
+ * Rebuild the profile <select>, applying the search filter
+ */
+function renderProfilePicker() {
+  const query = profileSearchInput.value;
+  profileSelect.innerHTML = '';
+
+  for (const profile of profileState.profiles) {
+    // Always keep the active profile listed so the select never shows a stale value
+    if (profile.id !== profileState.activeProfileId && !profileMatchesQuery(profile, query)) {
+      continue;
+    }
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = getProfileDisplayName(profile);
+    profileSelect.appendChild(option);
+  }
+
+  profileSelect.value = profileState.activeProfileId;
+}
+
+/**
+ * Switch the active profile and show its data
+ */
+function selectProfile(profileId) {
+  profileState.activeProfileId = profileId;
+  populateForm(getActiveProfile().data);
+  renderProfilePicker();
+  persistProfiles();
+}
+
+/**
+ * Write the profile collection to storage
+ * Reads the stored copy first: if the background worker cleared a profile
+ * since it was loaded (retention setting), reload instead of writing the
+ * old data back.
+ */
+async function persistProfiles() {
+  try {
+    if (hasLandedClear(await loadProfileState())) {
+      showClearedClientData();
+      return;
+    }
+    await saveProfileState(profileState);
+    console.log('💾 Profiles saved to storage:', profileState.profiles.length);
+  } catch (error) {
+    console.error('❌ Profiles not saved:', error);
+  }
+}
+
+/**
+ * True if a stored profile was cleared after the popup loaded its copy
+ */
+function hasLandedClear(storedState) {
+  return storedState.profiles.some(stored => {
+    const loaded = profileState && profileState.profiles.find(profile => profile.id === stored.id);
+    return loaded && (stored.clearedAt || 0) > (loaded.clearedAt || 0);
+  });
+}
+
+// Save data as user types
+const saveData = () => {
+  if (!profileState) return;
+
+  const profile = getActiveProfile();
+  Object.assign(profile.data, collectFormData());
+  profile.updatedAt = Date.now();
+
+  // Keep the picker label in sync when the client name changes
+  const option = profileSelect.querySelector(`option[value="${profile.id}"]`);
+  if (option) option.textContent = getProfileDisplayName(profile);
+  profileNameInput.placeholder = getProfileDisplayName(profile);
+
+  persistProfiles();
+
+  // Errors already on screen go away as they are fixed
+  if (document.querySelector('.field-error')) {
+    renderValidationIssues(validateProfileData(collectFillData()));
+  }
+};
+
+optionsLink.addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+auditLink.addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('audit.html') });
+});
+
+// Profile picker controls
+profileSelect.addEventListener('change', () => selectProfile(profileSelect.value));
+profileSearchInput.addEventListener('input', renderProfilePicker);
+
+profileNameInput.addEventListener('input', () => {
+  getActiveProfile().name = profileNameInput.value;
+  saveData();
+});
+
+newProfileBtn.addEventListener('click', () => {
+  const profile = createProfile();
+  profileState.profiles.push(profile);
+  profileSearchInput.value = '';
+  selectProfile(profile.id);
+  firstNameInput.focus();
+});
+
+duplicateProfileBtn.addEventListener('click', () => {
+  const copy = duplicateProfile(getActiveProfile());
+  profileState.profiles.push(copy);
+  profileSearchInput.value = '';
+  selectProfile(copy.id);
+});
+
+// Delete needs a second click within 3 seconds to confirm
+let deleteConfirmTimer = null;
+deleteProfileBtn.addEventListener('click', () => {
+  if (!deleteConfirmTimer) {
+    deleteProfileBtn.textContent = 'Confirm?';
+    deleteConfirmTimer = setTimeout(resetDeleteButton, 3000);
+    return;
+  }
+  resetDeleteButton();
+
+  const index = profileState.profiles.findIndex(profile => profile.id === profileState.activeProfileId);
+  profileState.profiles.splice(index, 1);
+
+  if (profileState.profiles.length === 0) {
+    profileState.profiles.push(createProfile());
+  }
+
+  const next = profileState.profiles[Math.max(0, index - 1)];
+  selectProfile(next.id);
+  showStatus('Profile deleted', 'success');
+});
+
+function resetDeleteButton() {
+  clearTimeout(deleteConfirmTimer);
+  deleteConfirmTimer = null;
+  deleteProfileBtn.textContent = 'Delete';
+}
+
+clientTypeSelect.addEventListener('change', () => {
+  saveData();
+  renderContacts();
+});
+billingTypeSelect.addEventListener('change', saveData);
+firstNameInput.addEventListener('input', saveData);
+lastNameInput.addEventListener('input', saveData);
+dobMonthInput.addEventListener('input', saveData);
+dobDayInput.addEventListener('input', saveData);
+dobYearInput.addEventListener('input', saveData);
+streetAddressInput.addEventListener('input', saveData);
+addressLine2Input.addEventListener('input', saveData);
+cityInput.addEventListener('input', saveData);
+stateInput.addEventListener('input', saveData);
+zipCodeInput.addEventListener('input', saveData);
+countryInput.addEventListener('input', saveData);
+
+insurancePayerInput.addEventListener('input', saveData);
+insuranceMemberIdInput.addEventListener('input', saveData);
+insuranceGroupNumberInput.addEventListener('input', saveData);
+subscriberRelationshipSelect.addEventListener('change', () => {
+  updateInsuranceSection();
+  saveData();
+});
+subscriberFirstNameInput.addEventListener('input', saveData);
+subscriberLastNameInput.addEventListener('input', saveData);
+subscriberDobInput.addEventListener('input', saveData);
+billingTypeSelect.addEventListener('change', updateInsuranceSection);
+
+/**
+ * Show insurance details only for insurance billing; subscriber name/DOB
+ * are not needed when the client is the subscriber
+ */
+function updateInsuranceSection() {
+  insuranceSection.hidden = billingTypeSelect.value !== 'insurance';
+
+  const isSelf = subscriberRelationshipSelect.value === 'self';
+  for (const input of [subscriberFirstNameInput, subscriberLastNameInput, subscriberDobInput]) {
+    input.disabled = isSelf;
+    input.placeholder = isSelf ? 'Same as client' : input.dataset.placeholder;
+  }
+}
+
+// ============================================================================
+// LOCK SCREEN
+// ============================================================================
+
+// 'new' while no passphrase is set (the lock form creates one), else 'locked'
+let lockScreenMode = null;
+
+let resetVaultConfirmTimer = null;
+
+/**
+ * Cover the popup with the passphrase form and drop decrypted data from memory
+ * @param {string} status - 'new' or 'locked' (getVaultStatus)
+ */
+function showLockScreen(status) {
+  lockScreenMode = status;
+  profileState = null;
+  intakeQueue = [];
+
+  for (const input of Object.values(FORM_INPUTS)) {
+    input.value = '';
+  }
+  for (const element of [emailListDiv, phoneListDiv, contactListDiv, profileSelect, resultListDiv, queueListDiv]) {
+    element.innerHTML = '';
+  }
+  profileNameInput.value = '';
+  referralTextInput.value = '';
+  referralSummaryDiv.textContent = '';
+  renderValidationIssues([]);
+  hideDuplicateWarning();
+
+  lockIntro.textContent = status === 'new'
+    ? 'Choose a passphrase to encrypt client data on this computer. It cannot be recovered - if it is forgotten, saved profiles have to be erased.'
+    : `Client data is locked. It locks again after ${VAULT_AUTO_LOCK_MINUTES} minutes without use.`;
+  unlockBtn.textContent = status === 'new' ? 'Set Passphrase' : 'Unlock';
+  passphraseInput.autocomplete = status === 'new' ? 'new-password' : 'current-password';
+  confirmPassphraseGroup.hidden = status !== 'new';
+  resetVaultBtn.hidden = status !== 'locked';
+  lockError.textContent = '';
+  lockScreen.hidden = false;
+  passphraseInput.focus();
+}
+
+lockForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  lockError.textContent = '';
+
+  const passphrase = passphraseInput.value;
+  if (lockScreenMode === 'new' && passphrase !== confirmPassphraseInput.value) {
+    lockError.textContent = 'Passphrases do not match';
+    return;
+  }
+
+  unlockBtn.disabled = true;
+  try {
+    if (lockScreenMode === 'new') {
+      await createVault(passphrase);
+    } else if (!(await unlockVault(passphrase))) {
+      lockError.textContent = 'Wrong passphrase';
+      passphraseInput.select();
+      return;
+    }
+
+    passphraseInput.value = '';
+    confirmPassphraseInput.value = '';
+    lockScreen.hidden = true;
+    await loadClientData();
+
+    // A queue imported before encryption existed is rewritten encrypted
+    if (lockScreenMode === 'new') await saveIntakeQueue(intakeQueue);
+  } catch (error) {
+    console.error('❌ Unlock failed:', error);
+    lockError.textContent = error.message;
+  } finally {
+    unlockBtn.disabled = false;
+  }
+});
+
+lockBtn.addEventListener('click', lockVault);
+
+// Locked by the button, the auto-lock alarm, another popup or a panic wipe
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'session' && changes[VAULT_SESSION_KEY] && !changes[VAULT_SESSION_KEY].newValue) {
+    getVaultStatus().then(showLockScreen);
+  }
+});
+
+resetVaultBtn.addEventListener('click', async () => {
+  if (!resetVaultConfirmTimer) {
+    resetVaultBtn.textContent = 'Erase all saved profiles, the queue and the logs?';
+    resetVaultConfirmTimer = setTimeout(cancelVaultResetConfirm, 3000);
+    return;
+  }
+  cancelVaultResetConfirm();
+
+  await resetVault([PROFILES_STORAGE_KEY, INTAKE_QUEUE_STORAGE_KEY, FILL_HISTORY_STORAGE_KEY, AUDIT_LOG_STORAGE_KEY]);
+  showLockScreen('new');
+});
+
+function cancelVaultResetConfirm() {
+  clearTimeout(resetVaultConfirmTimer);
+  resetVaultConfirmTimer = null;
+  resetVaultBtn.textContent = 'Forgot passphrase? Erase saved data';
+}
+
+// ============================================================================
+// EMAILS & PHONES
+// ============================================================================
+
+/**
+ * Show a card per email and phone (an empty one when there are none)
+ */
+function renderContactMethods() {
+  emailListDiv.innerHTML = '';
+  phoneListDiv.innerHTML = '';
+  if (!profileState) return;
+
+  const data = getActiveProfile().data;
+  if (data.emails.length === 0) data.emails.push(createEmail());
+  if (data.phones.length === 0) data.phones.push(createPhone());
+
+  data.emails.forEach((email, index) => emailListDiv.appendChild(renderEmailCard(email, index)));
+  data.phones.forEach((phone, index) => phoneListDiv.appendChild(renderPhoneCard(phone, index)));
+}
+
+function renderEmailCard(email, index) {
+  const address = createContactInput('john@example.com', 'email');
+  address.dataset.fieldKey = getContactMethodKey('email', index);
+
+  return renderContactMethodCard('emails', email, `${FIELD_LABELS.email} ${index + 1}`, [
+    [['address', address, 'Email']],
+    [['type', createContactMethodTypeSelect(), 'Type']]
+  ], EMAIL_FLAGS);
+}
+
+function renderPhoneCard(phone, index) {
+  const country = document.createElement('select');
+  for (const [code, info] of Object.entries(PHONE_COUNTRIES)) {
+    country.appendChild(new Option(`${code} +${info.dialCode}`, code));
+  }
+  const number = createContactInput('(555) 123-4567', 'tel');
+  number.dataset.fieldKey = getContactMethodKey('phone', index);
+  const extension = createContactInput('123');
+
+  const card = renderContactMethodCard('phones', phone, `${FIELD_LABELS.phone} ${index + 1}`, [
+    [['country', country, 'Country'], ['number', number, 'Phone']],
+    [['type', createContactMethodTypeSelect(), 'Type'], ['extension', extension, 'Ext.']]
+  ], PHONE_FLAGS);
+
+  // Stored as E.164 - rewritten when the number or its country changes;
+  // a typed extension ("x12") moves to the extension field
+  const normalize = () => {
+    const normalized = normalizePhoneNumber(number.value, country.value);
+    if (normalized.error) {
+      showStatus(normalized.error, 'error');
+      return;
+    }
+    phone.number = number.value = normalized.e164;
+    if (normalized.extension) phone.extension = extension.value = normalized.extension;
+    saveData();
+  };
+  number.addEventListener('change', normalize);
+  country.addEventListener('change', normalize);
+
+  return card;
+}
+
+/**
+ * Card for one email / phone entry - edits are written straight onto the entry
+ * @param {Array<Array<[key, input, label]>>} rows - Inputs per line
+ * @param {Array<string>} flags - Checkbox flags of the entry
+ */
+function renderContactMethodCard(listKey, entry, title, rows, flags) {
+  const card = document.createElement('div');
+  card.className = 'contact-card';
+  card.appendChild(createCardHeader(title, () => {
+    const list = getActiveProfile().data[listKey];
+    list.splice(list.indexOf(entry), 1);
+    renderContactMethods();
+    saveData();
+  }));
+
+  for (const row of rows) {
+    const line = document.createElement('div');
+    if (row.length > 1) line.className = 'phone-group';
+
+    for (const [key, input, labelText] of row) {
+      input.value = entry[key] || '';
+      input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+        entry[key] = input.value.trim();
+        saveData();
+      });
+
+      const group = document.createElement('div');
+      group.className = 'form-group';
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      label.appendChild(input);
+      group.appendChild(label);
+      line.appendChild(group);
+    }
+
+    card.appendChild(line);
+  }
+
+  const flagsDiv = document.createElement('div');
+  flagsDiv.className = 'contact-card-flags';
+  for (const flag of flags) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = entry[flag] === true;
+    checkbox.addEventListener('change', () => {
+      entry[flag] = checkbox.checked;
+      saveData();
+    });
+
+    const label = document.createElement('label');
+    label.append(checkbox, ' ' + CONTACT_METHOD_FLAG_LABELS[flag]);
+    flagsDiv.appendChild(label);
+  }
+  card.appendChild(flagsDiv);
+
+  return card;
+}
+
+function createContactMethodTypeSelect() {
+  const select = document.createElement('select');
+  select.appendChild(new Option('-- Select --', ''));
+  for (const type of CONTACT_METHOD_TYPES) {
+    select.appendChild(new Option(type.charAt(0).toUpperCase() + type.slice(1), type));
+  }
+  return select;
+}
+
+addEmailBtn.addEventListener('click', () => {
+  getActiveProfile().data.emails.push(createEmail());
+  renderContactMethods();
+  saveData();
+  emailListDiv.lastChild.querySelector('input').focus();
+});
+
+addPhoneBtn.addEventListener('click', () => {
+  const phones = getActiveProfile().data.phones;
+  phones.push(createPhone(phones[0] ? phones[0].country : DEFAULT_PHONE_COUNTRY));
+  renderContactMethods();
+  saveData();
+  phoneListDiv.lastChild.querySelector('input').focus();
 });
 
-// Save data as user types
-const saveData = () => {
-  const data = {
-    clientType: clientTypeSelect.value,
-    billingType: billingTypeSelect.value,
-    firstName: firstNameInput.value,
-    lastName: lastNameInput.value,
-    email: emailInput.value,
-    phone: phoneInput.value,
-    dobMonth: dobMonthInput.value,
-    dobDay: dobDayInput.value,
-    dobYear: dobYearInput.value
+// ============================================================================
+// GUARDIAN / PARTNER CONTACTS
+// ============================================================================
+
+// Relationship choices per contact role (values match the content script's variants)
+const CONTACT_RELATIONSHIPS = {
+  guardian: ['parent', 'mother', 'father', 'guardian', 'grandparent', 'other'],
+  partner: ['spouse', 'partner', 'other']
+};
+
+/**
+ * Show guardian cards for minors and the partner card for couples
+ */
+function renderContacts() {
+  const role = CONTACT_ROLES[clientTypeSelect.value];
+  contactsSection.hidden = !role;
+  contactListDiv.innerHTML = '';
+  if (!role || !profileState) return;
+
+  const roleLabel = CONTACT_ROLE_LABELS[role];
+  contactsTitle.textContent = role === 'guardian' ? 'Guardians' : 'Partner';
+  addContactBtn.textContent = `+ Add ${roleLabel.toLowerCase()}`;
+
+  getActiveContacts(getActiveProfile().data).forEach((contact, index) => {
+    contactListDiv.appendChild(renderContactCard(contact, `${roleLabel} ${index + 1}`, role + (index + 1)));
+  });
+}
+
+/**
+ * Inputs for one contact - edits are written straight onto the contact
+ * @param {string} prefix - Data key prefix of the contact's fields ("guardian1")
+ */
+function renderContactCard(contact, title, prefix) {
+  const card = document.createElement('div');
+  card.className = 'contact-card';
+  card.appendChild(createCardHeader(title, () => {
+    const contacts = getActiveProfile().data.contacts;
+    contacts.splice(contacts.indexOf(contact), 1);
+    renderContacts();
+    saveData();
+  }));
+
+  const relationship = document.createElement('select');
+  relationship.appendChild(new Option('-- Select --', ''));
+  for (const value of CONTACT_RELATIONSHIPS[contact.role] || ['other']) {
+    relationship.appendChild(new Option(value.charAt(0).toUpperCase() + value.slice(1), value));
+  }
+
+  const fields = [
+    ['firstName', createContactInput('Jane')],
+    ['lastName', createContactInput('Doe')],
+    ['relationship', relationship],
+    ['email', createContactInput('jane@example.com', 'email')],
+    ['phone', createContactInput('(555) 123-4567 x12', 'tel')],
+    ['dob', createContactInput('MM/DD/YYYY')]
+  ];
+
+  for (const [key, input] of fields) {
+    input.value = contact[key] || '';
+    input.dataset.fieldKey = `${prefix}.${key}`;
+    input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+      contact[key] = input.value.trim();
+      saveData();
+    });
+
+    // Contact phones are read in the client's primary phone country; the extension stays in the value
+    if (key === 'phone') {
+      input.addEventListener('change', () => {
+        const primaryPhone = getActiveProfile().data.phones[0];
+        const phone = normalizePhoneNumber(input.value, primaryPhone ? primaryPhone.country : DEFAULT_PHONE_COUNTRY);
+        if (phone.error) {
+          showStatus(phone.error, 'error');
+          return;
+        }
+        input.value = phone.e164 + (phone.extension ? ' x' + phone.extension : '');
+        contact.phone = input.value;
+        saveData();
+      });
+    }
+
+    const group = document.createElement('div');
+    group.className = 'form-group';
+    const label = document.createElement('label');
+    label.textContent = FIELD_LABELS[key];
+    label.appendChild(input);
+    group.appendChild(label);
+    card.appendChild(group);
+  }
+
+  return card;
+}
+
+function createContactInput(placeholder, type = 'text') {
+  const input = document.createElement('input');
+  input.type = type;
+  input.placeholder = placeholder;
+  return input;
+}
+
+/**
+ * Card title with a Remove button
+ */
+function createCardHeader(title, onRemove) {
+  const header = document.createElement('div');
+  header.className = 'contact-card-header';
+  const heading = document.createElement('span');
+  heading.textContent = title;
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'secondary';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', onRemove);
+  header.append(heading, removeBtn);
+  return header;
+}
+
+addContactBtn.addEventListener('click', () => {
+  const role = CONTACT_ROLES[clientTypeSelect.value];
+  if (!role) return;
+
+  getActiveProfile().data.contacts.push(createContact(role));
+  renderContacts();
+  saveData();
+
+  const cards = contactListDiv.querySelectorAll('.contact-card');
+  cards[cards.length - 1].querySelector('input').focus();
+});
+
+// State / country suggestions (abbreviations and full names both work)
+renderRegionSuggestions();
+
+/**
+ * Fill the state and country <datalist>s from regions.js
+ */
+function renderRegionSuggestions() {
+  const stateList = document.getElementById('stateOptions');
+  for (const [code, name] of Object.entries(Object.assign({}, US_STATES, CA_PROVINCES))) {
+    stateList.appendChild(new Option(name, code));
+  }
+
+  const countryList = document.getElementById('countryOptions');
+  for (const [code, names] of Object.entries(COUNTRIES)) {
+    countryList.appendChild(new Option(names[0], code));
+  }
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+// Warnings shown by the last blocked fill - the same warnings again are accepted
+let acknowledgedWarnings = null;
+
+/**
+ * Mark inputs with problems and show each message under its field
+ * @param {Array<{dataKey, message, severity}>} issues - From validateProfileData
+ */
+function renderValidationIssues(issues) {
+  document.querySelectorAll('.field-error').forEach(element => element.remove());
+  document.querySelectorAll('input.invalid, input.warning, select.invalid, select.warning').forEach(element => {
+    element.classList.remove('invalid', 'warning');
+  });
+
+  for (const issue of issues) {
+    const input = getValidationInput(issue.dataKey);
+    if (!input) continue;
+
+    const className = issue.severity === VALIDATION_SEVERITY.ERROR ? 'invalid' : 'warning';
+    input.classList.add(className);
+
+    const message = document.createElement('div');
+    message.className = 'field-error ' + className;
+    message.textContent = issue.message;
+    input.closest('.form-group').appendChild(message);
+  }
+}
+
+/**
+ * Popup input a validation data key belongs to
+ */
+function getValidationInput(dataKey) {
+  if (dataKey === 'dob') return dobMonthInput;
+  return FORM_INPUTS[dataKey] || document.querySelector(`[data-field-key="${dataKey}"]`);
+}
+
+/**
+ * Decide whether a fill may be sent
+ * Errors always block it. Warnings block the first click; clicking again
+ * with the same warnings sends anyway.
+ * @returns {boolean}
+ */
+function acceptValidationIssues(issues) {
+  const describe = issue => `${getFieldLabel(issue.dataKey)}: ${issue.message}`;
+  const errors = issues.filter(issue => issue.severity === VALIDATION_SEVERITY.ERROR);
+  const warnings = issues.filter(issue => issue.severity === VALIDATION_SEVERITY.WARNING);
+
+  if (errors.length > 0) {
+    console.warn('⚠️ Validation failed:', errors.map(issue => issue.dataKey));
+    acknowledgedWarnings = null;
+    showStatus(
+      errors.length === 1
+        ? describe(errors[0])
+        : `Fix ${errors.length} problems first - ${describe(errors[0])}`,
+      'error'
+    );
+    return false;
+  }
+
+  const warningText = warnings.map(describe).join('\n');
+  if (warnings.length > 0 && warningText !== acknowledgedWarnings) {
+    console.warn('⚠️ Validation warnings:', warnings.map(issue => issue.dataKey));
+    acknowledgedWarnings = warningText;
+    showStatus(`⚠ ${describe(warnings[0])} - click again to continue`, 'error');
+    return false;
+  }
+
+  acknowledgedWarnings = null;
+  return true;
+}
+
+// ============================================================================
+// PASTE & PARSE
+// ============================================================================
+
+// Parsed fields go into the popup for review - nothing is filled until "Fill Form"
+parseReferralBtn.addEventListener('click', () => {
+  const { data, found } = parseReferralText(referralTextInput.value);
+  console.log('📋 Referral parsed:', found);
+
+  if (found.length === 0) {
+    referralSummaryDiv.textContent = '';
+    showStatus('Nothing recognized in the pasted text', 'error');
+    return;
+  }
+
+  // A profile already holding a client is kept - the referral starts a new one
+  let profile = getActiveProfile();
+  if (hasAnyValue(profile.data)) {
+    profile = createProfile('', data);
+    profileState.profiles.push(profile);
+    profileSearchInput.value = '';
+  } else {
+    Object.assign(profile.data, data);
+    profile.updatedAt = Date.now();
+  }
+  selectProfile(profile.id);
+
+  // Fill Form should use the reviewed profile, not the next queued client
+  useQueueCheckbox.checked = false;
+  renderQueue();
+
+  referralTextInput.value = '';
+  referralSummaryDiv.textContent = 'Found: ' + found.map(getFieldLabel).join(', ');
+  renderValidationIssues(validateProfileData(collectFillData()));
+  showStatus('Referral parsed - review the fields before filling', 'success');
+});
+
+// ============================================================================
+// BATCH IMPORT & INTAKE QUEUE
+// ============================================================================
+
+// File being mapped ({ headers, rows, mapping }) - null when nothing is loaded
+let pendingImport = null;
+
+// Queued clients (see importer.js) - loaded with the profiles once unlocked
+let intakeQueue = [];
+
+importFileInput.addEventListener('change', async () => {
+  const file = importFileInput.files[0];
+  if (!file) return;
+
+  try {
+    const { headers, rows } = parseImportFile(file.name, await file.text());
+    pendingImport = { headers, rows, mapping: guessColumnMapping(headers) };
+    console.log('📥 Import file parsed:', { headers, rowCount: rows.length, mapping: pendingImport.mapping });
+    renderImportPreview();
+  } catch (error) {
+    console.error('❌ Import failed:', error);
+    pendingImport = null;
+    renderImportPreview();
+    showStatus('Import error: ' + error.message, 'error');
+  }
+});
+
+importAddBtn.addEventListener('click', async () => {
+  if (!pendingImport) return;
+
+  const valid = mapImportRows(pendingImport.rows, pendingImport.mapping)
+    .filter(record => record.errors.length === 0)
+    .map(record => record.data);
+
+  const previousQueue = intakeQueue;
+  intakeQueue = intakeQueue.concat(createQueueItems(valid));
+  try {
+    await saveIntakeQueue(intakeQueue);
+  } catch (error) {
+    console.error('❌ Queue save failed:', error);
+    intakeQueue = previousQueue;
+    showStatus('Import error: ' + error.message, 'error');
+    return;
+  }
+
+  pendingImport = null;
+  importFileInput.value = '';
+  useQueueCheckbox.checked = true;
+  renderImportPreview();
+  renderQueue();
+  showStatus(`Queued ${valid.length} client(s)`, 'success');
+});
+
+useQueueCheckbox.addEventListener('change', renderQueue);
+
+clearQueueBtn.addEventListener('click', async () => {
+  intakeQueue = [];
+  await saveIntakeQueue(intakeQueue);
+  renderQueue();
+});
+
+/**
+ * Show the column mapping selects and per-row validation for the loaded file
+ */
+function renderImportPreview() {
+  importPreviewDiv.innerHTML = '';
+  importAddBtn.hidden = !pendingImport;
+  if (!pendingImport) return;
+
+  const { headers, rows, mapping } = pendingImport;
+
+  // Column -> target selects
+  headers.forEach((header, column) => {
+    const row = document.createElement('div');
+    row.className = 'mapping-row';
+
+    const name = document.createElement('span');
+    name.textContent = header || `Column ${column + 1}`;
+
+    const select = document.createElement('select');
+    select.appendChild(new Option('(ignore)', ''));
+    for (const target of IMPORT_TARGETS) {
+      select.appendChild(new Option(target.label, target.key));
+    }
+    select.value = mapping[column];
+    select.addEventListener('change', () => {
+      mapping[column] = select.value;
+      renderImportPreview();
+    });
+
+    row.append(name, select);
+    importPreviewDiv.appendChild(row);
+  });
+
+  // Per-row validation
+  const records = mapImportRows(rows, mapping);
+  const validCount = records.filter(record => record.errors.length === 0).length;
+
+  const list = document.createElement('ul');
+  list.className = 'import-rows';
+  for (const record of records) {
+    const item = document.createElement('li');
+    const name = [record.data.firstName, record.data.lastName].filter(Boolean).join(' ') || '(no name)';
+    item.className = record.errors.length ? 'invalid' : 'valid';
+    item.textContent = record.errors.length
+      ? `Row ${record.rowNumber}: ${name} - ${record.errors.join('; ')}`
+      : `Row ${record.rowNumber}: ${name}`;
+    list.appendChild(item);
+  }
+  importPreviewDiv.appendChild(list);
+
+  importAddBtn.textContent = `Add ${validCount} of ${records.length} row(s) to queue`;
+  importAddBtn.disabled = validCount === 0;
+}
+
+/**
+ * Show queued clients and which one "Fill Form" will use next
+ */
+function renderQueue() {
+  queueListDiv.innerHTML = '';
+
+  const next = getNextQueueItem(intakeQueue);
+  const pendingCount = intakeQueue.filter(item => item.status === 'pending').length;
+
+  queueSummaryDiv.textContent = intakeQueue.length === 0
+    ? 'Queue is empty'
+    : `${pendingCount} pending, ${intakeQueue.length - pendingCount} done`;
+  clearQueueBtn.hidden = intakeQueue.length === 0;
+
+  for (const item of intakeQueue) {
+    const row = document.createElement('li');
+    row.className = item.status + (item === next ? ' next' : '');
+    row.textContent = (item.status === 'done' ? '✓ ' : '') + item.label;
+    queueListDiv.appendChild(row);
+  }
+
+  fillBtn.textContent = useQueueCheckbox.checked && next
+    ? `Fill Next: ${next.label}`
+    : 'Fill Form';
+}
+
+/**
+ * Mark a queued client as filled and advance to the next one
+ */
+async function markQueueItemDone(itemId) {
+  const item = intakeQueue.find(queued => queued.id === itemId);
+  if (!item) return;
+
+  item.status = 'done';
+  item.completedAt = Date.now();
+  await saveIntakeQueue(intakeQueue);
+  renderQueue();
+  console.log('✓ Queue item marked done:', itemId);
+}
+
+/**
+ * Resolve the data to send and the SimplePractice tab to send it to
+ * Shows an error status and returns null if either is missing.
+ * @returns {Promise<{tab: Object, queueItem: Object|null, profileId: string|null, formData: Object}|null>}
+ */
+async function prepareFillRequest() {
+  // Collect form data - next queued client if the queue is in use,
+  // otherwise the active profile's fields
+  const queueItem = useQueueCheckbox.checked ? getNextQueueItem(intakeQueue) : null;
+  const formData = queueItem ? queueItem.data : collectFillData();
+
+  if (queueItem) {
+    console.log('📋 Form data taken from queue:', queueItem.id);
+  } else {
+    console.log('📋 Form data collected for profile:', getActiveProfile()?.id);
+  }
+
+  // Validate that at least one field has data
+  if (!hasAnyValue(formData)) {
+    console.warn('⚠️ Validation failed: No fields filled');
+    showStatus('Please enter at least one field', 'error');
+    return null;
+  }
+
+  // Inline errors only describe the profile on screen, not a queued client
+  const issues = validateProfileData(formData);
+  renderValidationIssues(queueItem ? [] : issues);
+  if (!acceptValidationIssues(issues)) return null;
+
+  console.log('✓ Validation passed');
+
+  const tab = await getSimplePracticeTab();
+  if (!tab) return null;
+
+  return { tab, queueItem, profileId: queueItem ? null : profileState.activeProfileId, formData };
+}
+
+/**
+ * Ids and name of the profile / queue item a fill request uses - sent with the
+ * data so the page can report back and log the fill in the fill history
+ */
+function getFillSource(request) {
+  return {
+    queueItemId: request.queueItem ? request.queueItem.id : null,
+    profileId: request.profileId,
+    profileName: request.queueItem ? request.queueItem.label : getProfileDisplayName(getActiveProfile())
   };
-  
-  chrome.storage.sync.set(data, () => {
-    console.log('💾 Data saved to storage:', data);
+}
+
+/**
+ * The active profile as sent to the page: its fields, emails, phones and the
+ * contacts that apply to its client type
+ */
+function collectFillData() {
+  const data = getActiveProfile().data;
+  return Object.assign(collectFormData(), {
+    emails: data.emails,
+    phones: data.phones,
+    contacts: getActiveContacts(data)
   });
-};
+}
 
-// Format phone number as user types
-phoneInput.addEventListener('input', (e) => {
-  // Get cursor position before formatting
-  const cursorPos = e.target.selectionStart;
-  const oldValue = e.target.value;
-  const oldLength = oldValue.length;
-  
-  // Extract only digits (up to 10)
-  let digits = e.target.value.replace(/\D/g, '').substring(0, 10);
-  let formatted = '';
+/**
+ * Active tab, if it is a SimplePractice page (shows an error status otherwise)
+ * @returns {Promise<Object|null>}
+ */
+async function getSimplePracticeTab() {
+  // Get the active tab
+  console.log('🔍 Querying for active tab...');
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+  console.log('📑 Query result:', tabs);
   
-  if (digits.length === 0) {
-    formatted = '';
-  } else if (digits.length <= 3) {
-    formatted = '(' + digits;
-  } else if (digits.length <= 6) {
-    formatted = '(' + digits.substring(0, 3) + ') ' + digits.substring(3);
-  } else {
-    formatted = '(' + digits.substring(0, 3) + ') ' + digits.substring(3, 6) + '-' + digits.substring(6);
+  if (!tabs || tabs.length === 0) {
+    console.error('❌ No active tab found');
+    showStatus('Error: No active tab found', 'error');
+    return null;
   }
   
-  e.target.value = formatted;
-  
-  // Restore cursor position at end of input
-  e.target.setSelectionRange(formatted.length, formatted.length);
+  const tab = tabs[0];
+  console.log('✓ Active tab found:', {
+    id: tab.id,
+    url: tab.url,
+    title: tab.title
+  });
   
-  saveData();
+  // Check if we're on SimplePractice domain
+  if (!tab.url || !tab.url.includes('simplepractice.com')) {
+    console.warn('⚠️ Not on SimplePractice domain:', tab.url);
+    showStatus('Please navigate to SimplePractice first', 'error');
+    return null;
+  }
+
+  console.log('✓ SimplePractice domain confirmed');
+
+  return tab;
+}
+
+// Handle undo button click - restores what the last fill changed on the page
+undoBtn.addEventListener('click', async () => {
+  console.log('🖱️ Undo button clicked');
+
+  const tab = await getSimplePracticeTab();
+  if (!tab) return;
+
+  undoBtn.disabled = true;
+  showStatus('Undoing...', '');
+
+  sendMessageToTab(tab.id, { action: 'undo' }, (response) => {
+    console.log('📥 Undo response:', response);
+    undoBtn.disabled = false;
+
+    if (response && response.success) {
+      resultListDiv.innerHTML = '';
+      showStatus('↶ ' + response.message, 'success');
+    } else {
+      showStatus(response?.message || 'Error: No response from content script', 'error');
+    }
+  });
 });
 
-clientTypeSelect.addEventListener('change', saveData);
-billingTypeSelect.addEventListener('change', saveData);
-firstNameInput.addEventListener('input', saveData);
-lastNameInput.addEventListener('input', saveData);
-emailInput.addEventListener('input', saveData);
-dobMonthInput.addEventListener('input', saveData);
-dobDayInput.addEventListener('input', saveData);
-dobYearInput.addEventListener('input', saveData);
+// ============================================================================
+// DATA RETENTION
+// ============================================================================
 
-// Handle fill button click
-fillBtn.addEventListener('click', async () => {
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log('🖱️ Fill button clicked');
-  
+let panicWipeConfirmTimer = null;
+
+loadRetentionSettings().then(renderRetentionSettings);
+
+function renderRetentionSettings(settings) {
+  retentionModeSelect.value = settings.mode;
+  retentionMinutesInput.value = settings.minutes;
+  retentionMinutesGroup.hidden = settings.mode !== 'delay';
+}
+
+function saveRetentionForm() {
+  const settings = {
+    mode: retentionModeSelect.value,
+    minutes: Math.max(1, parseInt(retentionMinutesInput.value, 10) || DEFAULT_RETENTION_SETTINGS.minutes)
+  };
+  retentionMinutesGroup.hidden = settings.mode !== 'delay';
+  saveRetentionSettings(settings).then(() => {
+    console.log('💾 Retention settings saved:', settings);
+  });
+}
+
+retentionModeSelect.addEventListener('change', saveRetentionForm);
+retentionMinutesInput.addEventListener('change', saveRetentionForm);
+
+/**
+ * Have the background worker apply the retention setting - it runs every
+ * clear one at a time, so two writers never undo each other
+ * @param {Object} clear - { target, id } of a successful fill, or nothing to only run due clears
+ * @returns {Promise<void>} Resolves once the worker is done (never rejects)
+ */
+function requestClientDataClear(clear = {}) {
+  return new Promise(resolve => {
+    chrome.runtime.sendMessage(Object.assign({ action: 'clearClientData' }, clear), () => {
+      if (chrome.runtime.lastError) {
+        console.warn('⚠️ Client data clear not requested:', chrome.runtime.lastError.message);
+      }
+      resolve();
+    });
+  });
+}
+
+// A clear landed in the background worker - reload so
+// saveData doesn't write the old copy back on the next keystroke
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const change = changes[PENDING_CLEARS_STORAGE_KEY];
+  if (areaName !== 'local' || !change || !change.newValue || !profileState) return;
+
+  if (change.newValue.length < (change.oldValue || []).length) {
+    showClearedClientData();
+  }
+});
+
+function showClearedClientData() {
+  loadClientData();
+  showStatus('🧹 Client data cleared (retention setting)', 'success');
+}
+
+panicWipeBtn.addEventListener('click', async () => {
+  if (!panicWipeConfirmTimer) {
+    panicWipeBtn.textContent = 'Click again to delete everything';
+    panicWipeConfirmTimer = setTimeout(resetPanicWipeButton, 3000);
+    return;
+  }
+  resetPanicWipeButton();
+
+  // Armed tabs and undo records hold client data in page memory. Only
+  // SimplePractice tabs have the content script; the rest just don't answer.
+  for (const tab of await chrome.tabs.query({})) {
+    chrome.tabs.sendMessage(tab.id, { action: 'wipe' }, () => chrome.runtime.lastError);
+  }
+
+  await wipeAllExtensionData();
+  renderArmedState(null);
+  renderRetentionSettings(DEFAULT_RETENTION_SETTINGS);
+  showLockScreen('new');
+});
+
+function resetPanicWipeButton() {
+  clearTimeout(panicWipeConfirmTimer);
+  panicWipeConfirmTimer = null;
+  panicWipeBtn.textContent = 'Panic wipe - delete all stored data';
+}
+
+// ============================================================================
+// EXPORT & IMPORT
+// ============================================================================
+
+exportVcardBtn.addEventListener('click', () => {
+  const profiles = getExportableProfiles();
+  if (!profiles) return;
+  downloadTextFile(`simplepractice-profiles-${getExportDate()}.vcf`, formatProfilesVcard(profiles), 'text/vcard');
+  showStatus(`Exported ${profiles.length} profile(s)`, 'success');
+});
+
+exportCsvBtn.addEventListener('click', () => {
+  const profiles = getExportableProfiles();
+  if (!profiles) return;
+  downloadTextFile(`simplepractice-profiles-${getExportDate()}.csv`, formatProfilesCsv(profiles), 'text/csv');
+  showStatus(`Exported ${profiles.length} profile(s)`, 'success');
+});
+
+exportHistoryBtn.addEventListener('click', async () => {
+  let history;
   try {
-    // Collect form data
-    const formData = {
-      clientType: clientTypeSelect.value,
-      billingType: billingTypeSelect.value,
-      firstName: firstNameInput.value.trim(),
-      lastName: lastNameInput.value.trim(),
-      email: emailInput.value.trim(),
-      phone: phoneInput.value.trim(),
-      dobMonth: dobMonthInput.value.trim(),
-      dobDay: dobDayInput.value.trim(),
-      dobYear: dobYearInput.value.trim()
-    };
-
-    console.log('📋 Form data collected:', formData);
-    console.log('📋 Phone value from input:', phoneInput.value);
-    console.log('📋 Phone digits only:', phoneInput.value.replace(/\D/g, ''));
-
-    // Validate that at least one field has data
-    if (!formData.clientType && !formData.billingType && !formData.firstName && 
-        !formData.lastName && !formData.email && !formData.phone && 
-        !formData.dobMonth && !formData.dobDay && !formData.dobYear) {
-      console.warn('⚠️ Validation failed: No fields filled');
-      showStatus('Please enter at least one field', 'error');
-      return;
-    }
+    history = await loadFillHistory();
+  } catch (error) {
+    console.error('❌ History export failed:', error);
+    showStatus('Export error: ' + error.message, 'error');
+    return;
+  }
+  if (history.length === 0) {
+    showStatus('No fills recorded yet', 'error');
+    return;
+  }
+  downloadTextFile(`simplepractice-fill-history-${getExportDate()}.csv`, formatFillHistoryCsv(history), 'text/csv');
+  showStatus(`Exported ${history.length} fill(s)`, 'success');
+});
 
-    console.log('✓ Validation passed');
-    
-    // Get the active tab
-    console.log('🔍 Querying for active tab...');
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    console.log('📑 Query result:', tabs);
-    
-    if (!tabs || tabs.length === 0) {
-      console.error('❌ No active tab found');
-      showStatus('Error: No active tab found', 'error');
-      return;
-    }
-    
-    const tab = tabs[0];
-    console.log('✓ Active tab found:', {
-      id: tab.id,
-      url: tab.url,
-      title: tab.title
+importVcardFileInput.addEventListener('change', async () => {
+  const file = importVcardFileInput.files[0];
+  if (!file) return;
+  importVcardFileInput.value = '';
+
+  let imported;
+  try {
+    imported = parseVcardProfiles(await file.text()).filter(profile => hasAnyValue(profile.data));
+  } catch (error) {
+    console.error('❌ vCard import failed:', error);
+    showStatus('Import error: ' + error.message, 'error');
+    return;
+  }
+  console.log('📥 vCard import:', imported.length, 'profile(s)');
+  if (imported.length === 0) {
+    showStatus('No contacts found in ' + file.name, 'error');
+    return;
+  }
+
+  profileState.profiles.push(...imported);
+  profileSearchInput.value = '';
+  selectProfile(imported[0].id);
+  showStatus(`Imported ${imported.length} profile(s)`, 'success');
+});
+
+/**
+ * Profiles with any data (shows an error status when there are none)
+ * @returns {Array<Object>|null}
+ */
+function getExportableProfiles() {
+  const profiles = profileState.profiles.filter(profile => hasAnyValue(profile.data));
+  if (profiles.length === 0) {
+    showStatus('No saved profiles to export', 'error');
+    return null;
+  }
+  return profiles;
+}
+
+// Local date for file names (YYYY-MM-DD)
+function getExportDate() {
+  const now = new Date();
+  return [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('-');
+}
+
+/**
+ * Save text as a file through the browser's download
+ */
+function downloadTextFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ============================================================================
+// ARMED MODE
+// ============================================================================
+
+// How long an armed tab waits for the new client form
+const ARM_TIMEOUT_MINUTES = 5;
+
+// Armed state of the active tab ({ expiresAt } or null)
+let armedState = null;
+
+/**
+ * Switch the arm button between arming and disarming
+ */
+function renderArmedState(armed) {
+  armedState = armed || null;
+  if (armedState) {
+    const until = new Date(armedState.expiresAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    armBtn.textContent = `✕ Disarm (until ${until})`;
+  } else {
+    armBtn.textContent = '⏱ Fill when form opens';
+  }
+}
+
+// Handle arm button click - the content script fills the next new client form itself
+armBtn.addEventListener('click', async () => {
+  console.log('🖱️ Arm button clicked, armed:', !!armedState);
+
+  if (armedState) {
+    const tab = await getSimplePracticeTab();
+    if (!tab) return;
+
+    sendMessageToTab(tab.id, { action: 'disarm' }, (response) => {
+      renderArmedState(null);
+      showStatus(response?.message || 'Disarmed', 'success');
     });
-    
-    // Check if we're on SimplePractice domain
-    if (!tab.url || !tab.url.includes('simplepractice.com')) {
-      console.warn('⚠️ Not on SimplePractice domain:', tab.url);
-      showStatus('Please navigate to SimplePractice first', 'error');
-      return;
+    return;
+  }
+
+  const request = await prepareFillRequest();
+  if (!request) return;
+
+  const message = Object.assign({
+    action: 'arm',
+    data: request.formData,
+    timeoutMs: ARM_TIMEOUT_MINUTES * 60 * 1000
+  }, getFillSource(request));
+
+  sendMessageToTab(request.tab.id, message, (response) => {
+    console.log('📥 Arm response:', response);
+    if (response && response.success) {
+      renderArmedState(response.armed);
+      showStatus(`⏱ Armed for ${ARM_TIMEOUT_MINUTES} min - open the new client form`, 'success');
+    } else {
+      showStatus(response?.message || 'Error: No response from content script', 'error');
+    }
+  });
+});
+
+// ============================================================================
+// FILL SCOPE
+// ============================================================================
+
+/**
+ * Show which part of the page fills are limited to
+ * @param {{label: string, picked: boolean}|undefined} scope
+ */
+function renderScopeStatus(scope) {
+  if (!scope) return;
+  scopeStatusDiv.textContent = `Fills only: ${scope.label}${scope.picked ? ' (picked)' : ''}`;
+  clearScopeBtn.hidden = !scope.picked;
+}
+
+// Ask an already-loaded content script for its scope and armed state
+// (nothing is injected just to show them)
+chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+  const tab = tabs && tabs[0];
+  if (!tab || !tab.url || !tab.url.includes('simplepractice.com')) return;
+
+  chrome.tabs.sendMessage(tab.id, { action: 'getPageStatus' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    renderScopeStatus(response.scope);
+    renderArmedState(response.armed);
+  });
+});
+
+pickScopeBtn.addEventListener('click', async () => {
+  const tab = await getSimplePracticeTab();
+  if (!tab) return;
+
+  sendMessageToTab(tab.id, { action: 'pickScope' }, (response) => {
+    console.log('📥 Pick scope response:', response);
+    if (response && response.success) {
+      // Close so the click lands on the page
+      window.close();
+    } else {
+      showStatus(response?.message || 'Error: No response from content script', 'error');
     }
+  });
+});
 
-    console.log('✓ SimplePractice domain confirmed');
+clearScopeBtn.addEventListener('click', async () => {
+  const tab = await getSimplePracticeTab();
+  if (!tab) return;
 
-    // Disable button while processing
-    fillBtn.disabled = true;
-    showStatus('Filling form...', '');
+  sendMessageToTab(tab.id, { action: 'clearScope' }, (response) => {
+    renderScopeStatus(response && response.scope);
+    showStatus('Picked form cleared', 'success');
+  });
+});
 
-    // Prepare message
-    const message = { 
-      action: 'autofill', 
-      data: formData 
-    };
-    
-    console.log('📤 Sending message to tab:', tab.id);
-    console.log('📤 Message payload:', message);
-
-    // Send message to content script with fallback injection
-    sendMessageWithFallback(tab.id, message, (response) => {
-      console.log('📥 Response received from content script:', response);
-      
-      fillBtn.disabled = false;
-      
+// Handle preview button click
+previewBtn.addEventListener('click', async () => {
+  console.log('🖱️ Preview button clicked');
+
+  try {
+    const request = await prepareFillRequest();
+    if (!request) return;
+
+    previewBtn.disabled = true;
+    showStatus('Previewing...', '');
+
+    sendMessageToTab(request.tab.id, { action: 'preview', data: request.formData }, (response) => {
+      console.log('📥 Preview response:', response && response.entries ? response.entries.length : 0, 'planned field(s)');
+      previewBtn.disabled = false;
+
+      renderPreview(response && response.entries ? response.entries : []);
+      renderScopeStatus(response && response.scope);
       if (response && response.success) {
-        console.log('✅ Autofill successful!');
-        console.log('✅ Fields filled:', response.fieldsFilledCount);
-        showStatus(`✓ Filled ${response.fieldsFilledCount} field(s)`, 'success');
-      } else if (response && !response.success) {
-        console.warn('⚠️ Autofill completed but no fields filled');
-        console.warn('⚠️ Response message:', response?.message);
-        showStatus(response?.message || 'No fields found to fill', 'error');
+        showStatus(response.message, 'success');
       } else {
-        console.error('❌ No response received');
-        showStatus('Error: No response from content script', 'error');
+        showStatus(response?.message || 'Error: No response from content script', 'error');
       }
-      
-      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     });
+  } catch (error) {
+    console.error('❌ Exception in preview handler:', error);
+    previewBtn.disabled = false;
+    showStatus('Error: ' + error.message, 'error');
+  }
+});
+
+/**
+ * Show the planned field -> value -> reason list from a preview
+ */
+function renderPreview(entries) {
+  resultListDiv.innerHTML = '';
+
+  for (const entry of entries) {
+    const item = document.createElement('li');
+
+    const target = document.createElement('strong');
+    target.textContent = `${entry.field} → ${entry.plannedValue}`;
+
+    const reason = document.createElement('span');
+    reason.textContent = `${getFieldLabel(entry.dataKey)}: ${entry.reason}`;
+
+    item.append(target, reason);
+    resultListDiv.appendChild(item);
+  }
+}
+
+// Checklist icon per fill status (see FILL_STATUS in content.js)
+const FILL_STATUS_ICONS = {
+  filled: '✓',
+  skipped: '–',
+  failed: '✗',
+  rejected: '⚠'
+};
+
+/**
+ * Show the per-field fill report as a checklist
+ * Problems are listed first so staff see what to fix by hand.
+ */
+function renderFillReport(report) {
+  resultListDiv.innerHTML = '';
+
+  const order = ['failed', 'rejected', 'skipped', 'filled'];
+  const sorted = report.slice().sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+
+  for (const entry of sorted) {
+    const item = document.createElement('li');
+    item.className = 'report-' + entry.status;
+
+    const title = document.createElement('strong');
+    title.textContent = `${FILL_STATUS_ICONS[entry.status] || '?'} ${getFieldLabel(entry.dataKey)}`;
+
+    const detail = document.createElement('span');
+    const fieldNames = entry.fields.map(field => field.field).join(', ');
+    detail.textContent = fieldNames ? `${entry.message} (${fieldNames})` : entry.message;
+
+    item.append(title, detail);
+    resultListDiv.appendChild(item);
+  }
+}
+
+// Handle fill button click
+fillBtn.addEventListener('click', async () => {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🖱️ Fill button clicked');
+  
+  try {
+    hideDuplicateWarning();
+    const request = await prepareFillRequest();
+    if (!request) return;
+    sendAutofill(request, true);
   } catch (error) {
     console.error('❌ Exception in fill button handler:', error);
     console.error('❌ Stack trace:', error.stack);
@@ -213,77 +1583,150 @@ fillBtn.addEventListener('click', async () => {
 });
 
 /**
- * Send message with automatic content script injection fallback
- * If content script is not loaded, attempts to inject it programmatically
- * 
+ * Send the autofill message and show the outcome
+ * @param {Object} request - From prepareFillRequest
+ * @param {boolean} checkDuplicates - Stop and ask first if the client seems to exist already
+ */
+function sendAutofill(request, checkDuplicates) {
+  const { tab, queueItem, profileId, formData } = request;
+
+  // Disable button while processing
+  fillBtn.disabled = true;
+  renderPreview([]);
+  showStatus('Filling form...', '');
+
+  // Prepare message
+  const message = Object.assign({
+    action: 'autofill',
+    data: formData,
+    checkDuplicates
+  }, getFillSource(request));
+  
+  console.log('📤 Sending message to tab:', tab.id, message.action);
+
+  // Send message to content script (injected by the background worker if needed)
+  sendMessageToTab(tab.id, message, (response) => {
+    console.log('📥 Response received from content script:', response ? { success: response.success, fieldsFilledCount: response.fieldsFilledCount } : response);
+    
+    fillBtn.disabled = false;
+
+    if (response && response.duplicates) {
+      console.warn('⚠️ Possible existing client(s):', response.duplicates.length);
+      showDuplicateWarning(response.duplicates, request);
+      showStatus('⚠ ' + response.message, 'error');
+      return;
+    }
+
+    renderFillReport(response && response.report ? response.report : []);
+    renderScopeStatus(response && response.scope);
+    
+    if (response && response.success) {
+      console.log('✅ Autofill successful!');
+      console.log('✅ Fields filled:', response.fieldsFilledCount);
+      const problems = (response.report || []).filter(entry => entry.status !== 'filled').length;
+      showStatus(
+        problems > 0
+          ? `✓ Filled ${response.fieldsFilledCount} field(s), ${problems} need attention`
+          : `✓ Filled ${response.fieldsFilledCount} field(s)`,
+        'success'
+      );
+
+      if (queueItem) {
+        markQueueItemDone(queueItem.id)
+          .then(() => requestClientDataClear({ target: 'queueItem', id: queueItem.id }))
+          .catch(error => console.error('❌ Queue item not marked done:', error));
+      } else {
+        requestClientDataClear({ target: 'profile', id: profileId });
+      }
+    } else if (response && !response.success) {
+      console.warn('⚠️ Autofill completed but no fields filled');
+      console.warn('⚠️ Response message:', response?.message);
+      showStatus(response?.message || 'No fields found to fill', 'error');
+    } else {
+      console.error('❌ No response received');
+      showStatus('Error: No response from content script', 'error');
+    }
+    
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  });
+}
+
+// ============================================================================
+// DUPLICATE CLIENTS
+// ============================================================================
+
+// Fill request held back until the user picks "Fill anyway" or "Cancel"
+let pendingDuplicateFill = null;
+
+/**
+ * List the existing clients the content script found and offer to fill anyway
+ * @param {Array<{name, url, reasons}>} duplicates - From findDuplicateClients
+ */
+function showDuplicateWarning(duplicates, request) {
+  pendingDuplicateFill = request;
+  resultListDiv.innerHTML = '';
+
+  for (const match of duplicates) {
+    const item = document.createElement('li');
+    item.className = 'duplicate';
+
+    const title = document.createElement('strong');
+    title.textContent = `⚠ Existing client: ${match.name}`;
+
+    const detail = document.createElement('span');
+    const link = document.createElement('a');
+    link.href = match.url;
+    link.target = '_blank';
+    link.textContent = 'open chart';
+    detail.append(`Same ${match.reasons.join(', ')} - `, link);
+
+    item.append(title, detail);
+    resultListDiv.appendChild(item);
+  }
+
+  duplicateActionsDiv.hidden = false;
+}
+
+function hideDuplicateWarning() {
+  pendingDuplicateFill = null;
+  duplicateActionsDiv.hidden = true;
+}
+
+continueFillBtn.addEventListener('click', () => {
+  const request = pendingDuplicateFill;
+  hideDuplicateWarning();
+  if (request) sendAutofill(request, false);
+});
+
+cancelFillBtn.addEventListener('click', () => {
+  hideDuplicateWarning();
+  resultListDiv.innerHTML = '';
+  showStatus('Fill cancelled', '');
+});
+
+/**
+ * Send a message to the tab's content script through the background worker,
+ * which injects the content script first if the page doesn't have it yet
+ *
  * @param {number} tabId - Tab ID to send message to
  * @param {Object} message - Message to send
  * @param {Function} callback - Callback function
  */
-function sendMessageWithFallback(tabId, message, callback) {
-  // First attempt: try sending message normally
-  chrome.tabs.sendMessage(tabId, message, (response) => {
+function sendMessageToTab(tabId, message, callback) {
+  chrome.runtime.sendMessage({ action: 'relayToTab', tabId, message }, (response) => {
     if (chrome.runtime.lastError) {
       console.error('❌ Runtime error:', chrome.runtime.lastError.message);
-      console.error('❌ Full error details:', JSON.stringify(chrome.runtime.lastError));
-      
-      // Check if it's a connection error (content script not loaded)
-      if (chrome.runtime.lastError.message.includes('Could not establish connection') ||
-          chrome.runtime.lastError.message.includes('Receiving end does not exist')) {
-        
-        console.log('🔄 Content script not loaded, attempting programmatic injection...');
-        showStatus('Loading extension into page...', '');
-        
-        // Inject content script programmatically
-        chrome.scripting.executeScript(
-          {
-            target: { tabId: tabId },
-            files: ['content.js']
-          },
-          () => {
-            if (chrome.runtime.lastError) {
-              console.error('❌ Failed to inject content script:', chrome.runtime.lastError);
-              showStatus('Error: Could not load extension. Please refresh the page.', 'error');
-              callback({ success: false, message: 'Failed to inject content script' });
-              return;
-            }
-            
-            console.log('✓ Content script injected successfully');
-            console.log('🔄 Waiting 500ms for script initialization...');
-            
-            // Wait a moment for content script to initialize
-            setTimeout(() => {
-              console.log('🔄 Retrying message send...');
-              
-              // Retry sending the message
-              chrome.tabs.sendMessage(tabId, message, (retryResponse) => {
-                if (chrome.runtime.lastError) {
-                  console.error('❌ Retry failed:', chrome.runtime.lastError.message);
-                  showStatus('Error: ' + chrome.runtime.lastError.message, 'error');
-                  callback({ success: false, message: chrome.runtime.lastError.message });
-                } else {
-                  console.log('✓ Retry successful!');
-                  callback(retryResponse);
-                }
-              });
-            }, 500);
-          }
-        );
-      } else {
-        // Different error, not connection-related
-        showStatus('Error: ' + chrome.runtime.lastError.message, 'error');
-        callback({ success: false, message: chrome.runtime.lastError.message });
-      }
-    } else {
-      // Success on first attempt
-      callback(response);
+      callback({ success: false, message: 'Error: ' + chrome.runtime.lastError.message });
+      return;
     }
+    callback(response);
   });
 }
 
 // Show status message
 function showStatus(message, type) {
-  console.log(`📢 Status update [${type || 'info'}]:`, message);
+  // The message may quote client data - log only that it changed
+  console.log(`📢 Status update [${type || 'info'}]`);
   
   statusDiv.textContent = message;
   statusDiv.className = 'show ' + type;
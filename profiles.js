@@ -0,0 +1,378 @@
+/**
+ * Profile store.
+ * Keeps named client profiles encrypted in chrome.storage.local (vault.js)
+ * and moves profiles saved by older versions out of chrome.storage.sync -
+ * including the legacy single-profile flat keys - the first time it unlocks.
+ */
+
+// Data keys stored on each profile (sent as-is in the `autofill` message)
+const PROFILE_FIELDS = [
+  'clientType',
+  'billingType',
+  'firstName',
+  'lastName',
+  'dobMonth',
+  'dobDay',
+  'dobYear',
+  'streetAddress',
+  'addressLine2',
+  'city',
+  'state',
+  'zipCode',
+  'country',
+  'insurancePayer',
+  'insuranceMemberId',
+  'insuranceGroupNumber',
+  'subscriberRelationship',
+  'subscriberFirstName',
+  'subscriberLastName',
+  'subscriberDob'
+];
+
+// Human-readable names for data keys (fill reports, previews)
+const FIELD_LABELS = {
+  clientType: 'Client Type',
+  billingType: 'Billing Type',
+  firstName: 'First Name',
+  lastName: 'Last Name',
+  preferredName: 'Preferred Name',
+  email: 'Email',
+  phone: 'Phone',
+  phoneExtension: 'Phone Ext.',
+  phoneType: 'Phone Type',
+  dobMonth: 'DOB Month',
+  dobDay: 'DOB Day',
+  dobYear: 'DOB Year',
+  streetAddress: 'Street Address',
+  addressLine2: 'Address Line 2',
+  city: 'City',
+  state: 'State',
+  zipCode: 'ZIP',
+  country: 'Country',
+  insurancePayer: 'Payer',
+  insuranceMemberId: 'Member ID',
+  insuranceGroupNumber: 'Group Number',
+  subscriberRelationship: 'Subscriber Relationship',
+  subscriberFirstName: 'Subscriber First Name',
+  subscriberLastName: 'Subscriber Last Name',
+  subscriberDob: 'Subscriber DOB',
+  relationship: 'Relationship',
+  dob: 'DOB'
+};
+
+// Email / phone entries, kept in `data.emails` and `data.phones` (first = primary)
+const CONTACT_METHOD_TYPES = ['mobile', 'home', 'work'];
+const EMAIL_FLAGS = ['reminders'];
+const PHONE_FLAGS = ['reminders', 'voicemail', 'textMessages'];
+
+const CONTACT_METHOD_FLAG_LABELS = {
+  reminders: 'OK to send reminders',
+  voicemail: 'OK to leave voicemail',
+  textMessages: 'OK to text'
+};
+
+// Single email / phone keys of profiles saved before the lists (see migrateContactMethods)
+const LEGACY_CONTACT_METHOD_FIELDS = ['email', 'phone', 'phoneCountry', 'phoneExtension', 'phoneType'];
+
+// Guardian / partner sub-profiles, kept in `data.contacts`
+const CONTACT_FIELDS = ['firstName', 'lastName', 'relationship', 'email', 'phone', 'dob'];
+
+// Client type -> role of the extra contacts its intake form asks for
+const CONTACT_ROLES = {
+  minor: 'guardian',
+  couple: 'partner'
+};
+
+const CONTACT_ROLE_LABELS = {
+  guardian: 'Guardian',
+  partner: 'Partner'
+};
+
+// Storage keys - `profiles` holds the encrypted { profiles, activeProfileId }
+// in chrome.storage.local; both keys are the old plaintext location in chrome.storage.sync
+const PROFILES_STORAGE_KEY = 'profiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'activeProfileId';
+
+/**
+ * Build an empty data object with every profile field present
+ */
+function createEmptyProfileData() {
+  const data = {};
+  for (const key of PROFILE_FIELDS) {
+    data[key] = '';
+  }
+  data.emails = [];
+  data.phones = [];
+  data.contacts = [];
+  return data;
+}
+
+/**
+ * Build an empty email entry
+ */
+function createEmail() {
+  const email = { address: '', type: '' };
+  for (const flag of EMAIL_FLAGS) {
+    email[flag] = false;
+  }
+  return email;
+}
+
+/**
+ * Build an empty phone entry
+ * @param {string} country - Country national numbers are read in (phones.js)
+ */
+function createPhone(country = DEFAULT_PHONE_COUNTRY) {
+  const phone = { number: '', country, extension: '', type: '' };
+  for (const flag of PHONE_FLAGS) {
+    phone[flag] = false;
+  }
+  return phone;
+}
+
+/**
+ * Move the single email / phone keys of older profiles into the lists
+ * @param {Object} data - Profile data with `emails` / `phones` arrays (modified in place)
+ */
+function migrateContactMethods(data) {
+  if (data.email && data.emails.length === 0) {
+    data.emails.push(Object.assign(createEmail(), { address: data.email }));
+  }
+
+  if (data.phone && data.phones.length === 0) {
+    data.phones.push(Object.assign(createPhone(data.phoneCountry || DEFAULT_PHONE_COUNTRY), {
+      number: data.phone,
+      extension: data.phoneExtension || '',
+      type: data.phoneType || ''
+    }));
+  }
+
+  for (const key of LEGACY_CONTACT_METHOD_FIELDS) {
+    delete data[key];
+  }
+  return data;
+}
+
+/**
+ * Report / menu key of the n-th email or phone ("email", "email2", ...)
+ * @param {string} kind - 'email' or 'phone'
+ */
+function getContactMethodKey(kind, index) {
+  return index === 0 ? kind : kind + (index + 1);
+}
+
+/**
+ * Build an empty guardian/partner sub-profile
+ * @param {string} role - 'guardian' or 'partner'
+ */
+function createContact(role) {
+  const contact = { role };
+  for (const key of CONTACT_FIELDS) {
+    contact[key] = '';
+  }
+  return contact;
+}
+
+/**
+ * Contacts that apply to the profile's client type (guardians for minors,
+ * the partner for couples) - others stay saved but are not filled
+ */
+function getActiveContacts(data) {
+  const role = CONTACT_ROLES[data.clientType];
+  if (!role || !Array.isArray(data.contacts)) return [];
+  return data.contacts.filter(contact => contact.role === role);
+}
+
+/**
+ * True if any field has a value - blank email/phone entries and contacts do not count
+ */
+function hasAnyValue(data) {
+  return Object.entries(data).some(([key, value]) => {
+    if (key === 'emails') return value.some(email => email.address);
+    if (key === 'phones') return value.some(phone => phone.number);
+    if (key === 'contacts') return value.some(contact => CONTACT_FIELDS.some(field => contact[field]));
+    return typeof value === 'string' && Boolean(value);
+  });
+}
+
+/**
+ * Label for a data key, including contact keys like "guardian2.email"
+ */
+function getFieldLabel(key) {
+  const methodMatch = key.match(/^(email|phone)(\d+)$/);
+  if (methodMatch) {
+    return `${FIELD_LABELS[methodMatch[1]]} ${methodMatch[2]}`;
+  }
+
+  const match = key.match(/^([a-z]+)(\d+)\.(\w+)$/);
+  if (match && CONTACT_ROLE_LABELS[match[1]]) {
+    return `${CONTACT_ROLE_LABELS[match[1]]} ${match[2]} ${FIELD_LABELS[match[3]] || match[3]}`;
+  }
+  return FIELD_LABELS[key] || key;
+}
+
+/**
+ * Create a new profile object
+ * @param {string} name - Display name ('' falls back to the client's name)
+ * @param {Object} data - Initial field values
+ */
+function createProfile(name = '', data = {}) {
+  return {
+    id: generateProfileId(),
+    name: name,
+    data: Object.assign(createEmptyProfileData(), data),
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Empty a profile in place - name and data - keeping its id (retention clears)
+ * clearedAt lets an open popup see that its copy is out of date.
+ */
+function clearProfile(profile) {
+  profile.name = '';
+  profile.data = createEmptyProfileData();
+  profile.updatedAt = Date.now();
+  profile.clearedAt = profile.updatedAt;
+  return profile;
+}
+
+/**
+ * Copy a profile under a new id
+ */
+function duplicateProfile(profile) {
+  const baseName = getProfileDisplayName(profile);
+  return createProfile(baseName + ' (copy)', JSON.parse(JSON.stringify(profile.data)));
+}
+
+/**
+ * Unique-enough id for profiles stored in a single browser
+ */
+function generateProfileId() {
+  return 'p_' + Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+}
+
+/**
+ * Name shown in the picker - explicit name first, then the client's name
+ */
+function getProfileDisplayName(profile) {
+  if (profile.name && profile.name.trim()) return profile.name.trim();
+
+  const clientName = [profile.data.firstName, profile.data.lastName]
+    .filter(Boolean)
+    .join(' ')
+    .trim();
+
+  return clientName || 'Untitled client';
+}
+
+/**
+ * Check whether a profile matches a search query (name, client name, email)
+ */
+function profileMatchesQuery(profile, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return true;
+
+  const haystack = [
+    getProfileDisplayName(profile),
+    profile.data.firstName,
+    profile.data.lastName,
+    ...(profile.data.emails || []).map(email => email.address)
+  ].join(' ').toLowerCase();
+
+  return haystack.includes(q);
+}
+
+/**
+ * Read the selected profile without saving anything (for the background
+ * worker - the popup owns migrations; older layouts are converted in memory)
+ * @returns {Promise<Object|null>} null while locked or before the first save
+ */
+async function loadActiveProfile() {
+  if (!(await getVaultKey())) return null;
+
+  const state = await loadEncrypted(PROFILES_STORAGE_KEY);
+  const profiles = state && Array.isArray(state.profiles) ? state.profiles : [];
+  const profile = profiles.find(p => p.id === state.activeProfileId) || profiles[0];
+  if (!profile) return null;
+
+  return Object.assign({}, profile, {
+    data: migrateContactMethods(Object.assign(createEmptyProfileData(), profile.data))
+  });
+}
+
+/**
+ * Load the profile collection (vault must be unlocked)
+ * The first load moves plaintext profiles out of chrome.storage.sync and
+ * wipes them there, migrating legacy flat keys on the way.
+ * @returns {Promise<{profiles: Array, activeProfileId: string}>}
+ */
+async function loadProfileState() {
+  const saved = await loadEncrypted(PROFILES_STORAGE_KEY);
+  const stored = saved || await chrome.storage.sync.get([
+    PROFILES_STORAGE_KEY,
+    ACTIVE_PROFILE_STORAGE_KEY,
+    ...PROFILE_FIELDS,
+    ...LEGACY_CONTACT_METHOD_FIELDS
+  ]);
+
+  let profiles = Array.isArray(stored[PROFILES_STORAGE_KEY]) ? stored[PROFILES_STORAGE_KEY] : null;
+  let activeProfileId = stored[ACTIVE_PROFILE_STORAGE_KEY] || null;
+
+  if (!profiles) {
+    profiles = [];
+
+    // Migrate the old single-profile layout (one flat key per field)
+    const legacyData = {};
+    let hasLegacyData = false;
+    for (const key of [...PROFILE_FIELDS, ...LEGACY_CONTACT_METHOD_FIELDS]) {
+      if (stored[key]) {
+        legacyData[key] = stored[key];
+        hasLegacyData = true;
+      }
+    }
+
+    if (hasLegacyData) {
+      profiles.push(createProfile('', legacyData));
+      console.log('🔀 Migrated legacy single-profile data');
+    }
+  }
+
+  if (profiles.length === 0) {
+    profiles.push(createProfile());
+  }
+
+  // Make sure every profile has every field (older profiles may predate new fields)
+  profiles = profiles.map(profile => Object.assign({}, profile, {
+    data: migrateContactMethods(Object.assign(createEmptyProfileData(), profile.data))
+  }));
+
+  if (!profiles.some(profile => profile.id === activeProfileId)) {
+    activeProfileId = profiles[0].id;
+  }
+
+  const state = { profiles, activeProfileId };
+  await saveProfileState(state);
+
+  if (!saved) {
+    await chrome.storage.sync.remove([
+      PROFILES_STORAGE_KEY,
+      ACTIVE_PROFILE_STORAGE_KEY,
+      ...PROFILE_FIELDS,
+      ...LEGACY_CONTACT_METHOD_FIELDS
+    ]);
+    console.log('🔀 Moved profiles from chrome.storage.sync to encrypted local storage');
+  }
+
+  return state;
+}
+
+/**
+ * Persist the profile collection (encrypted)
+ */
+async function saveProfileState(state) {
+  await saveEncrypted(PROFILES_STORAGE_KEY, {
+    [PROFILES_STORAGE_KEY]: state.profiles,
+    [ACTIVE_PROFILE_STORAGE_KEY]: state.activeProfileId
+  });
+}
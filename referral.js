@@ -0,0 +1,293 @@
+/**
+ * Referral text parser.
+ * Pulls a client out of a pasted referral or intake email ("Jane Doe,
+ * DOB 3/14/1990, (555) 123-4567, jane@x.com, Aetna") with local
+ * heuristics only - nothing leaves the popup. Loaded after importer.js
+ * (date helpers).
+ */
+
+// Labels in front of the client's name ("Client: Jane Doe", "I'd like to refer Jane Doe"),
+// most specific first
+const REFERRAL_NAME_LABELS = ['client name', 'patient name', 'client', 'patient', 'name', 'referral for', 'refer'];
+
+// Words in front of a name that belong to someone other than the client ("Referring physician: Dr. Smith")
+const REFERRAL_OTHER_PERSON_KEYWORDS = ['referring', 'referred by', 'physician', 'doctor', 'provider', 'therapist', 'pcp', 'parent', 'guardian', 'emergency'];
+
+const REFERRAL_DOB_PATTERN = /\b(?:dob|d\.o\.b\.?|date of birth|birth ?date|birthday|born)\b\s*(?:on|is)?[:#-]?\s*/i;
+
+// Dates as written in referrals: 3/14/1990, 3-14-90, 1990-03-14, March 14, 1990, 14 March 1990
+const REFERRAL_DATE_PATTERN = new RegExp([
+  /\b\d{1,2}[/.-]\d{1,2}[/.-](?:\d{4}|\d{2})\b/.source,
+  /\b\d{4}-\d{1,2}-\d{1,2}\b/.source,
+  /\b[a-z]{3,9}\.? \d{1,2}(?:st|nd|rd|th)?,? \d{4}\b/.source,
+  /\b\d{1,2}(?:st|nd|rd|th)? [a-z]{3,9}\.?,? \d{4}\b/.source
+].join('|'), 'gi');
+
+const REFERRAL_EMAIL_PATTERN = /[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[a-z]{2,}/gi;
+
+// US-style numbers with optional extension, or anything starting with "+"
+const REFERRAL_PHONE_PATTERN = /(?:\+\d[\d\s().-]{6,}\d|\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b)(?:\s*(?:ext\.?|x)\s*\d{1,6})?/gi;
+
+const REFERRAL_AGE_PATTERN = /\b(?:age[d:]?\s*(\d{1,2})|(\d{1,2})\s*(?:y\/o|yo|yrs? old|years? old|-year-old))\b/i;
+
+const REFERRAL_CLIENT_TYPE_KEYWORDS = {
+  minor: ['minor', 'child', 'adolescent', 'teen', 'teenager', 'son', 'daughter'],
+  couple: ['couple', 'couples', 'marriage counseling', 'marital', 'partner and', 'spouse and']
+};
+
+const REFERRAL_SELF_PAY_KEYWORDS = ['self-pay', 'self pay', 'private pay', 'out of pocket', 'out-of-pocket', 'cash pay'];
+
+// Payer names as referrals spell them -> name put in the payer field
+const REFERRAL_PAYERS = [
+  { name: 'Aetna', aliases: ['aetna'] },
+  { name: 'Anthem', aliases: ['anthem'] },
+  { name: 'Blue Cross Blue Shield', aliases: ['blue cross', 'blue shield', 'bcbs'] },
+  { name: 'Cigna', aliases: ['cigna'] },
+  { name: 'Humana', aliases: ['humana'] },
+  { name: 'Kaiser Permanente', aliases: ['kaiser'] },
+  { name: 'Magellan', aliases: ['magellan'] },
+  { name: 'Medicaid', aliases: ['medicaid', 'medi-cal'] },
+  { name: 'Medicare', aliases: ['medicare'] },
+  { name: 'Optum', aliases: ['optum'] },
+  { name: 'Oscar', aliases: ['oscar health'] },
+  { name: 'Tricare', aliases: ['tricare'] },
+  { name: 'UnitedHealthcare', aliases: ['unitedhealthcare', 'united healthcare', 'united health care', 'uhc'] }
+];
+
+const REFERRAL_MEMBER_ID_PATTERN = /\b(?:member|subscriber|policy)\s*(?:id|#|number|no\.?)\s*[:#]?\s*([a-z0-9-]{4,})/i;
+const REFERRAL_GROUP_PATTERN = /\bgroup\s*(?:id|#|number|no\.?)?\s*[:#]?\s*([a-z0-9-]{3,})/i;
+
+// Words that start a segment but are never part of a name
+const REFERRAL_NAME_STOP_WORDS = ['dob', 'phone', 'email', 'cell', 'mobile', 'insurance', 'age', 'hi', 'hello', 'dear', 'thanks', 'thank'];
+
+const REFERRAL_HONORIFICS = /^(?:mr|mrs|ms|miss|mx|dr)\.?\s+/i;
+
+/**
+ * Parse referral text into profile data
+ * @returns {{data: Object, found: Array<string>}} data uses profile keys
+ *   (`emails` / `phones` are lists); found lists what was recognized
+ */
+function parseReferralText(text) {
+  const data = {};
+
+  // Dates and emails are taken out first so their digits aren't read as phones
+  let rest = String(text || '');
+
+  const dob = findReferralDob(rest);
+  if (dob) {
+    Object.assign(data, { dobMonth: dob.month, dobDay: dob.day, dobYear: dob.year });
+  }
+  rest = rest.replace(REFERRAL_DATE_PATTERN, ' ');
+
+  const emails = Array.from(new Set((rest.match(REFERRAL_EMAIL_PATTERN) || []).map(email => email.toLowerCase())));
+  if (emails.length > 0) {
+    data.emails = emails.map(address => Object.assign(createEmail(), { address }));
+  }
+  rest = rest.replace(REFERRAL_EMAIL_PATTERN, ' ');
+
+  const phones = findReferralPhones(rest);
+  if (phones.length > 0) data.phones = phones;
+
+  Object.assign(data, findReferralName(text));
+  Object.assign(data, findReferralClientType(text, dob));
+  Object.assign(data, findReferralBilling(text));
+
+  // Labelled like fill report keys (getFieldLabel) - one entry for the date and each list
+  const reportKeys = { dobMonth: 'dob', emails: 'email', phones: 'phone' };
+  const found = Object.keys(data).filter(key => !['dobDay', 'dobYear'].includes(key))
+    .map(key => reportKeys[key] || key);
+  return { data, found };
+}
+
+/**
+ * The date after a DOB label, else the only plausible birth date in the text
+ * @returns {{month, day, year}|null}
+ */
+function findReferralDob(text) {
+  const label = text.match(REFERRAL_DOB_PATTERN);
+  if (label) {
+    const after = text.substring(label.index + label[0].length);
+    const match = after.match(new RegExp('^(?:' + REFERRAL_DATE_PATTERN.source + ')', 'i'));
+    const parts = match && parseReferralDate(match[0]);
+    if (parts) return parts;
+  }
+
+  const dates = (text.match(REFERRAL_DATE_PATTERN) || []).map(parseReferralDate).filter(Boolean);
+  return dates.length === 1 ? dates[0] : null;
+}
+
+/**
+ * Date text -> { month, day, year } if it is a valid birth date
+ */
+function parseReferralDate(value) {
+  const cleaned = value.replace(/(\d)(?:st|nd|rd|th)\b/gi, '$1').replace(/,/g, '').trim();
+
+  let parts = parseDateParts(cleaned);
+  if (!parts) {
+    // "14 March 1990"
+    const match = cleaned.match(/^(\d{1,2}) ([a-z]+)\.? (\d{4})$/i);
+    if (match) parts = { day: match[1], month: match[2], year: match[3] };
+  }
+  if (!parts) {
+    // Two-digit years: born this century unless that would be in the future
+    const match = cleaned.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2})$/);
+    if (match) {
+      const century = Number(match[3]) > new Date().getFullYear() % 100 ? '19' : '20';
+      parts = { month: match[1], day: match[2], year: century + match[3] };
+    }
+  }
+  if (!parts) return null;
+
+  const month = normalizeMonth(parts.month);
+  const day = String(parseInt(parts.day, 10)).padStart(2, '0');
+  if (!month || checkDateOfBirth(month, day, parts.year).error) return null;
+  return { month, day, year: parts.year };
+}
+
+/**
+ * Phone numbers that normalize, as profile phone entries
+ */
+function findReferralPhones(text) {
+  const phones = [];
+  const seen = new Set();
+
+  for (const match of text.match(REFERRAL_PHONE_PATTERN) || []) {
+    const normalized = normalizePhoneNumber(match, DEFAULT_PHONE_COUNTRY);
+    if (normalized.error || seen.has(normalized.e164)) continue;
+    seen.add(normalized.e164);
+
+    const phone = createPhone(findPhoneCountryCode(normalized.e164));
+    phone.number = normalized.e164;
+    phone.extension = normalized.extension;
+    phone.type = findReferralPhoneType(text, match);
+    phones.push(phone);
+  }
+
+  return phones;
+}
+
+/**
+ * "cell: (555) ..." / "(555) ... (work)" -> the phone type named right next to the number
+ */
+function findReferralPhoneType(text, number) {
+  const index = text.indexOf(number);
+  const around = text.substring(Math.max(0, index - 15), index + number.length + 10).toLowerCase();
+
+  for (const [type, aliases] of Object.entries(PHONE_TYPE_ALIASES)) {
+    if (matchesReferralKeyword(around, aliases)) return type;
+  }
+  return '';
+}
+
+/**
+ * Name after a label ("Client: Jane Doe"), else a leading "Jane Doe," segment.
+ * Each label is tried on every line before the next one, and names written
+ * after another person's label are skipped.
+ * @returns {{firstName?: string, lastName?: string}}
+ */
+function findReferralName(text) {
+  const lines = text.split(/\n/);
+
+  for (const label of REFERRAL_NAME_LABELS) {
+    const pattern = new RegExp('\\b' + label + '\\b\\s*[:-]?\\s*([^;\\n]+)', 'i');
+    for (const line of lines) {
+      const match = line.match(pattern);
+      if (!match || namesOtherPerson(line.substring(0, match.index).split(/[;,]/).pop())) continue;
+      const name = splitReferralName(match[1]);
+      if (name) return name;
+    }
+  }
+
+  for (const line of lines.filter(line => !namesOtherPerson(line))) {
+    for (const segment of line.split(/[,;]/)) {
+      const name = splitReferralName(segment);
+      if (name) return name;
+    }
+  }
+  return {};
+}
+
+/**
+ * Whether text names someone other than the client ("Referring physician")
+ */
+function namesOtherPerson(text) {
+  return matchesReferralKeyword(text.toLowerCase(), REFERRAL_OTHER_PERSON_KEYWORDS);
+}
+
+/**
+ * "Jane Marie Doe" / "Doe, Jane" / "Dr. Jane Doe" -> first and last name
+ * Only two to four capitalized words count as a name.
+ */
+function splitReferralName(value) {
+  let text = value.trim().replace(REFERRAL_HONORIFICS, '');
+
+  const reversed = text.match(/^([A-Z][\w'-]+),\s*([A-Z][\w'-]+)\b/);
+  if (reversed && !REFERRAL_NAME_STOP_WORDS.includes(reversed[2].toLowerCase())) {
+    return { firstName: reversed[2], lastName: reversed[1] };
+  }
+  text = text.split(',')[0];
+
+  // Stop at the first thing that isn't part of the name ("Jane Doe DOB ...", "Jane Doe (mother)")
+  text = text.split(/\s+(?=\(|\d|[a-z])/)[0];
+  const words = text.split(/\s+/).filter(Boolean);
+
+  if (words.length < 2 || words.length > 4) return null;
+  if (!words.every(word => /^[A-Z][a-zA-Z'-]*$/.test(word))) return null;
+  if (REFERRAL_NAME_STOP_WORDS.includes(words[0].toLowerCase())) return null;
+
+  return { firstName: words[0], lastName: words[words.length - 1] };
+}
+
+/**
+ * Client type from the age (DOB or "14 y/o"), then keywords
+ * @returns {{clientType?: string}}
+ */
+function findReferralClientType(text, dob) {
+  let age = null;
+  if (dob) {
+    age = getAge(checkDateOfBirth(dob.month, dob.day, dob.year).value);
+  } else {
+    const match = text.match(REFERRAL_AGE_PATTERN);
+    if (match) age = Number(match[1] || match[2]);
+  }
+
+  const lower = text.toLowerCase();
+  if (matchesReferralKeyword(lower, REFERRAL_CLIENT_TYPE_KEYWORDS.couple)) return { clientType: 'couple' };
+  if (age !== null) return { clientType: age < ADULT_AGE ? 'minor' : 'adult' };
+  if (matchesReferralKeyword(lower, REFERRAL_CLIENT_TYPE_KEYWORDS.minor)) return { clientType: 'minor' };
+  return {};
+}
+
+/**
+ * Billing type, payer and member / group numbers
+ */
+function findReferralBilling(text) {
+  const lower = text.toLowerCase();
+  const result = {};
+
+  const payer = REFERRAL_PAYERS.find(entry => matchesReferralKeyword(lower, entry.aliases));
+  if (payer) {
+    result.billingType = 'insurance';
+    result.insurancePayer = payer.name;
+  } else if (matchesReferralKeyword(lower, REFERRAL_SELF_PAY_KEYWORDS)) {
+    result.billingType = 'self-pay';
+  } else if (/\binsurance\b/.test(lower)) {
+    result.billingType = 'insurance';
+  }
+
+  const memberId = text.match(REFERRAL_MEMBER_ID_PATTERN);
+  if (memberId) result.insuranceMemberId = memberId[1];
+
+  const group = text.match(REFERRAL_GROUP_PATTERN);
+  if (group) result.insuranceGroupNumber = group[1];
+
+  if ((memberId || group) && !result.billingType) result.billingType = 'insurance';
+  return result;
+}
+
+/**
+ * Whole-word keyword match ("uhc" in "UHC PPO", not in "uhcx")
+ */
+function matchesReferralKeyword(lowerText, keywords) {
+  return keywords.some(keyword => new RegExp('\\b' + keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b').test(lowerText));
+}
@@ -0,0 +1,121 @@
+/**
+ * Region names.
+ * State/province and country abbreviations with their full names, used to
+ * pick the right <select> option whichever form the profile holds
+ * ("CA" ↔ "California") and to offer suggestions in the popup.
+ */
+
+// US states, DC and territories
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+  FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+  IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+  ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+  NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+  NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+  PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+  TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+  AS: 'American Samoa', GU: 'Guam', MP: 'Northern Mariana Islands',
+  PR: 'Puerto Rico', VI: 'U.S. Virgin Islands'
+};
+
+// Canadian provinces and territories
+const CA_PROVINCES = {
+  AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+  NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', NT: 'Northwest Territories',
+  NU: 'Nunavut', ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec',
+  SK: 'Saskatchewan', YT: 'Yukon'
+};
+
+// ISO 3166-1 alpha-2 code -> [name, ...other common spellings]
+const COUNTRIES = {
+  US: ['United States', 'USA', 'United States of America', 'U.S.', 'U.S.A.'],
+  CA: ['Canada'],
+  MX: ['Mexico'],
+  GB: ['United Kingdom', 'UK', 'Great Britain', 'England'],
+  IE: ['Ireland'],
+  AU: ['Australia'],
+  NZ: ['New Zealand'],
+  DE: ['Germany'],
+  FR: ['France'],
+  ES: ['Spain'],
+  IT: ['Italy'],
+  PT: ['Portugal'],
+  NL: ['Netherlands'],
+  BE: ['Belgium'],
+  CH: ['Switzerland'],
+  AT: ['Austria'],
+  SE: ['Sweden'],
+  NO: ['Norway'],
+  DK: ['Denmark'],
+  FI: ['Finland'],
+  PL: ['Poland'],
+  GR: ['Greece'],
+  IL: ['Israel'],
+  IN: ['India'],
+  PK: ['Pakistan'],
+  PH: ['Philippines'],
+  CN: ['China'],
+  JP: ['Japan'],
+  KR: ['South Korea', 'Korea'],
+  VN: ['Vietnam', 'Viet Nam'],
+  BR: ['Brazil'],
+  AR: ['Argentina'],
+  CO: ['Colombia'],
+  PE: ['Peru'],
+  CL: ['Chile'],
+  JM: ['Jamaica'],
+  HT: ['Haiti'],
+  DO: ['Dominican Republic'],
+  CU: ['Cuba'],
+  PR: ['Puerto Rico'],
+  NG: ['Nigeria'],
+  GH: ['Ghana'],
+  KE: ['Kenya'],
+  ZA: ['South Africa'],
+  EG: ['Egypt'],
+  SN: ['Senegal']
+};
+
+/**
+ * All spellings of a state/province, abbreviation first when known
+ * @param {string} value - "CA", "ca" or "California"
+ * @returns {Array<string>} e.g. ['CA', 'California'] - [value] if unknown
+ */
+function getStateVariants(value) {
+  const trimmed = String(value).trim();
+  const upper = trimmed.toUpperCase();
+
+  for (const table of [US_STATES, CA_PROVINCES]) {
+    if (table[upper]) return [upper, table[upper]];
+
+    for (const [code, name] of Object.entries(table)) {
+      if (name.toLowerCase() === trimmed.toLowerCase()) return [code, name];
+    }
+  }
+
+  return [trimmed];
+}
+
+/**
+ * All spellings of a country, code first when known
+ * @param {string} value - "US", "USA" or "United States"
+ * @returns {Array<string>} e.g. ['US', 'United States', 'USA', ...] - [value] if unknown
+ */
+function getCountryVariants(value) {
+  const trimmed = String(value).trim();
+  const upper = trimmed.toUpperCase();
+
+  if (COUNTRIES[upper]) return [upper, ...COUNTRIES[upper]];
+
+  for (const [code, names] of Object.entries(COUNTRIES)) {
+    if (names.some(name => name.toLowerCase() === trimmed.toLowerCase())) {
+      return [code, ...names];
+    }
+  }
+
+  return [trimmed];
+}
@@ -0,0 +1,113 @@
+/**
+ * Client data retention.
+ * After a successful fill the filled profile (or queued client) can be
+ * cleared right away, after a number of minutes or at the end of the day.
+ * Clears wait in chrome.storage.local until they are due and the vault is
+ * unlocked; the panic wipe deletes everything the extension has stored.
+ */
+
+// Storage keys
+const RETENTION_SETTINGS_STORAGE_KEY = 'retentionSettings';
+const PENDING_CLEARS_STORAGE_KEY = 'pendingDataClears';
+
+// keep | immediate | delay (`minutes` after the fill) | endOfDay (local midnight)
+const DEFAULT_RETENTION_SETTINGS = { mode: 'keep', minutes: 30 };
+
+/**
+ * Read the retention setting (chrome.storage.sync - it is a practice policy, not client data)
+ */
+async function loadRetentionSettings() {
+  const stored = await chrome.storage.sync.get(RETENTION_SETTINGS_STORAGE_KEY);
+  return Object.assign({}, DEFAULT_RETENTION_SETTINGS, stored[RETENTION_SETTINGS_STORAGE_KEY]);
+}
+
+async function saveRetentionSettings(settings) {
+  await chrome.storage.sync.set({ [RETENTION_SETTINGS_STORAGE_KEY]: settings });
+}
+
+/**
+ * When data filled at `now` should be cleared
+ * @returns {number|null} Timestamp, or null to keep it
+ */
+function getRetentionClearTime(settings, now = Date.now()) {
+  if (settings.mode === 'immediate') return now;
+  if (settings.mode === 'delay') return now + Math.max(1, Number(settings.minutes) || 1) * 60 * 1000;
+  if (settings.mode === 'endOfDay') {
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+    return midnight.getTime();
+  }
+  return null;
+}
+
+/**
+ * Queued clears
+ * @returns {Promise<Array<{target: string, id: string, clearAt: number}>>} target is 'profile' or 'queueItem'
+ */
+async function loadPendingClears() {
+  const stored = await chrome.storage.local.get(PENDING_CLEARS_STORAGE_KEY);
+  return Array.isArray(stored[PENDING_CLEARS_STORAGE_KEY]) ? stored[PENDING_CLEARS_STORAGE_KEY] : [];
+}
+
+/**
+ * Queue a clear of the profile or queue item a successful fill used,
+ * following the retention setting, then run any clears already due
+ * @param {string} target - 'profile' or 'queueItem'
+ */
+async function scheduleClientDataClear(target, id) {
+  const clearAt = getRetentionClearTime(await loadRetentionSettings());
+  if (clearAt === null || !id) return;
+
+  // An earlier fill of the same profile keeps its earlier deadline
+  const pending = await loadPendingClears();
+  if (!pending.some(entry => entry.target === target && entry.id === id)) {
+    pending.push({ target, id, clearAt });
+    await chrome.storage.local.set({ [PENDING_CLEARS_STORAGE_KEY]: pending });
+    console.log('⏳ Client data clear scheduled:', target, new Date(clearAt));
+  }
+
+  await clearDueClientData();
+}
+
+/**
+ * Clear every profile / queue item whose time has come
+ * Needs the vault unlocked - otherwise the clears wait for the next unlock.
+ * @returns {Promise<number>} Number of clears done
+ */
+async function clearDueClientData(now = Date.now()) {
+  const pending = await loadPendingClears();
+  const due = pending.filter(entry => entry.clearAt <= now);
+  if (due.length === 0 || !(await getVaultKey())) return 0;
+
+  const state = await loadProfileState();
+  let queue = await loadIntakeQueue();
+
+  for (const entry of due) {
+    if (entry.target === 'profile') {
+      const profile = state.profiles.find(p => p.id === entry.id);
+      if (profile) clearProfile(profile);
+    } else {
+      queue = queue.filter(item => item.id !== entry.id);
+    }
+  }
+
+  await saveProfileState(state);
+  await saveIntakeQueue(queue);
+  await chrome.storage.local.set({
+    [PENDING_CLEARS_STORAGE_KEY]: pending.filter(entry => !due.includes(entry))
+  });
+
+  console.log('🧹 Cleared client data:', due.length);
+  return due.length;
+}
+
+/**
+ * Panic wipe - delete everything the extension has stored (profiles, queue,
+ * passphrase, settings and matcher rules) and lock
+ */
+async function wipeAllExtensionData() {
+  await chrome.storage.session.clear();
+  await chrome.storage.local.clear();
+  await chrome.storage.sync.clear();
+  console.log('🧨 All extension data wiped');
+}
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+// chrome.storage.sync and the vault's list writer, kept in memory
+const syncStorage = {};
+globalThis.chrome = {
+  storage: {
+    sync: {
+      get: async key => (key in syncStorage ? { [key]: syncStorage[key] } : {}),
+      set: async values => Object.assign(syncStorage, values)
+    }
+  }
+};
+let storedLog = [];
+globalThis.appendEncryptedList = async (storageKey, pendingKey, entries, trim) => {
+  storedLog = trim(storedLog.concat(entries));
+  return true;
+};
+
+const get = loadScripts('audit-log.js');
+const rotateAuditLog = get('rotateAuditLog');
+const saveAuditSettings = get('saveAuditSettings');
+const appendAuditEvents = get('appendAuditEvents');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('rotateAuditLog drops events past the retention period', () => {
+  const now = 100 * DAY;
+  const log = [{ timestamp: now - 31 * DAY }, { timestamp: now - 30 * DAY }, { timestamp: now }];
+  assert.deepStrictEqual(rotateAuditLog(log, { retentionDays: 30, maxEvents: 10 }, now), log.slice(1));
+});
+
+test('rotateAuditLog keeps only the newest maxEvents', () => {
+  const log = [1, 2, 3, 4].map(timestamp => ({ timestamp }));
+  assert.deepStrictEqual(rotateAuditLog(log, { retentionDays: 1, maxEvents: 2 }, 4), log.slice(2));
+});
+
+test('saveAuditSettings clamps numbers and falls back on nonsense', async () => {
+  assert.deepStrictEqual(await saveAuditSettings({ retentionDays: '0', maxEvents: 'lots', includeValues: 'yes' }), {
+    retentionDays: 1,
+    maxEvents: 5000,
+    includeValues: true
+  });
+  assert.deepStrictEqual(await saveAuditSettings({ retentionDays: 99999, maxEvents: 50 }), {
+    retentionDays: 3650,
+    maxEvents: 100,
+    includeValues: false
+  });
+});
+
+test('appendAuditEvents leaves values and fill errors out unless the settings keep them', async () => {
+  const event = { timestamp: Date.now(), action: 'fill', dataKey: 'firstName', expected: 'Jane', actual: 'Jan', error: 'No option matching "Jane"' };
+
+  await saveAuditSettings({ includeValues: false });
+  storedLog = [];
+  await appendAuditEvents([event]);
+  assert.deepStrictEqual(storedLog, [{ timestamp: event.timestamp, action: 'fill', dataKey: 'firstName' }]);
+
+  await saveAuditSettings({ includeValues: true });
+  storedLog = [];
+  await appendAuditEvents([event]);
+  assert.deepStrictEqual(storedLog, [event]);
+});
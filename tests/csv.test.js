@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const get = loadScripts('csv.js');
+const parseCsv = get('parseCsv');
+const detectCsvDelimiter = get('detectCsvDelimiter');
+const formatCsv = get('formatCsv');
+
+test('parseCsv reads quoted fields, escaped quotes and embedded line breaks', () => {
+  const text = 'name,note\r\n"Doe, Jane","said ""hi""\nthen left"\r\n';
+  assert.deepStrictEqual(parseCsv(text), [
+    ['name', 'note'],
+    ['Doe, Jane', 'said "hi"\nthen left']
+  ]);
+});
+
+test('parseCsv drops blank lines and a UTF-8 BOM', () => {
+  assert.deepStrictEqual(parseCsv('\uFEFFa,b\n\n1,2\n,\n'), [['a', 'b'], ['1', '2']]);
+});
+
+test('parseCsv keeps a last row without a trailing newline', () => {
+  assert.deepStrictEqual(parseCsv('a;b\n1;2', ';'), [['a', 'b'], ['1', '2']]);
+});
+
+test('detectCsvDelimiter picks the most common separator in the header', () => {
+  assert.strictEqual(detectCsvDelimiter('first;last;dob\n1,2;3'), ';');
+  assert.strictEqual(detectCsvDelimiter('first\tlast\n'), '\t');
+  assert.strictEqual(detectCsvDelimiter('first'), ',');
+});
+
+test('formatCsv quotes cells with commas, quotes or line breaks', () => {
+  assert.strictEqual(formatCsv([['a', 'b,c'], ['say "hi"', 'two\nlines']]), 'a,"b,c"\r\n"say ""hi""","two\nlines"\r\n');
+  assert.strictEqual(formatCsv([[null, undefined, 0]]), ',,0\r\n');
+});
+
+test('formatCsv escapes every cell a spreadsheet could read as a formula', () => {
+  const cells = ['=1+1', '+1+1', '-1+1', '@SUM(A1)', '\t=1', '\r=1', '=HYPERLINK("x")'];
+  assert.deepStrictEqual(parseCsv(formatCsv([cells]))[0], cells.map(cell => "'" + cell));
+});
+
+test('formatCsv leaves E.164 phone numbers and plain text alone', () => {
+  assert.strictEqual(formatCsv([['+15551234567', 'Jane', '555-1234']]), '+15551234567,Jane,555-1234\r\n');
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const get = loadScripts('phones.js', 'profiles.js', 'csv.js', 'exporter.js');
+const createProfile = get('createProfile');
+const createEmail = get('createEmail');
+const createPhone = get('createPhone');
+const createContact = get('createContact');
+const formatProfilesVcard = get('formatProfilesVcard');
+const parseVcardProfiles = get('parseVcardProfiles');
+const formatProfilesCsv = get('formatProfilesCsv');
+const formatFillHistoryCsv = get('formatFillHistoryCsv');
+const parseCsv = get('parseCsv');
+
+function createSampleProfile() {
+  const phone = Object.assign(createPhone('US'), { number: '+15551234567', extension: '12', type: 'mobile', textMessages: true });
+  const email = Object.assign(createEmail(), { address: 'jane@example.com', type: 'work', reminders: true });
+  const guardian = Object.assign(createContact('guardian'), { firstName: 'Ann', lastName: 'Doe', phone: '5559876543' });
+
+  return createProfile('Intake; Monday', {
+    firstName: 'Jane',
+    lastName: 'Doe, Jr.',
+    dobMonth: '03',
+    dobDay: '04',
+    dobYear: '1990',
+    streetAddress: '1 Main St',
+    city: 'Springfield',
+    state: 'IL',
+    zipCode: '02134',
+    clientType: 'minor',
+    emails: [email],
+    phones: [phone],
+    contacts: [guardian]
+  });
+}
+
+test('a vCard export reads back as the same profile', () => {
+  const profile = createSampleProfile();
+  const [imported] = parseVcardProfiles(formatProfilesVcard([profile]));
+
+  assert.strictEqual(imported.name, profile.name);
+  assert.notStrictEqual(imported.id, profile.id);
+  for (const key of ['firstName', 'lastName', 'dobMonth', 'dobDay', 'dobYear', 'streetAddress', 'city', 'state', 'zipCode', 'clientType']) {
+    assert.strictEqual(imported.data[key], profile.data[key], key);
+  }
+  assert.deepStrictEqual(imported.data.emails, profile.data.emails);
+  assert.deepStrictEqual(imported.data.phones, profile.data.phones);
+  assert.deepStrictEqual(imported.data.contacts, profile.data.contacts);
+});
+
+test('parseVcardProfiles reads folded 3.0 cards from other apps', () => {
+  const text = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'FN:Maria Lopez',
+    'N:Lopez;Maria;;;',
+    'BDAY:2012-04-02',
+    'TEL;TYPE=work,voice:(555) 111-2222',
+    'TEL;TYPE=cell,pref:+44 20 7946 0958',
+    'EMAIL;TYPE=INTERNET:maria@exa',
+    ' mple.com',
+    'END:VCARD',
+    'BEGIN:VCARD',
+    'VERSION:2.1',
+    'FN:Sam Q Public',
+    'TEL;CELL:555-333-4444',
+    'END:VCARD'
+  ].join('\r\n');
+  const [maria, sam] = parseVcardProfiles(text);
+
+  assert.deepStrictEqual([maria.data.firstName, maria.data.lastName], ['Maria', 'Lopez']);
+  assert.deepStrictEqual([maria.data.dobMonth, maria.data.dobDay, maria.data.dobYear], ['04', '02', '2012']);
+  assert.deepStrictEqual(maria.data.phones.map(phone => [phone.number, phone.type, phone.country]), [
+    ['+442079460958', 'mobile', 'GB'],
+    ['+15551112222', 'work', 'US']
+  ]);
+  assert.strictEqual(maria.data.emails[0].address, 'maria@example.com');
+
+  assert.deepStrictEqual([sam.data.firstName, sam.data.lastName], ['Sam', 'Public']);
+  assert.deepStrictEqual(sam.data.phones.map(phone => [phone.number, phone.type]), [['+15553334444', 'mobile']]);
+});
+
+test('parseVcardProfiles ignores text outside cards', () => {
+  assert.deepStrictEqual(parseVcardProfiles('hello\nEND:VCARD\n'), []);
+});
+
+test('formatProfilesCsv escapes client text a spreadsheet could run', () => {
+  const profile = createProfile('', { firstName: '=HYPERLINK("http://x")', lastName: '@Doe' });
+  const [header, row] = parseCsv(formatProfilesCsv([profile]));
+
+  assert.strictEqual(row[header.indexOf('First Name')], "'=HYPERLINK(\"http://x\")");
+  assert.strictEqual(row[header.indexOf('Last Name')], "'@Doe");
+});
+
+test('formatFillHistoryCsv writes a row per field, or one for a fill without fields', () => {
+  const csv = formatFillHistoryCsv([
+    { timestamp: 0, profileName: 'Jane', path: '/clients/new', success: true, fieldsFilledCount: 1, message: 'ok', fields: [{ dataKey: 'firstName', status: 'filled' }] },
+    { timestamp: 0, profileName: '-Jane', path: '/clients/new', success: false, fieldsFilledCount: 0, message: 'No form', fields: [] }
+  ]);
+  const rows = parseCsv(csv);
+
+  assert.strictEqual(rows.length, 3);
+  assert.deepStrictEqual(rows[1].slice(3), ['success', '1', 'First Name', 'filled', 'ok']);
+  assert.deepStrictEqual(rows[2].slice(1, 7), ["'-Jane", '/clients/new', 'failed', '0', '', '']);
+});
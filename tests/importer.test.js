@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const get = loadScripts('csv.js', 'importer.js');
+const parseImportFile = get('parseImportFile');
+const guessColumnMapping = get('guessColumnMapping');
+const mapImportRows = get('mapImportRows');
+const normalizeImportRecord = get('normalizeImportRecord');
+const parseDateParts = get('parseDateParts');
+const normalizeMonth = get('normalizeMonth');
+const createQueueItems = get('createQueueItems');
+const getNextQueueItem = get('getNextQueueItem');
+
+test('parseImportFile reads CSV with a guessed delimiter', () => {
+  assert.deepStrictEqual(parseImportFile('clients.csv', 'First Name;Last Name\nJane;Doe\n'), {
+    headers: ['First Name', 'Last Name'],
+    rows: [['Jane', 'Doe']]
+  });
+  assert.throws(() => parseImportFile('empty.csv', '\n'), /File is empty/);
+});
+
+test('parseImportFile reads a JSON array or { clients: [...] }', () => {
+  const expected = { headers: ['firstName', 'dob'], rows: [['Jane', ''], ['John', '1990-03-14']] };
+  const clients = [{ firstName: 'Jane' }, { firstName: 'John', dob: '1990-03-14' }];
+  assert.deepStrictEqual(parseImportFile('clients.json', JSON.stringify(clients)), expected);
+  assert.deepStrictEqual(parseImportFile('clients.txt', JSON.stringify({ clients })), expected);
+  assert.throws(() => parseImportFile('clients.json', '{"name": "Jane"}'), /array of client objects/);
+});
+
+test('guessColumnMapping matches aliases once per target', () => {
+  assert.deepStrictEqual(
+    guessColumnMapping(['Given Name', 'Surname', 'Date of Birth', 'Notes', 'First']),
+    ['firstName', 'lastName', 'dob', '', '']
+  );
+});
+
+test('mapImportRows numbers rows after the header and trims cells', () => {
+  const [record] = mapImportRows([[' Jane ', '', 'minor']], ['firstName', 'lastName', 'clientType']);
+  assert.strictEqual(record.rowNumber, 2);
+  assert.deepStrictEqual(record.data, { firstName: 'Jane', clientType: 'minor' });
+  assert.deepStrictEqual(record.errors, []);
+});
+
+test('normalizeImportRecord pads the DOB month and day to two digits', () => {
+  assert.deepStrictEqual(normalizeImportRecord({ firstName: 'Jane', dob: '3/4/1990' }).data, {
+    firstName: 'Jane', dobMonth: '03', dobDay: '04', dobYear: '1990'
+  });
+  assert.deepStrictEqual(normalizeImportRecord({ lastName: 'Doe', dobMonth: 'March', dobDay: '7', dobYear: '1990' }).data, {
+    lastName: 'Doe', dobMonth: '03', dobDay: '07', dobYear: '1990'
+  });
+});
+
+test('normalizeImportRecord lets separate DOB columns win over the full date', () => {
+  const { data } = normalizeImportRecord({ firstName: 'Jane', dob: '1990-03-14', dobDay: '15' });
+  assert.strictEqual(data.dobDay, '15');
+  assert.strictEqual(data.dobMonth, '03');
+});
+
+test('normalizeImportRecord reports bad values instead of guessing', () => {
+  const { errors } = normalizeImportRecord({
+    dob: 'someday', dobDay: '32', dobYear: '90', clientType: 'robot', billingType: 'barter'
+  });
+  assert.deepStrictEqual(errors, [
+    'Missing first and last name',
+    'Unrecognized date of birth "someday"',
+    'Invalid DOB day "32"',
+    'Invalid DOB year "90"',
+    'Unknown client type "robot"',
+    'Unknown billing type "barter"'
+  ]);
+});
+
+test('normalizeImportRecord maps radio values through their aliases', () => {
+  const { data } = normalizeImportRecord({ firstName: 'Jane', clientType: 'Child', billingType: 'Private Pay' });
+  assert.strictEqual(data.clientType, 'minor');
+  assert.strictEqual(data.billingType, 'self-pay');
+});
+
+test('parseDateParts and normalizeMonth read the usual date spellings', () => {
+  assert.deepStrictEqual(parseDateParts('1990-03-14'), { year: '1990', month: '03', day: '14' });
+  assert.deepStrictEqual(parseDateParts('3.14.1990'), { month: '3', day: '14', year: '1990' });
+  assert.deepStrictEqual(parseDateParts('Mar 14, 1990'), { month: 'Mar', day: '14', year: '1990' });
+  assert.strictEqual(parseDateParts('14/03/90'), null);
+
+  assert.strictEqual(normalizeMonth('9'), '09');
+  assert.strictEqual(normalizeMonth('sept'), '09');
+  assert.strictEqual(normalizeMonth('13'), '');
+  assert.strictEqual(normalizeMonth('ma'), '');
+});
+
+test('getNextQueueItem returns the first pending item', () => {
+  const queue = createQueueItems([{ firstName: 'Jane', lastName: 'Doe' }, {}]);
+  assert.deepStrictEqual(queue.map(item => item.label), ['Jane Doe', 'Unnamed client']);
+
+  queue[0].status = 'done';
+  assert.strictEqual(getNextQueueItem(queue), queue[1]);
+  queue[1].status = 'done';
+  assert.strictEqual(getNextQueueItem(queue), null);
+});
@@ -0,0 +1,26 @@
+/**
+ * Test helper.
+ * Runs extension scripts the way the extension pages load them - as plain
+ * scripts sharing one global scope - so tests call the same functions.
+ * Each test file runs in its own process (node --test), so loading a
+ * script once per file is safe.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run scripts (paths relative to the repo root) in order
+ * @returns {Function} name -> the script global of that name (functions and constants)
+ */
+function loadScripts(...files) {
+  for (const file of files) {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+  }
+  return name => vm.runInThisContext(name);
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const get = loadScripts('matcher-rules.js');
+const getDefaultMatcherRules = get('getDefaultMatcherRules');
+const validateMatcherRules = get('validateMatcherRules');
+const compileMatcherRules = get('compileMatcherRules');
+const testMatcherRules = get('testMatcherRules');
+const scoreFieldMatchers = get('scoreFieldMatchers');
+
+// Default rules with one matcher replaced
+function withMatcher(matcher) {
+  const ruleSet = getDefaultMatcherRules();
+  ruleSet.fieldMatchers[0] = matcher;
+  return ruleSet;
+}
+
+test('the default rules are valid', () => {
+  assert.deepStrictEqual(validateMatcherRules(getDefaultMatcherRules()), []);
+});
+
+test('validateMatcherRules rejects a bad shape', () => {
+  assert.deepStrictEqual(validateMatcherRules(null), ['Rule set must be an object']);
+  assert.deepStrictEqual(validateMatcherRules({}), ['"fieldMatchers" must be an array']);
+});
+
+test('validateMatcherRules rejects bad keys, duplicates and empty rules', () => {
+  const ruleSet = getDefaultMatcherRules();
+  ruleSet.fieldMatchers.push(
+    { type: '1st', rules: [{ kind: 'keywords', keywords: ['x'] }] },
+    { type: ruleSet.fieldMatchers[0].type, rules: [{ kind: 'keywords', keywords: ['x'] }] },
+    { type: 'noRules', rules: [] }
+  );
+  const errors = validateMatcherRules(ruleSet);
+
+  assert.strictEqual(errors.length, 3);
+  assert.match(errors[0], /key must start with a letter/);
+  assert.match(errors[1], /duplicate key/);
+  assert.match(errors[2], /\(noRules\): needs at least one rule/);
+});
+
+test('validateMatcherRules rejects empty keywords and unusable regexes', () => {
+  const errors = validateMatcherRules(withMatcher({
+    type: 'custom',
+    rules: [
+      { kind: 'keywords', keywords: [] },
+      { kind: 'keywords', keywords: ['ok', ' '] },
+      { kind: 'regex', pattern: '(' },
+      { kind: 'regex', pattern: 'a*' },
+      { kind: 'glob', pattern: '*' }
+    ]
+  }));
+
+  assert.strictEqual(errors.length, 5);
+  assert.match(errors[0], /rule 1: needs at least one keyword$/);
+  assert.match(errors[1], /rule 2: keywords cannot be empty$/);
+  assert.match(errors[2], /rule 3: invalid regex \/\(\//);
+  assert.match(errors[3], /rule 4: regex \/a\*\/ matches empty text$/);
+  assert.match(errors[4], /rule 5: unknown rule kind "glob"$/);
+});
+
+test('validateMatcherRules checks radio keywords and DOB patterns', () => {
+  const ruleSet = getDefaultMatcherRules();
+  ruleSet.clientTypeKeywords.adult = [];
+  delete ruleSet.billingTypeKeywords;
+  ruleSet.dobFieldKeywords.day = '';
+
+  assert.deepStrictEqual(validateMatcherRules(ruleSet), [
+    'clientTypeKeywords.adult: needs at least one non-empty keyword',
+    '"billingTypeKeywords" must be an object',
+    'dobFieldKeywords.day: pattern is empty'
+  ]);
+});
+
+test('testMatcherRules finds the data type for a label', () => {
+  const compiled = compileMatcherRules(getDefaultMatcherRules());
+  assert.strictEqual(testMatcherRules(compiled, 'First name').type, 'firstName');
+  assert.strictEqual(testMatcherRules(compiled, 'Email address').type, 'email');
+  assert.strictEqual(testMatcherRules(compiled, 'Favorite color'), null);
+});
+
+test('scoreFieldMatchers weighs each source and adds the rule\'s keyword count', () => {
+  const compiled = compileMatcherRules(getDefaultMatcherRules());
+  const [best] = scoreFieldMatchers(compiled.fieldMatchers, { label: 'First name', name: 'client[first_name]' });
+
+  // label 10 + name 4, "first" + "name" = 2 specificity in each
+  assert.deepStrictEqual([best.type, best.score, best.source], ['firstName', 18, 'label']);
+});
+
+test('scoreFieldMatchers takes points off for negative keywords unless they are ignored', () => {
+  const { fieldMatchers } = compileMatcherRules(getDefaultMatcherRules());
+  const types = (sources, ignored) => scoreFieldMatchers(fieldMatchers, sources, ignored).map(score => score.type);
+
+  assert.ok(!types({ label: 'Emergency contact phone' }).includes('phone'));
+  assert.ok(!types({ label: 'Guardian first name' }).includes('firstName'));
+  assert.strictEqual(types({ label: 'Guardian first name' }, ['guardian'])[0], 'firstName');
+});
+
+test('scoreFieldMatchers counts a match split across sources only once, weakly', () => {
+  const { fieldMatchers } = compileMatcherRules(getDefaultMatcherRules());
+  const scores = scoreFieldMatchers(fieldMatchers, { label: 'First', placeholder: 'name' });
+  const firstName = scores.find(score => score.type === 'firstName');
+
+  assert.strictEqual(firstName.source, 'joined');
+  assert.strictEqual(firstName.score, 3);
+  assert.deepStrictEqual(scoreFieldMatchers(fieldMatchers, { className: '', unknown: 'first name' }), []);
+});
+
+test('scoreFieldMatchers keeps matcher order for equal scores', () => {
+  const matchers = compileMatcherRules({
+    fieldMatchers: [
+      { type: 'a', rules: [{ kind: 'keywords', keywords: ['code'] }] },
+      { type: 'b', rules: [{ kind: 'keywords', keywords: ['code'] }] }
+    ],
+    clientTypeKeywords: {},
+    billingTypeKeywords: {},
+    dobFieldKeywords: getDefaultMatcherRules().dobFieldKeywords
+  }).fieldMatchers;
+
+  assert.deepStrictEqual(scoreFieldMatchers(matchers, { label: 'Code' }).map(score => score.type), ['a', 'b']);
+});
+
+test('testMatcherRules returns the best score and every score', () => {
+  const result = testMatcherRules(compileMatcherRules(getDefaultMatcherRules()), 'Preferred name');
+  assert.strictEqual(result.type, 'preferredName');
+  assert.strictEqual(result.scores[0].type, 'preferredName');
+  assert.ok(!result.scores.some(score => score.type === 'firstName'));
+});
+
+test('validateMatcherRules rejects empty negative keywords', () => {
+  const errors = validateMatcherRules(withMatcher({
+    type: 'custom',
+    negativeKeywords: ['ok', ''],
+    rules: [{ kind: 'keywords', keywords: ['x'] }]
+  }));
+  assert.deepStrictEqual(errors, ['Data type #1 (custom): negative keywords cannot be empty']);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const get = loadScripts('phones.js');
+const normalizePhoneNumber = get('normalizePhoneNumber');
+const splitPhoneNumber = get('splitPhoneNumber');
+const formatPhoneNumber = get('formatPhoneNumber');
+
+test('normalizePhoneNumber reads US national numbers in any layout', () => {
+  for (const value of ['(555) 123-4567', '555.123.4567', '5551234567', '1-555-123-4567', '+1 555 123 4567']) {
+    assert.deepStrictEqual(normalizePhoneNumber(value), { e164: '+15551234567', extension: '', error: null }, value);
+  }
+});
+
+test('normalizePhoneNumber drops the trunk prefix of the given country', () => {
+  assert.strictEqual(normalizePhoneNumber('020 7946 0958', 'GB').e164, '+442079460958');
+  assert.strictEqual(normalizePhoneNumber('0412 345 678', 'AU').e164, '+61412345678');
+});
+
+test('normalizePhoneNumber takes the country from a + or exit prefix', () => {
+  assert.strictEqual(normalizePhoneNumber('+44 20 7946 0958').e164, '+442079460958');
+  assert.strictEqual(normalizePhoneNumber('011 44 20 7946 0958').e164, '+442079460958');
+  assert.strictEqual(normalizePhoneNumber('00 353 1 234 5678', 'GB').e164, '+35312345678');
+});
+
+test('normalizePhoneNumber splits off an extension', () => {
+  assert.deepStrictEqual(normalizePhoneNumber('555-123-4567 ext. 89'), { e164: '+15551234567', extension: '89', error: null });
+  assert.strictEqual(normalizePhoneNumber('555-123-4567 x12').extension, '12');
+});
+
+test('normalizePhoneNumber rejects wrong lengths and unknown codes', () => {
+  assert.match(normalizePhoneNumber('555-1234').error, /not a valid United States number/);
+  assert.match(normalizePhoneNumber('+999 123 456').error, /Unknown country code/);
+  assert.strictEqual(normalizePhoneNumber('555-1234').e164, '');
+  assert.deepStrictEqual(normalizePhoneNumber('  '), { e164: '', extension: '', error: null });
+});
+
+test('splitPhoneNumber separates the calling code from the national number', () => {
+  assert.deepStrictEqual(splitPhoneNumber('+15551234567'), { dialCode: '1', national: '5551234567' });
+  assert.deepStrictEqual(splitPhoneNumber('+353123456789'), { dialCode: '353', national: '123456789' });
+  assert.strictEqual(splitPhoneNumber('5551234567'), null);
+  assert.strictEqual(splitPhoneNumber(''), null);
+});
+
+test('formatPhoneNumber formats partial and full US numbers', () => {
+  assert.strictEqual(formatPhoneNumber('555'), '(555');
+  assert.strictEqual(formatPhoneNumber('555123'), '(555) 123');
+  assert.strictEqual(formatPhoneNumber('555123456789'), '(555) 123-4567');
+  assert.strictEqual(formatPhoneNumber(''), '');
+});
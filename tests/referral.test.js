@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const get = loadScripts('regions.js', 'phones.js', 'profiles.js', 'validation.js', 'csv.js', 'importer.js', 'referral.js');
+const parseReferralText = get('parseReferralText');
+
+test('parseReferralText reads a one-line referral', () => {
+  const { data, found } = parseReferralText('Jane Doe, DOB 3/14/1990, (555) 123-4567, jane@x.com, Aetna');
+
+  assert.strictEqual(data.firstName, 'Jane');
+  assert.strictEqual(data.lastName, 'Doe');
+  assert.deepStrictEqual([data.dobMonth, data.dobDay, data.dobYear], ['03', '14', '1990']);
+  assert.deepStrictEqual(data.emails.map(email => email.address), ['jane@x.com']);
+  assert.deepStrictEqual(data.phones.map(phone => phone.number), ['+15551234567']);
+  assert.strictEqual(data.clientType, 'adult');
+  assert.strictEqual(data.insurancePayer, 'Aetna');
+  assert.deepStrictEqual(found.sort(), [
+    'billingType', 'clientType', 'dob', 'email', 'firstName', 'insurancePayer', 'lastName', 'phone'
+  ]);
+});
+
+test('parseReferralText skips the referring provider\'s name', () => {
+  const { data } = parseReferralText('Referring: Dr. Alan Smith\nClient: Jane Doe\nDOB 3/14/1990');
+  assert.deepStrictEqual([data.firstName, data.lastName], ['Jane', 'Doe']);
+
+  const labelled = parseReferralText('Referring physician name: Dr Alan Smith\nName: Jane Doe').data;
+  assert.deepStrictEqual([labelled.firstName, labelled.lastName], ['Jane', 'Doe']);
+
+  const unlabelled = parseReferralText('Dr. Alan Smith, referring\nJane Doe, 14 y/o').data;
+  assert.deepStrictEqual([unlabelled.firstName, unlabelled.lastName], ['Jane', 'Doe']);
+});
+
+test('parseReferralText tries the client labels before a plain "name"', () => {
+  const { data } = parseReferralText('Parent name: Ann Lopez\nPatient name: Maria Lopez');
+  assert.deepStrictEqual([data.firstName, data.lastName], ['Maria', 'Lopez']);
+});
+
+test('parseReferralText reads "refer <name>" and pads the DOB', () => {
+  const { data } = parseReferralText("I'd like to refer Maria Lopez (DOB 04/02/2012), mom's cell 555-123-4567");
+
+  assert.deepStrictEqual([data.firstName, data.lastName], ['Maria', 'Lopez']);
+  assert.deepStrictEqual([data.dobMonth, data.dobDay, data.dobYear], ['04', '02', '2012']);
+  assert.strictEqual(data.clientType, 'minor');
+  assert.strictEqual(data.phones[0].type, 'mobile');
+});
+
+test('parseReferralText reads "Doe, Jane" and written-out dates', () => {
+  const { data } = parseReferralText('Patient: Doe, Jane\nBorn on March 4th, 1990');
+  assert.deepStrictEqual([data.firstName, data.lastName], ['Jane', 'Doe']);
+  assert.deepStrictEqual([data.dobMonth, data.dobDay, data.dobYear], ['03', '04', '1990']);
+});
+
+test('parseReferralText picks up billing details', () => {
+  assert.deepStrictEqual(
+    parseReferralText('Client: John Public, BCBS member ID: XYZ12345, group # 9876').data,
+    {
+      firstName: 'John',
+      lastName: 'Public',
+      billingType: 'insurance',
+      insurancePayer: 'Blue Cross Blue Shield',
+      insuranceMemberId: 'XYZ12345',
+      insuranceGroupNumber: '9876'
+    }
+  );
+  assert.strictEqual(parseReferralText('Jane Doe will be self-pay').data.billingType, 'self-pay');
+});
+
+test('parseReferralText finds nothing in unrelated text', () => {
+  assert.deepStrictEqual(parseReferralText('please call me back'), { data: {}, found: [] });
+});
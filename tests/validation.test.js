@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const get = loadScripts('phones.js', 'profiles.js', 'validation.js');
+const isValidEmail = get('isValidEmail');
+const checkDateOfBirth = get('checkDateOfBirth');
+const checkDateOfBirthString = get('checkDateOfBirthString');
+const getAge = get('getAge');
+const validateProfileData = get('validateProfileData');
+
+test('isValidEmail wants a name, an @ and a dotted domain', () => {
+  assert.strictEqual(isValidEmail(' jane@example.com '), true);
+  assert.strictEqual(isValidEmail('jane@example'), false);
+  assert.strictEqual(isValidEmail('jane doe@example.com'), false);
+});
+
+test('checkDateOfBirth pads a valid date and leaves incomplete ones alone', () => {
+  assert.deepStrictEqual(checkDateOfBirth('3', '4', '1990'), { value: '03/04/1990', error: null });
+  assert.deepStrictEqual(checkDateOfBirth('03', '', '1990'), { value: '', error: null });
+});
+
+test('checkDateOfBirth rejects impossible and implausible dates', () => {
+  assert.match(checkDateOfBirth('2', '30', '1990').error, /not a valid date/);
+  assert.match(checkDateOfBirth('1', '1', '1850').error, /not a plausible date of birth/);
+  assert.match(checkDateOfBirth('1', '1', String(new Date().getFullYear() + 1)).error, /not a plausible date of birth/);
+});
+
+test('checkDateOfBirthString reads MM/DD/YYYY and YYYY-MM-DD', () => {
+  assert.strictEqual(checkDateOfBirthString('3/14/1990').value, '03/14/1990');
+  assert.strictEqual(checkDateOfBirthString('1990-03-14').value, '03/14/1990');
+  assert.match(checkDateOfBirthString('March 14').error, /use MM\/DD\/YYYY/);
+});
+
+test('getAge counts whole years up to the birthday', () => {
+  assert.strictEqual(getAge('03/14/1990', new Date(2020, 2, 13)), 29);
+  assert.strictEqual(getAge('03/14/1990', new Date(2020, 2, 14)), 30);
+});
+
+test('validateProfileData flags each bad DOB part on its own', () => {
+  const issues = validateProfileData({ dobMonth: '13', dobDay: '0', dobYear: '1990' });
+  assert.deepStrictEqual(issues.map(issue => issue.dataKey), ['dobMonth', 'dobDay']);
+});
+
+test('validateProfileData warns when the age contradicts the client type', () => {
+  const [issue] = validateProfileData({ clientType: 'minor', dobMonth: '01', dobDay: '01', dobYear: '1980' });
+  assert.strictEqual(issue.dataKey, 'clientType');
+  assert.strictEqual(issue.severity, 'warning');
+});
+
+test('validateProfileData checks emails and phones by their report keys', () => {
+  const issues = validateProfileData({
+    emails: [{ address: 'jane@example.com' }, { address: 'not-an-email' }],
+    phones: [{ number: '555-1234', country: 'US' }]
+  });
+  assert.deepStrictEqual(issues.map(issue => [issue.dataKey, issue.severity]), [
+    ['email2', 'error'],
+    ['phone', 'error']
+  ]);
+});
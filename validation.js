@@ -0,0 +1,190 @@
+/**
+ * Profile data validation.
+ * Per-field rules the popup runs before a fill is sent, plus the date of
+ * birth checks the content script repeats on the data it receives.
+ */
+
+// Oldest birth year accepted
+const MIN_DOB_YEAR = 1900;
+
+// Age from which a client should not be typed as a minor
+const ADULT_AGE = 18;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Errors block a fill; warnings are shown and need a second click
+const VALIDATION_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+function isValidEmail(value) {
+  return EMAIL_PATTERN.test(String(value).trim());
+}
+
+/**
+ * Split "MM/DD/YYYY" or "YYYY-MM-DD" into parts ('' parts if unrecognized)
+ */
+function splitDateString(value) {
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) return { month: match[2], day: match[3], year: match[1] };
+
+  match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) return { month: match[1], day: match[2], year: match[3] };
+
+  return { month: '', day: '', year: '' };
+}
+
+/**
+ * Check a date of birth and format it as MM/DD/YYYY
+ * A missing part is not an error - the dropdowns on the form still get the parts that are set.
+ * @param {string} shown - How the date appears in error messages (default: M/D/YYYY from the parts)
+ * @returns {{value: string, error: string|null}} value is '' unless the date is complete and valid
+ */
+function checkDateOfBirth(month, day, year, shown = null) {
+  const parts = [month, day, year].map(part => String(part || '').trim());
+  if (parts.some(part => !part)) {
+    return { value: '', error: null };
+  }
+
+  shown = shown || parts.join('/');
+  if (parts.some(part => !/^\d+$/.test(part)) || parts[2].length !== 4) {
+    return { value: '', error: `"${shown}" is not a valid date` };
+  }
+
+  const [m, d, y] = parts.map(Number);
+  const date = new Date(y, m - 1, d);
+  if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) {
+    return { value: '', error: `"${shown}" is not a valid date` };
+  }
+  if (y < MIN_DOB_YEAR || date > new Date()) {
+    return { value: '', error: `"${shown}" is not a plausible date of birth` };
+  }
+
+  return { value: `${parts[0].padStart(2, '0')}/${parts[1].padStart(2, '0')}/${parts[2]}`, error: null };
+}
+
+/**
+ * Check a "MM/DD/YYYY" or "YYYY-MM-DD" date of birth
+ * @returns {{value: string, error: string|null}}
+ */
+function checkDateOfBirthString(value) {
+  const { month, day, year } = splitDateString(value.trim());
+  if (!year) {
+    return { value: '', error: `"${value}" is not a date (use MM/DD/YYYY)` };
+  }
+  return checkDateOfBirth(month, day, year, value);
+}
+
+/**
+ * Whole years between a valid MM/DD/YYYY date of birth and today
+ */
+function getAge(dob, today = new Date()) {
+  const [month, day, year] = dob.split('/').map(Number);
+  const hadBirthday = today.getMonth() + 1 > month
+    || (today.getMonth() + 1 === month && today.getDate() >= day);
+  return today.getFullYear() - year - (hadBirthday ? 0 : 1);
+}
+
+// ============================================================================
+// PROFILE RULES
+// ============================================================================
+
+/**
+ * Check everything a fill would send (popup only - uses profiles.js)
+ * Keys are the fill report's data keys (`email2`, `guardian1.phone`, ...) so
+ * issues can be labelled with getFieldLabel and shown next to their input.
+ * @param {Object} data - Profile fields plus `emails`, `phones` and active `contacts`
+ * @returns {Array<{dataKey: string, message: string, severity: string}>}
+ */
+function validateProfileData(data) {
+  const issues = [];
+  const addIssue = (dataKey, message, severity = VALIDATION_SEVERITY.ERROR) => {
+    issues.push({ dataKey, message, severity });
+  };
+
+  (data.emails || []).forEach((email, index) => {
+    if (email.address && !isValidEmail(email.address)) {
+      addIssue(getContactMethodKey('email', index), `"${email.address}" is not a valid email`);
+    }
+  });
+
+  const phoneCountry = data.phones && data.phones[0] ? data.phones[0].country : DEFAULT_PHONE_COUNTRY;
+  (data.phones || []).forEach((phone, index) => {
+    const error = phone.number ? normalizePhoneNumber(phone.number, phone.country).error : null;
+    if (error) addIssue(getContactMethodKey('phone', index), error);
+  });
+
+  const dob = validateDobParts(data, addIssue)
+    ? checkDateOfBirth(data.dobMonth, data.dobDay, data.dobYear)
+    : { value: '', error: null };
+  if (dob.error) {
+    addIssue('dob', dob.error);
+  } else if (dob.value) {
+    validateClientAge(data.clientType, getAge(dob.value), addIssue);
+  }
+
+  if (data.subscriberDob) {
+    const error = checkDateOfBirthString(data.subscriberDob).error;
+    if (error) addIssue('subscriberDob', error);
+  }
+
+  // Numbered per role, the way the popup titles contact cards
+  const roleCounts = {};
+  for (const contact of data.contacts || []) {
+    roleCounts[contact.role] = (roleCounts[contact.role] || 0) + 1;
+    const prefix = contact.role + roleCounts[contact.role];
+
+    if (contact.email && !isValidEmail(contact.email)) {
+      addIssue(`${prefix}.email`, `"${contact.email}" is not a valid email`);
+    }
+    if (contact.phone) {
+      // Contact phones are read in the client's primary phone country
+      const error = normalizePhoneNumber(contact.phone, phoneCountry).error;
+      if (error) addIssue(`${prefix}.phone`, error);
+    }
+    if (contact.dob) {
+      const error = checkDateOfBirthString(contact.dob).error;
+      if (error) addIssue(`${prefix}.dob`, error);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Each DOB part on its own, so "13" is caught before the year is typed
+ * @returns {boolean} True if no part was rejected
+ */
+function validateDobParts(data, addIssue) {
+  const month = String(data.dobMonth || '').trim();
+  const day = String(data.dobDay || '').trim();
+  const year = String(data.dobYear || '').trim();
+  let valid = true;
+  const reject = (dataKey, message) => {
+    addIssue(dataKey, message);
+    valid = false;
+  };
+
+  if (month && !(/^\d{1,2}$/.test(month) && month >= 1 && month <= 12)) {
+    reject('dobMonth', `"${month}" is not a month (1-12)`);
+  }
+  if (day && !(/^\d{1,2}$/.test(day) && day >= 1 && day <= 31)) {
+    reject('dobDay', `"${day}" is not a day (1-31)`);
+  }
+  if (year && !(/^\d{4}$/.test(year) && year >= MIN_DOB_YEAR && year <= new Date().getFullYear())) {
+    reject('dobYear', `"${year}" is not a plausible birth year`);
+  }
+  return valid;
+}
+
+/**
+ * Warn when the client's age contradicts the client type
+ */
+function validateClientAge(clientType, age, addIssue) {
+  if (clientType === 'minor' && age >= ADULT_AGE) {
+    addIssue('clientType', `Client is ${age} but the client type is Minor`, VALIDATION_SEVERITY.WARNING);
+  } else if (clientType === 'adult' && age < ADULT_AGE) {
+    addIssue('clientType', `Client is ${age} but the client type is Adult`, VALIDATION_SEVERITY.WARNING);
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Encrypted storage for client data.
+ * Values are kept in chrome.storage.local as AES-GCM ciphertext under a key
+ * derived from the user's passphrase (PBKDF2). While unlocked, the key sits
+ * in chrome.storage.session - memory only, shared by the popup and the
+ * background worker, cleared when the browser closes or the vault locks.
+ */
+
+// Storage keys
+const VAULT_STORAGE_KEY = 'vault';
+const VAULT_SESSION_KEY = 'vaultSession';
+
+const VAULT_PBKDF2_ITERATIONS = 600000;
+const VAULT_MIN_PASSPHRASE_LENGTH = 8;
+
+// Lock after this long without a fill or an edit
+const VAULT_AUTO_LOCK_MINUTES = 15;
+
+// Encrypted with the key to tell a wrong passphrase from a right one
+const VAULT_CHECK_TEXT = 'simplepractice-autofill';
+
+// ============================================================================
+// LOCK STATE
+// ============================================================================
+
+/**
+ * @returns {Promise<string>} 'new' (no passphrase yet), 'locked' or 'unlocked'
+ */
+async function getVaultStatus() {
+  const stored = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+  if (!stored[VAULT_STORAGE_KEY]) return 'new';
+  return (await getVaultKey()) ? 'unlocked' : 'locked';
+}
+
+/**
+ * Set the passphrase the first time and unlock
+ */
+async function createVault(passphrase) {
+  if (passphrase.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${VAULT_MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveVaultKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS);
+
+  await chrome.storage.local.set({
+    [VAULT_STORAGE_KEY]: {
+      version: 1,
+      salt: bytesToBase64(salt),
+      iterations: VAULT_PBKDF2_ITERATIONS,
+      check: await encryptValue(key, VAULT_CHECK_TEXT)
+    }
+  });
+  await startVaultSession(key);
+}
+
+/**
+ * Unlock with the passphrase
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+async function unlockVault(passphrase) {
+  const stored = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+  const vault = stored[VAULT_STORAGE_KEY];
+  if (!vault) throw new Error('No passphrase has been set');
+
+  const key = await deriveVaultKey(passphrase, base64ToBytes(vault.salt), vault.iterations);
+  try {
+    if ((await decryptValue(key, vault.check)) !== VAULT_CHECK_TEXT) return false;
+  } catch (error) {
+    // AES-GCM refuses to decrypt with the wrong key
+    return false;
+  }
+
+  await startVaultSession(key);
+  return true;
+}
+
+/**
+ * Forget the key - stored data stays encrypted until the next unlock
+ */
+async function lockVault() {
+  await chrome.storage.session.remove(VAULT_SESSION_KEY);
+}
+
+/**
+ * Delete the passphrase and everything encrypted with it (forgotten passphrase)
+ * @param {Array<string>} storageKeys - chrome.storage.local keys holding encrypted data
+ */
+async function resetVault(storageKeys) {
+  await lockVault();
+  await chrome.storage.local.remove([VAULT_STORAGE_KEY, ...storageKeys]);
+}
+
+/**
+ * The unlocked key, or null when locked or idle past the auto-lock time
+ * @returns {Promise<CryptoKey|null>}
+ */
+async function getVaultKey() {
+  const stored = await chrome.storage.session.get(VAULT_SESSION_KEY);
+  const session = stored[VAULT_SESSION_KEY];
+  if (!session) return null;
+
+  if (session.expiresAt <= Date.now()) {
+    await lockVault();
+    return null;
+  }
+
+  return crypto.subtle.importKey('raw', base64ToBytes(session.key), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Push the auto-lock time back after activity (no-op while locked)
+ */
+async function touchVaultSession() {
+  const stored = await chrome.storage.session.get(VAULT_SESSION_KEY);
+  const session = stored[VAULT_SESSION_KEY];
+  if (!session || session.expiresAt <= Date.now()) return;
+
+  // Saves happen on every keystroke - only write once the deadline has moved a minute
+  const expiresAt = Date.now() + VAULT_AUTO_LOCK_MINUTES * 60 * 1000;
+  if (expiresAt - session.expiresAt < 60 * 1000) return;
+
+  await chrome.storage.session.set({ [VAULT_SESSION_KEY]: Object.assign({}, session, { expiresAt }) });
+}
+
+async function startVaultSession(key) {
+  const raw = await crypto.subtle.exportKey('raw', key);
+  await chrome.storage.session.set({
+    [VAULT_SESSION_KEY]: {
+      key: bytesToBase64(new Uint8Array(raw)),
+      expiresAt: Date.now() + VAULT_AUTO_LOCK_MINUTES * 60 * 1000
+    }
+  });
+}
+
+// ============================================================================
+// ENCRYPTED VALUES
+// ============================================================================
+
+/**
+ * Read and decrypt a chrome.storage.local value
+ * Values saved before encryption was added are returned as they are.
+ * @returns {Promise<*>} null if nothing is stored
+ */
+async function loadEncrypted(storageKey) {
+  const stored = await chrome.storage.local.get(storageKey);
+  const value = stored[storageKey];
+  if (value === undefined) return null;
+  if (!isEncryptedValue(value)) return value;
+
+  const key = await getVaultKey();
+  if (!key) throw new Error('Client data is locked');
+  return decryptValue(key, value);
+}
+
+/**
+ * Encrypt a value into chrome.storage.local
+ */
+async function saveEncrypted(storageKey, value) {
+  const key = await getVaultKey();
+  if (!key) throw new Error('Client data is locked');
+
+  await chrome.storage.local.set({ [storageKey]: await encryptValue(key, value) });
+  await touchVaultSession();
+}
+
+/**
+ * Append entries to an encrypted list (fill history, audit log)
+ * While locked they wait in chrome.storage.session under `pendingKey` (memory
+ * only) and are written by the next call after an unlock.
+ * @param {Array} entries - May be empty to only write waiting entries
+ * @param {Function} trim - Full list -> list to keep (drops old entries)
+ * @returns {Promise<boolean>} False if the entries were held because the vault is locked
+ */
+async function appendEncryptedList(storageKey, pendingKey, entries, trim) {
+  const stored = await chrome.storage.session.get(pendingKey);
+  const pending = (stored[pendingKey] || []).concat(entries);
+  if (pending.length === 0) return true;
+
+  if (!(await getVaultKey())) {
+    await chrome.storage.session.set({ [pendingKey]: pending });
+    return false;
+  }
+
+  const list = await loadEncrypted(storageKey);
+  await saveEncrypted(storageKey, trim((Array.isArray(list) ? list : []).concat(pending)));
+  await chrome.storage.session.remove(pendingKey);
+  return true;
+}
+
+function isEncryptedValue(value) {
+  return Boolean(value) && typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * JSON-encode and encrypt a value with a fresh IV
+ * @returns {Promise<{iv: string, data: string}>} Base64 IV and ciphertext
+ */
+async function encryptValue(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+async function decryptValue(key, encrypted) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(encrypted.iv) },
+    key,
+    base64ToBytes(encrypted.data)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  // Extractable so the session can hand it from the popup to the background worker
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}